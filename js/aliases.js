@@ -0,0 +1,187 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — DESIGNATION ALIASES
+// Resolves the many names of one host star or planet
+// (HD, HIP, Gaia DR3, TIC, 2MASS, Gliese/GJ...) to a
+// canonical name, so lookups and merges agree
+// ═══════════════════════════════════════════════
+
+// Catalog prefixes written with or without a space before the number
+const NUMBERED_PREFIX = /^(HD|HIP|GJ|GL|TIC|KIC|KOI|TOI|WASP|HAT-P|XO|COROT)(?=\d)/;
+
+// Prefixes that are spelled several ways
+const PREFIX_SYNONYMS = [
+  [/^(GLIESE|GL) /, 'GJ '],
+];
+
+/**
+ * Comparison key for a designation: case, spacing and the "HIP74995" /
+ * "HIP 74995" and "Gliese 581" / "GJ 581" spellings are folded together.
+ * A hyphen between a letter and a digit counts as a space ("TOI-700");
+ * one between digits is kept, since it is a sign in 2MASS coordinates.
+ */
+export function normalizeDesignation(name) {
+  if (name == null) return '';
+  let key = String(name).trim().toUpperCase()
+    .replace(/\s+/g, ' ')
+    .replace(/([A-Z])-(?=\d)/g, '$1 ')
+    .replace(NUMBERED_PREFIX, '$1 ');
+  for (const [re, replacement] of PREFIX_SYNONYMS) key = key.replace(re, replacement);
+  return key;
+}
+
+// "GJ 581 c" → { host: "GJ 581", suffix: " c" }, "Gliese 581d" → " d",
+// "TOI-700.01" → ".01". Null when the name has no planet suffix.
+export function splitPlanetName(name) {
+  const m = String(name).trim().match(/^(.+?)(?:\s+|(?<=\d))([a-z])$/) ||
+            String(name).trim().match(/^(.+?)(\.\d{2})$/);
+  if (!m) return null;
+  return { host: m[1], suffix: m[2].startsWith('.') ? m[2] : ` ${m[2]}` };
+}
+
+// ── Index Construction ───────────────────────
+// Each map goes from a normalized designation to its group; a group holds the
+// canonical name (the first name it was seen under) and every known alias.
+// Linking names that touch two groups merges them into the older one.
+function link(map, names) {
+  const keyed = names.filter(Boolean).map(n => [normalizeDesignation(n), String(n).trim()]);
+  if (keyed.length === 0) return;
+
+  const groups = [...new Set(keyed.map(([k]) => map.get(k)).filter(Boolean))];
+  groups.sort((a, b) => a.order - b.order);
+  // map.size only grows, so it orders groups by creation
+  const group = groups[0] || { canonical: keyed[0][1], names: new Set(), order: map.size };
+
+  for (const other of groups.slice(1)) {
+    other.names.forEach(n => { group.names.add(n); map.set(normalizeDesignation(n), group); });
+  }
+  for (const [key, original] of keyed) {
+    group.names.add(original);
+    map.set(key, group);
+  }
+}
+
+/**
+ * Alias index over a catalog. Records contribute their own names
+ * (`system` + `starAltNames`, `name` + `altNames` + `keplerName`), then
+ * imported groups ({ stars: [[...]], planets: [[...]] }) are linked in, so
+ * catalog names stay canonical wherever they exist.
+ * Returns { stars, planets }; pass it to the resolve functions below.
+ */
+export function buildAliasIndex(planets, imported = null) {
+  const index = { stars: new Map(), planets: new Map() };
+  for (const p of planets) {
+    link(index.stars, [p.system, ...(p.starAltNames || [])]);
+    link(index.planets, [p.name, ...(p.altNames || []), p.keplerName]);
+  }
+  if (imported) {
+    (imported.stars || []).forEach(group => link(index.stars, group));
+    (imported.planets || []).forEach(group => link(index.planets, group));
+  }
+  return index;
+}
+
+// ── Resolution ───────────────────────────────
+export function resolveStar(index, name) {
+  const group = index && index.stars.get(normalizeDesignation(name));
+  return group ? group.canonical : null;
+}
+
+// A planet not known under this name is tried as <host alias> + suffix,
+// so "Gliese 581 c" finds "GJ 581 c" once the hosts are linked.
+export function resolvePlanet(index, name) {
+  if (!index) return null;
+  const group = index.planets.get(normalizeDesignation(name));
+  if (group) return group.canonical;
+
+  const parts = splitPlanetName(name);
+  if (!parts) return null;
+  const starGroup = index.stars.get(normalizeDesignation(parts.host));
+  if (!starGroup) return null;
+  for (const host of starGroup.names) {
+    const match = index.planets.get(normalizeDesignation(host + parts.suffix)) ||
+                  index.planets.get(normalizeDesignation(host + parts.suffix.trim()));
+    if (match) return match.canonical;
+  }
+  return null;
+}
+
+// Every known name for a star, canonical first
+export function starAliases(index, name) {
+  const group = index && index.stars.get(normalizeDesignation(name));
+  if (!group) return [name];
+  return [group.canonical, ...[...group.names].filter(n => n !== group.canonical)];
+}
+
+// Grouping key: names of the same star compare equal
+export function starKey(index, name) {
+  return normalizeDesignation(resolveStar(index, name) || name);
+}
+
+// Planets compare equal when their names are linked, or when their hosts
+// are and the suffixes match ("GJ 581 c" and "HIP 74995 c")
+export function planetKey(index, name) {
+  const canonical = resolvePlanet(index, name) || name;
+  const parts = splitPlanetName(canonical);
+  if (!parts) return normalizeDesignation(canonical);
+  return `${starKey(index, parts.host)} / ${normalizeDesignation(parts.suffix)}`;
+}
+
+// ── Record Merge ─────────────────────────────
+// Folds a duplicate record (same planet under another name or from another
+// catalog) into the one being kept: the kept record's values win, gaps are
+// filled from the duplicate, and both sets of names survive as aliases.
+export function mergePlanetRecords(kept, duplicate) {
+  for (const [field, value] of Object.entries(duplicate)) {
+    if (kept[field] == null && value != null) kept[field] = value;
+  }
+  if (kept.measurements && duplicate.measurements) {
+    for (const [field, m] of Object.entries(duplicate.measurements)) {
+      if (kept.measurements[field] == null && m != null) kept.measurements[field] = m;
+    }
+  }
+
+  const names = (own, other) => [...new Set([...(own || []), ...(other || [])])];
+  kept.altNames = names(kept.altNames, [duplicate.name, ...(duplicate.altNames || [])])
+    .filter(n => n !== kept.name);
+  kept.starAltNames = names(kept.starAltNames, [duplicate.system, ...(duplicate.starAltNames || [])])
+    .filter(n => n !== kept.system);
+  kept.catalogs = names(kept.catalogs || [kept.catalog], duplicate.catalogs || [duplicate.catalog])
+    .filter(Boolean);
+  return kept;
+}
+
+// ── Alias Files ──────────────────────────────
+/**
+ * Parse an alias file. JSON: { "stars": [["GJ 581", "HIP 74995"]],
+ * "planets": [["GJ 581 c", "Gliese 581 c"]] }, or a bare array of star
+ * groups. Text: one star per line, names separated by "|" or tabs;
+ * blank lines and lines starting with "#" are ignored.
+ */
+export function parseAliasFile(text) {
+  const trimmed = text.trim();
+  let parsed;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (e) {
+      throw new Error(`Alias file is not valid JSON: ${e.message}`);
+    }
+    if (Array.isArray(parsed)) parsed = { stars: parsed };
+  } else {
+    parsed = {
+      stars: trimmed.split(/\r?\n/)
+        .filter(line => line.trim() && !line.trim().startsWith('#'))
+        .map(line => line.split(/\||\t/)),
+    };
+  }
+
+  const clean = groups => (Array.isArray(groups) ? groups : [])
+    .filter(Array.isArray)
+    .map(g => g.map(n => String(n).trim()).filter(Boolean))
+    .filter(g => g.length > 1);
+  const result = { stars: clean(parsed.stars), planets: clean(parsed.planets) };
+  if (result.stars.length + result.planets.length === 0) {
+    throw new Error('Alias file has no groups of two or more names');
+  }
+  return result;
+}
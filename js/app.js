@@ -37,14 +37,27 @@ import {
   createVisualProfile,
   calculateHabitability,
   getSystemPlanets,
+  getDefaultPlanet,
   initializeNASACatalog,
+  switchPrimarySource,
+  exportCatalogSnapshot,
+  importCatalogSnapshot,
   getDataSource,
+  getDataSourceId,
   getDataFetchedAt,
+  onCatalogReady,
 } from './database.js';
 
-import { initCatalog, toggleCatalog, setCurrentPlanet, hideCatalog, refreshCatalog } from './catalog-ui.js';
+import { listSources, getSource, getPrimarySource, getPrimarySourceId, getCatalogLabel } from './sources.js';
+
+import { initCatalog, toggleCatalog, setCurrentPlanet, hideCatalog, refreshCatalog, showPlanetSet, showPlanetByName } from './catalog-ui.js';
+import { initQualityView, refreshQualityView } from './quality-ui.js';
+import { connectLiveUpdates } from './live-updates.js';
+import { parseRoute, setRoutedPlanet, showPlanetRoute, onRouteChange } from './router.js';
 import { initWarpSystem, startWarpTravel, updateWarp, isWarping } from './travel.js';
 import { drawHZDiagram } from './discovery-animations.js';
+import { formatWithError, formatField, describeStar } from './science.js';
+import { escapeHTML } from './html.js';
 
 // ── Globals ──────────────────────────────────
 let scene, camera, renderer, composer, controls;
@@ -68,6 +81,8 @@ fallbackSurfaceTexture.colorSpace = THREE.SRGBColorSpace;
 let currentPlanet = null;
 let currentProfile = null;
 let quickActionFeedbackTimer = null;
+// A deep link naming a planet that only the full catalog has
+let pendingRoute = null;
 
 // Planet parameters (dynamic)
 const PLANET_RADIUS = 1.5;
@@ -145,9 +160,23 @@ function init() {
   // Initialize warp system
   initWarpSystem(scene, camera, clock);
 
-  // Load initial planet (TRAPPIST-1e)
-  const initialPlanet = getPlanetByName('TRAPPIST-1e') || PLANET_CATALOG[0];
-  loadPlanet(initialPlanet);
+  // Load initial planet: the deep link (/planet/<name>, /system/<name>) if
+  // the built-in catalog has it, else TRAPPIST-1e until the catalog is in
+  const route = parseRoute();
+  const routedPlanet = resolveRoute(route);
+  if (route && !routedPlanet) pendingRoute = route;
+  loadPlanet(routedPlanet || getPlanetByName('TRAPPIST-1e') || getDefaultPlanet(), { updateUrl: false });
+  onCatalogReady(() => {
+    if (!pendingRoute) return;
+    const planetData = resolveRoute(pendingRoute);
+    if (planetData) loadPlanet(planetData, { updateUrl: false });
+    else console.warn(`[App] No planet or system named "${pendingRoute.name}"`);
+    pendingRoute = null;
+  });
+  onRouteChange((next) => {
+    const planetData = next ? resolveRoute(next) : getPlanetByName('TRAPPIST-1e');
+    if (planetData && (!currentPlanet || planetData.name !== currentPlanet.name)) loadPlanet(planetData, { updateUrl: false });
+  });
 
   // Initialize catalog (non-fatal if UI catalog fails)
   let catalogInitOk = true;
@@ -157,45 +186,147 @@ function init() {
     catalogInitOk = false;
     console.error('[App] Catalog init failed:', err);
   }
+  initQualityView({ showPlanets: showPlanetSet, showPlanet: showPlanetByName });
 
-  // Begin NASA data loading (async, non-blocking)
-  updateDataStatus('loading', catalogInitOk ? 'LOADING NASA DATA...' : 'CATALOG UI DEGRADED');
-  initializeNASACatalog((progress) => {
-    if (progress.phase === 'ready') {
-      updateDataStatus(
-        progress.error ? 'fallback' : 'online',
-        progress.error ? 'BUILT-IN DATA' : 'NASA ARCHIVE LIVE'
-      );
-      refreshCatalog();
-      // Reload current planet if it exists in new catalog
-      if (currentPlanet) {
-        const updated = getPlanetByName(currentPlanet.name);
-        if (updated) loadPlanet(updated);
-      }
-    } else if (progress.phase === 'fetching') {
-      updateDataStatus('loading', progress.message || 'FETCHING...');
-    }
-  }).catch(err => {
-    console.warn('[App] NASA init error:', err);
+  // Begin catalog loading from the primary source (async, non-blocking)
+  const source = getPrimarySource();
+  updateDataStatus('loading', catalogInitOk ? `LOADING ${source.shortLabel} DATA...` : 'CATALOG UI DEGRADED');
+  initializeNASACatalog(onCatalogProgress).catch(err => {
+    console.warn('[App] Catalog init error:', err);
     updateDataStatus('fallback', 'BUILT-IN DATA');
   });
+  initSourceSelect();
+  initSnapshotControls();
 
   // Listen for background refresh
   window.addEventListener('catalog-refreshed', () => {
     refreshCatalog();
-    updateDataStatus('online', 'NASA ARCHIVE LIVE');
+    refreshQualityView();
+    updateDataStatus('online', liveStatusText());
     const updated = currentPlanet ? getPlanetByName(currentPlanet.name) : null;
     if (updated) loadPlanet(updated);
   });
 
+  // Server-side catalog refreshes reach every open tab (serve.js only)
+  window.addEventListener('server-health', (e) => updateServerStatus(e.detail));
+  connectLiveUpdates();
+
   // Start
   initQuickActions();
   animate();
   startUIUpdates();
 }
 
+// ── Catalog Loading Progress ─────────────────
+function onCatalogProgress(progress) {
+  if (progress.phase === 'ready') {
+    updateDataStatus(
+      progress.error ? 'fallback' : 'online',
+      progress.error ? 'BUILT-IN DATA' : liveStatusText()
+    );
+    refreshCatalog();
+    refreshQualityView();
+    // Reload current planet if it exists in new catalog
+    if (currentPlanet) {
+      const updated = getPlanetByName(currentPlanet.name);
+      if (updated) loadPlanet(updated);
+    }
+  } else if (progress.phase === 'fetching') {
+    updateDataStatus('loading', progress.message || 'FETCHING...');
+  }
+}
+
+function liveStatusText() {
+  return `${getCatalogLabel(getDataSourceId()).toUpperCase()} LIVE`;
+}
+
+// ── Primary Source Setting ───────────────────
+function initSourceSelect() {
+  const select = document.getElementById('source-select');
+  if (!select) return;
+  select.innerHTML = listSources()
+    .map(s => `<option value="${s.id}">${s.shortLabel}</option>`)
+    .join('');
+  select.value = getPrimarySourceId();
+
+  select.addEventListener('change', () => {
+    select.querySelector('option[value="snapshot"]')?.remove();
+    const source = getSource(select.value);
+    updateDataStatus('loading', `LOADING ${source.shortLabel} DATA...`);
+    select.disabled = true;
+    switchPrimarySource(source.id, onCatalogProgress)
+      .catch(err => {
+        console.warn('[App] Source switch failed:', err);
+        updateDataStatus('fallback', 'BUILT-IN DATA');
+      })
+      .finally(() => { select.disabled = false; });
+  });
+}
+
+// ── Catalog Snapshots ────────────────────────
+function initSnapshotControls() {
+  const input = document.getElementById('snapshot-file-input');
+  document.getElementById('snapshot-import')?.addEventListener('click', () => input?.click());
+  input?.addEventListener('change', onSnapshotFileChosen);
+
+  document.querySelectorAll('[data-snapshot-export]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        const { blob, fileName } = await exportCatalogSnapshot({ gzip: btn.dataset.snapshotExport === 'gzip' });
+        downloadBlob(blob, fileName);
+        showQuickActionFeedback(`EXPORTED ${PLANET_CATALOG.length.toLocaleString()} PLANETS`);
+      } catch (err) {
+        console.warn('[App] Snapshot export failed:', err);
+        showQuickActionFeedback('EXPORT FAILED');
+      }
+    });
+  });
+}
+
+async function onSnapshotFileChosen(event) {
+  const input = event.target;
+  const file = input.files && input.files[0];
+  input.value = ''; // choosing the same file again still fires change
+  if (!file) return;
+
+  try {
+    await importCatalogSnapshot(file);
+  } catch (err) {
+    console.warn('[App] Snapshot import failed:', err.message);
+    showQuickActionFeedback('SNAPSHOT REJECTED');
+    return;
+  }
+
+  // The source setting shows the snapshot until a source is picked again
+  const select = document.getElementById('source-select');
+  if (select && !select.querySelector('option[value="snapshot"]')) {
+    select.insertAdjacentHTML('beforeend', '<option value="snapshot" disabled>SNAPSHOT</option>');
+  }
+  if (select) select.value = 'snapshot';
+
+  updateDataStatus('online', `SNAPSHOT: ${file.name.toUpperCase()}`);
+  refreshCatalog();
+  refreshQualityView();
+  const updated = currentPlanet ? getPlanetByName(currentPlanet.name) : null;
+  loadPlanet(updated || getDefaultPlanet());
+  showQuickActionFeedback(`LOADED ${PLANET_CATALOG.length.toLocaleString()} PLANETS`);
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 // ── Load Planet Data ─────────────────────────
-function loadPlanet(planetData) {
+// `updateUrl: false` when the address bar already names the planet (boot,
+// back/forward); otherwise selecting a planet adds a history entry
+function loadPlanet(planetData, { updateUrl = true } = {}) {
   currentPlanet = planetData;
   currentProfile = createVisualProfile(planetData);
 
@@ -210,7 +341,19 @@ function loadPlanet(planetData) {
   const systemLabel = document.querySelector('.system-label');
   const targetLabel = document.querySelector('.target-label');
   if (systemLabel) systemLabel.textContent = `${planetData.system} SYSTEM`;
-  if (targetLabel) targetLabel.innerHTML = `TARGET: <strong>${planetData.name}</strong>`;
+  if (targetLabel) targetLabel.innerHTML = `TARGET: <strong>${escapeHTML(planetData.name)}</strong>`;
+
+  // A pending deep link keeps its URL until the catalog resolves it
+  if (!updateUrl) setRoutedPlanet(planetData);
+  else if (!pendingRoute) showPlanetRoute(planetData);
+}
+
+// A system link opens its innermost planet
+function resolveRoute(route) {
+  if (!route) return null;
+  if (route.type === 'planet') return getPlanetByName(route.name) || null;
+  const byOrbit = (a, b) => (a.semiMajorAxis ?? a.period ?? Infinity) - (b.semiMajorAxis ?? b.period ?? Infinity);
+  return [...getSystemPlanets(route.name)].sort(byOrbit)[0] || null;
 }
 
 // ── Update Planet Visual Parameters ──────────
@@ -337,14 +480,14 @@ function updateTelemetryPanel() {
 
   setDataValue('DESIGNATION', p.name, 'gold');
   setDataValue('CLASSIFICATION', p.type, 'cyan');
-  setDataValue('DISTANCE', `${p.distance.toFixed(2)} <span class="unit">LY</span>`);
-  setDataValue('RADIUS', `${p.radius.toFixed(3)} <span class="unit">R⊕</span>`);
-  setDataValue('MASS', `${p.mass.toFixed(3)} <span class="unit">M⊕</span>`);
-  setDataValue('ORBITAL PERIOD', `${p.period.toFixed(3)} <span class="unit">DAYS</span>`);
-  setDataValue('SEMI-MAJOR AXIS', `${p.semiMajorAxis.toFixed(5)} <span class="unit">AU</span>`);
+  setDataValue('DISTANCE', `${formatField(p, 'distance', p.distance.toFixed(2))} <span class="unit">LY</span>`);
+  setDataValue('RADIUS', `${formatField(p, 'radius', p.radius.toFixed(3), 3)} <span class="unit">R⊕</span>`);
+  setDataValue('MASS', `${formatField(p, 'mass', p.mass.toFixed(3), 3)} <span class="unit">M⊕</span>`);
+  setDataValue('ORBITAL PERIOD', `${formatField(p, 'period', p.period.toFixed(3), 3)} <span class="unit">DAYS</span>`);
+  setDataValue('SEMI-MAJOR AXIS', `${formatField(p, 'semiMajorAxis', p.semiMajorAxis.toFixed(5), 5)} <span class="unit">AU</span>`);
 
   const eqTempEl = document.getElementById('eq-temp');
-  if (eqTempEl) eqTempEl.innerHTML = `${p.eqTemp} <span class="unit">K</span>`;
+  if (eqTempEl) eqTempEl.innerHTML = `${formatField(p, 'eqTemp', String(p.eqTemp), 0)} <span class="unit">K</span>`;
 
   const habValue = document.getElementById('hab-value');
   if (habValue) {
@@ -403,14 +546,17 @@ function setStarData(planetData) {
   const starSection = document.querySelector('.star-section');
   if (!starSection) return;
   const title = starSection.querySelector('.section-title');
-  if (title) title.innerHTML = `<span class="icon">★</span> HOST STAR: ${planetData.system}`;
+  if (title) title.innerHTML = `<span class="icon">★</span> HOST STAR: ${escapeHTML(planetData.system)}`;
   const grid = starSection.querySelector('.data-grid');
+  const m = planetData.measurements || {};
   if (grid) {
     grid.innerHTML = `
-      <div class="data-item"><span class="data-label">TYPE</span><span class="data-value red">${planetData.starType || 'Unknown'}</span></div>
-      <div class="data-item"><span class="data-label">TEMP</span><span class="data-value">${planetData.starTemp ? planetData.starTemp.toLocaleString() : '?'} <span class="unit">K</span></span></div>
-      <div class="data-item"><span class="data-label">LUMINOSITY</span><span class="data-value">${planetData.starLum || '?'} <span class="unit">L☉</span></span></div>
-      <div class="data-item"><span class="data-label">MASS</span><span class="data-value">${planetData.starMass || '?'} <span class="unit">M☉</span></span></div>
+      <div class="data-item"><span class="data-label">TYPE</span><span class="data-value red">${escapeHTML(planetData.starType || 'Unknown')}</span></div>
+      <div class="data-item"><span class="data-label">TEMP</span><span class="data-value">${planetData.starTemp ? formatWithError(planetData.starTemp.toLocaleString(), m.starTemp, 0) : '?'} <span class="unit">K</span></span></div>
+      <div class="data-item"><span class="data-label">LUMINOSITY</span><span class="data-value">${planetData.starLum ? formatField(planetData, 'starLum', String(planetData.starLum), 4) : '?'} <span class="unit">L☉</span></span></div>
+      ${describeStar(planetData).map(row => `
+        <div class="data-item"><span class="data-label">${row.label}</span><span class="data-value">${row.value} <span class="unit">${row.unit}</span></span></div>
+      `).join('')}
     `;
   }
 }
@@ -541,13 +687,41 @@ function updateDataStatus(state, text) {
   }
   if (srcLabel) {
     const src = getDataSource();
-    srcLabel.textContent = src === 'nasa' ? '▁▂▃▅▇ NASA LIVE' : src === 'cache' ? '▁▂▃▅ CACHED' : '▁▂▃ BUILT-IN';
+    const name = getSource(getDataSourceId())?.shortLabel;
+    srcLabel.textContent = src === 'nasa' ? `▁▂▃▅▇ ${name} LIVE`
+      : src === 'cache' ? `▁▂▃▅ ${name} CACHED`
+      : src === 'snapshot' ? `▁▂▃▅ ${name || 'BUILT-IN'} SNAPSHOT`
+      : '▁▂▃ BUILT-IN';
+  }
+}
+
+// Live-update connection, as a tooltip and ring on the status dot;
+// updateDataStatus rewrites the dot's classes, so this uses a data attribute
+function updateServerStatus(health) {
+  const dot = document.getElementById('data-status-dot');
+  const label = document.getElementById('data-status-text');
+  let title;
+  if (health.status === 'disconnected') {
+    title = 'Live updates: server unreachable, reconnecting...';
+  } else {
+    const catalog = health.catalog;
+    title = [
+      `Live updates: server ${health.status}`,
+      catalog ? `server catalog ${catalog.status}${catalog.planets ? ` (${catalog.planets.toLocaleString()} planets)` : ''}` : '',
+      catalog && catalog.error ? `last error: ${catalog.error}` : '',
+    ].filter(Boolean).join(' · ');
+  }
+  if (dot) {
+    dot.dataset.server = health.status;
+    dot.title = title;
   }
+  if (label) label.title = title;
 }
 
 // ── Planet Selection Handler ─────────────────
 function onPlanetSelected(planetData) {
   if (isWarping()) return;
+  pendingRoute = null;
   startWarpTravel(planetData, () => {
     loadPlanet(planetData);
     animateCameraReset();
@@ -0,0 +1,333 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — CATALOG CACHE STORE
+// IndexedDB persistence for the processed catalog:
+// one record per planet plus a metadata record,
+// with versioned object stores and legacy migration.
+// Also holds per-planet parameter sets from the `ps` table,
+// the catalog changelog history and imported alias groups.
+// ═══════════════════════════════════════════════
+
+const DB_NAME = 'exoplanet-explorer';
+const DB_VERSION = 3;
+
+const STORE_PLANETS = 'planets';
+const STORE_META = 'meta';
+const STORE_PARAM_SETS = 'parameterSets';
+const STORE_CHANGELOGS = 'changelogs';
+const CATALOG_META_KEY = 'catalog';
+const ALIASES_META_KEY = 'aliases';
+
+// Pre-IndexedDB cache lived in localStorage under these keys
+const LEGACY_CACHE_KEY = 'exoplanet_nasa_cache';
+const LEGACY_META_KEY = 'exoplanet_nasa_cache_meta';
+
+// Object store layout, keyed by the DB version each step upgrades to.
+// Add a new entry (and bump DB_VERSION) instead of editing old ones.
+const STORE_MIGRATIONS = {
+  1(db) {
+    db.createObjectStore(STORE_PLANETS, { keyPath: 'name' });
+    db.createObjectStore(STORE_META, { keyPath: 'key' });
+  },
+  2(db) {
+    db.createObjectStore(STORE_PARAM_SETS, { keyPath: 'name' });
+  },
+  3(db) {
+    db.createObjectStore(STORE_CHANGELOGS, { keyPath: 'id' });
+  },
+};
+
+let dbPromise = null;
+let metaMirror = null; // synchronous copy of the catalog meta record
+
+// ── IDB helpers ──────────────────────────────
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+// ── Open / Upgrade ───────────────────────────
+// Resolves to null when IndexedDB is unavailable (private mode, Node, etc.)
+export function openCacheDB() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  dbPromise = new Promise((resolve) => {
+    let request;
+    try {
+      request = indexedDB.open(DB_NAME, DB_VERSION);
+    } catch (e) {
+      console.warn('[Cache] IndexedDB unavailable:', e.message);
+      resolve(null);
+      return;
+    }
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let v = event.oldVersion + 1; v <= DB_VERSION; v++) {
+        if (STORE_MIGRATIONS[v]) STORE_MIGRATIONS[v](db, request.transaction);
+      }
+    };
+    request.onsuccess = async () => {
+      const db = request.result;
+      db.onversionchange = () => db.close();
+      try {
+        await migrateLegacyCache(db);
+      } catch (e) {
+        console.warn('[Cache] Legacy cache migration failed:', e.message);
+      }
+      resolve(db);
+    };
+    request.onerror = () => {
+      console.warn('[Cache] Could not open IndexedDB:', request.error && request.error.message);
+      resolve(null);
+    };
+    request.onblocked = () => {
+      console.warn('[Cache] IndexedDB upgrade blocked by another open tab');
+    };
+  });
+
+  return dbPromise;
+}
+
+// ── Legacy localStorage Migration ────────────
+// Moves the old single-blob cache into per-record storage, then drops it.
+// A truncated legacy cache is kept as a stale fallback but never treated as fresh.
+async function migrateLegacyCache(db) {
+  if (typeof localStorage === 'undefined') return;
+  const rawData = localStorage.getItem(LEGACY_CACHE_KEY);
+  const rawMeta = localStorage.getItem(LEGACY_META_KEY);
+  if (!rawData && !rawMeta) return;
+
+  let planets = null;
+  let meta = null;
+  try {
+    planets = rawData ? JSON.parse(rawData) : null;
+    meta = rawMeta ? JSON.parse(rawMeta) : null;
+  } catch { /* corrupt legacy cache, just drop it */ }
+
+  const existing = await promisifyRequest(
+    db.transaction(STORE_META, 'readonly').objectStore(STORE_META).get(CATALOG_META_KEY)
+  );
+
+  if (!existing && Array.isArray(planets) && planets.length > 0 && meta) {
+    await putCatalog(db, planets, {
+      ...meta,
+      recordCount: planets.length,
+      cachedCount: planets.length,
+      migratedFrom: 'localStorage',
+    });
+    console.info(`[Cache] Migrated ${planets.length} planets from localStorage to IndexedDB`);
+  }
+
+  localStorage.removeItem(LEGACY_CACHE_KEY);
+  localStorage.removeItem(LEGACY_META_KEY);
+}
+
+async function putCatalog(db, planets, meta) {
+  const tx = db.transaction([STORE_PLANETS, STORE_META], 'readwrite');
+  const planetStore = tx.objectStore(STORE_PLANETS);
+  planetStore.clear();
+  for (const p of planets) planetStore.put(p);
+  const record = { ...meta, key: CATALOG_META_KEY };
+  tx.objectStore(STORE_META).put(record);
+  await transactionDone(tx);
+  metaMirror = record;
+  return record;
+}
+
+// ── Catalog Read / Write ─────────────────────
+export async function readCatalogMeta() {
+  const db = await openCacheDB();
+  if (!db) return null;
+  try {
+    const meta = await promisifyRequest(
+      db.transaction(STORE_META, 'readonly').objectStore(STORE_META).get(CATALOG_META_KEY)
+    );
+    metaMirror = meta || null;
+    return metaMirror;
+  } catch (e) {
+    console.warn('[Cache] Could not read cache meta:', e.message);
+    return null;
+  }
+}
+
+export async function readCatalog() {
+  const db = await openCacheDB();
+  if (!db) return null;
+  try {
+    const planets = await promisifyRequest(
+      db.transaction(STORE_PLANETS, 'readonly').objectStore(STORE_PLANETS).getAll()
+    );
+    return planets && planets.length > 0 ? planets : null;
+  } catch (e) {
+    console.warn('[Cache] Could not read cached catalog:', e.message);
+    return null;
+  }
+}
+
+// Writes every record in a single transaction: either the whole catalog
+// lands (and the meta is updated) or nothing does.
+export async function writeCatalog(planets, meta) {
+  const db = await openCacheDB();
+  if (!db) return null;
+  try {
+    return await putCatalog(db, planets, { ...meta, cachedCount: planets.length });
+  } catch (e) {
+    console.warn('[Cache] Could not write catalog cache:', e && e.message);
+    return null;
+  }
+}
+
+// Incremental update: upserts changed planets, deletes removed ones and
+// replaces the meta record, all in one transaction.
+export async function applyCatalogDelta(upserts, removedNames, meta) {
+  const db = await openCacheDB();
+  if (!db) return null;
+  try {
+    const tx = db.transaction([STORE_PLANETS, STORE_META], 'readwrite');
+    const planetStore = tx.objectStore(STORE_PLANETS);
+    for (const p of upserts) planetStore.put(p);
+    for (const name of removedNames) planetStore.delete(name);
+    const record = { ...meta, cachedCount: meta.recordCount, key: CATALOG_META_KEY };
+    tx.objectStore(STORE_META).put(record);
+    await transactionDone(tx);
+    metaMirror = record;
+    return record;
+  } catch (e) {
+    console.warn('[Cache] Could not apply catalog delta:', e && e.message);
+    return null;
+  }
+}
+
+export async function clearCatalog() {
+  metaMirror = null;
+  if (typeof localStorage !== 'undefined') {
+    localStorage.removeItem(LEGACY_CACHE_KEY);
+    localStorage.removeItem(LEGACY_META_KEY);
+  }
+  const db = await openCacheDB();
+  if (!db) return;
+  const tx = db.transaction([STORE_PLANETS, STORE_META], 'readwrite');
+  tx.objectStore(STORE_PLANETS).clear();
+  tx.objectStore(STORE_META).delete(CATALOG_META_KEY);
+  await transactionDone(tx);
+}
+
+// ── Parameter Sets (per planet) ──────────────
+// Record: { name, fetchedAt, version, sets: [...] }
+export async function readParameterSets(name) {
+  const db = await openCacheDB();
+  if (!db) return null;
+  try {
+    const record = await promisifyRequest(
+      db.transaction(STORE_PARAM_SETS, 'readonly').objectStore(STORE_PARAM_SETS).get(name)
+    );
+    return record || null;
+  } catch (e) {
+    console.warn('[Cache] Could not read parameter sets:', e.message);
+    return null;
+  }
+}
+
+export async function writeParameterSets(record) {
+  const db = await openCacheDB();
+  if (!db) return null;
+  try {
+    const tx = db.transaction(STORE_PARAM_SETS, 'readwrite');
+    tx.objectStore(STORE_PARAM_SETS).put(record);
+    await transactionDone(tx);
+    return record;
+  } catch (e) {
+    console.warn('[Cache] Could not write parameter sets:', e && e.message);
+    return null;
+  }
+}
+
+export async function clearParameterSets() {
+  const db = await openCacheDB();
+  if (!db) return;
+  const tx = db.transaction(STORE_PARAM_SETS, 'readwrite');
+  tx.objectStore(STORE_PARAM_SETS).clear();
+  await transactionDone(tx);
+}
+
+// ── Changelog History ────────────────────────
+// Keeps the newest `maxEntries` changelogs; ids sort by creation time.
+export async function addChangelog(entry, maxEntries) {
+  const db = await openCacheDB();
+  if (!db) return null;
+  try {
+    const tx = db.transaction(STORE_CHANGELOGS, 'readwrite');
+    const store = tx.objectStore(STORE_CHANGELOGS);
+    store.put(entry);
+    const keys = await promisifyRequest(store.getAllKeys());
+    const sorted = keys.sort((a, b) => Number(a) - Number(b));
+    sorted.slice(0, Math.max(0, sorted.length - maxEntries)).forEach(k => store.delete(k));
+    await transactionDone(tx);
+    return entry;
+  } catch (e) {
+    console.warn('[Cache] Could not store changelog:', e && e.message);
+    return null;
+  }
+}
+
+export async function readChangelogs() {
+  const db = await openCacheDB();
+  if (!db) return [];
+  try {
+    const entries = await promisifyRequest(
+      db.transaction(STORE_CHANGELOGS, 'readonly').objectStore(STORE_CHANGELOGS).getAll()
+    );
+    return entries.sort((a, b) => b.createdAt - a.createdAt);
+  } catch (e) {
+    console.warn('[Cache] Could not read changelogs:', e.message);
+    return [];
+  }
+}
+
+// ── Imported Aliases ─────────────────────────
+// Record: { importedAt, fileName, stars: [[...]], planets: [[...]] }; kept
+// in the meta store so the pipeline worker sees the same groups.
+export async function readAliasFile() {
+  const db = await openCacheDB();
+  if (!db) return null;
+  try {
+    const record = await promisifyRequest(
+      db.transaction(STORE_META, 'readonly').objectStore(STORE_META).get(ALIASES_META_KEY)
+    );
+    return record || null;
+  } catch (e) {
+    console.warn('[Cache] Could not read alias file:', e.message);
+    return null;
+  }
+}
+
+export async function writeAliasFile(aliases) {
+  const db = await openCacheDB();
+  if (!db) return null;
+  try {
+    const record = { ...aliases, key: ALIASES_META_KEY };
+    const tx = db.transaction(STORE_META, 'readwrite');
+    tx.objectStore(STORE_META).put(record);
+    await transactionDone(tx);
+    return record;
+  } catch (e) {
+    console.warn('[Cache] Could not store alias file:', e && e.message);
+    return null;
+  }
+}
+
+// Last meta record seen by this tab (null until the first read/write)
+export function getCatalogMetaSync() {
+  return metaMirror;
+}
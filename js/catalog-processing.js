@@ -0,0 +1,199 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — CATALOG PROCESSING
+// Classification, habitability and enrichment of pipeline
+// records, and the load/refresh tasks pipeline-worker.js
+// runs. Kept apart from database.js so the worker does not
+// build the built-in fallback catalog at import.
+// ═══════════════════════════════════════════════
+
+import { loadCatalog, backgroundRefresh } from './nasa-data.js';
+import { enrichPlanet } from './science.js';
+import { knownValue } from './provenance.js';
+import { forecastMass, effectiveMass } from './mass-radius.js';
+import { getPrimarySource } from './sources.js';
+
+// ── Planet Classification Types ──────────────
+export const PlanetType = {
+  HOT_JUPITER: 'Hot Jupiter',
+  WARM_JUPITER: 'Warm Jupiter',
+  COLD_JUPITER: 'Cold Jupiter',
+  HOT_NEPTUNE: 'Hot Neptune',
+  WARM_NEPTUNE: 'Warm Neptune',
+  SUPER_EARTH: 'Super-Earth',
+  ROCKY_TERRESTRIAL: 'Rocky Terrestrial',
+  SUB_EARTH: 'Sub-Earth',
+  LAVA_WORLD: 'Lava World',
+  ICE_GIANT: 'Ice Giant',
+  WATER_WORLD: 'Water World',
+  DESERT_WORLD: 'Desert World',
+  GAS_DWARF: 'Gas Dwarf',
+};
+
+// ── Habitability Score Calculator ────────────
+export function calculateHabitability(planet) {
+  let score = 0;
+  const t = knownValue(planet, 'eqTemp') || 0;
+  const r = knownValue(planet, 'radius') || 0;
+  const m = knownValue(planet, 'mass') != null ? effectiveMass(planet) : 0;
+
+  // Temperature: ideal 200-310K
+  if (t >= 200 && t <= 310) score += 0.35;
+  else if (t >= 150 && t <= 400) score += 0.15;
+  else score += 0.02;
+
+  // Size: Earth-like 0.5-2.5 R⊕
+  if (r >= 0.5 && r <= 2.0) score += 0.25;
+  else if (r >= 0.3 && r <= 3.0) score += 0.1;
+  else score += 0.01;
+
+  // Mass: Earth-like
+  if (m > 0) {
+    if (m >= 0.3 && m <= 5.0) score += 0.15;
+    else if (m >= 0.1 && m <= 10.0) score += 0.05;
+  } else {
+    score += 0.05; // unknown mass, neutral
+  }
+
+  // Star type bonus
+  if (planet.starType) {
+    const s = planet.starType[0];
+    if (s === 'G' || s === 'K') score += 0.15;
+    else if (s === 'F' || s === 'M') score += 0.08;
+    else score += 0.02;
+  } else {
+    score += 0.05;
+  }
+
+  // Orbital period / semi-major axis (habitable zone proximity)
+  if (knownValue(planet, 'semiMajorAxis')) {
+    const a = planet.semiMajorAxis;
+    if (a >= 0.5 && a <= 2.0) score += 0.1;
+    else if (a >= 0.1 && a <= 5.0) score += 0.04;
+  } else {
+    score += 0.03;
+  }
+
+  return Math.min(Math.round(score * 100) / 100, 1.0);
+}
+
+// ── Classify planet type from properties ─────
+export function classifyPlanet(radius, mass, eqTemp) {
+  const r = radius || 1;
+  const m = mass || forecastMass(r).value;
+
+  if (eqTemp > 1500 && r < 2) return PlanetType.LAVA_WORLD;
+  if (r > 8) {
+    if (eqTemp > 1000) return PlanetType.HOT_JUPITER;
+    if (eqTemp > 400) return PlanetType.WARM_JUPITER;
+    return PlanetType.COLD_JUPITER;
+  }
+  if (r > 3.5) {
+    if (eqTemp > 800) return PlanetType.HOT_NEPTUNE;
+    if (eqTemp > 200) return PlanetType.WARM_NEPTUNE;
+    return PlanetType.ICE_GIANT;
+  }
+  if (r > 1.6) {
+    if (eqTemp > 500) return PlanetType.SUPER_EARTH;
+    if (eqTemp > 200) return PlanetType.WATER_WORLD;
+    return PlanetType.SUPER_EARTH;
+  }
+  if (r < 0.5) return PlanetType.SUB_EARTH;
+  if (eqTemp > 600) return PlanetType.LAVA_WORLD;
+  if (eqTemp < 180) return PlanetType.DESERT_WORLD;
+  return PlanetType.ROCKY_TERRESTRIAL;
+}
+
+// ── Generate atmosphere composition ──────────
+export function generateAtmosphere(type, eqTemp) {
+  const atmo = [];
+  switch (type) {
+    case PlanetType.HOT_JUPITER:
+    case PlanetType.WARM_JUPITER:
+      atmo.push({ gas: 'H₂', pct: 75 + Math.random() * 15 });
+      atmo.push({ gas: 'He', pct: 10 + Math.random() * 10 });
+      atmo.push({ gas: 'CH₄', pct: Math.random() * 3 });
+      break;
+    case PlanetType.COLD_JUPITER:
+      atmo.push({ gas: 'H₂', pct: 80 + Math.random() * 10 });
+      atmo.push({ gas: 'He', pct: 8 + Math.random() * 8 });
+      atmo.push({ gas: 'NH₃', pct: Math.random() * 2 });
+      break;
+    case PlanetType.HOT_NEPTUNE:
+    case PlanetType.WARM_NEPTUNE:
+      atmo.push({ gas: 'H₂', pct: 50 + Math.random() * 20 });
+      atmo.push({ gas: 'He', pct: 15 + Math.random() * 15 });
+      atmo.push({ gas: 'H₂O', pct: 5 + Math.random() * 10 });
+      break;
+    case PlanetType.LAVA_WORLD:
+      atmo.push({ gas: 'SiO₂', pct: 40 + Math.random() * 20 });
+      atmo.push({ gas: 'Na', pct: 10 + Math.random() * 15 });
+      atmo.push({ gas: 'SO₂', pct: 5 + Math.random() * 10 });
+      break;
+    case PlanetType.WATER_WORLD:
+      atmo.push({ gas: 'H₂O', pct: 40 + Math.random() * 30 });
+      atmo.push({ gas: 'N₂', pct: 15 + Math.random() * 20 });
+      atmo.push({ gas: 'CO₂', pct: 5 + Math.random() * 10 });
+      break;
+    case PlanetType.ICE_GIANT:
+      atmo.push({ gas: 'H₂', pct: 60 + Math.random() * 15 });
+      atmo.push({ gas: 'He', pct: 10 + Math.random() * 15 });
+      atmo.push({ gas: 'CH₄', pct: 5 + Math.random() * 8 });
+      break;
+    default: // rocky/terrestrial/super-earth
+      if (eqTemp > 200 && eqTemp < 350) {
+        atmo.push({ gas: 'N₂', pct: 50 + Math.random() * 30 });
+        atmo.push({ gas: 'CO₂', pct: 10 + Math.random() * 30 });
+        atmo.push({ gas: 'H₂O', pct: 5 + Math.random() * 20 });
+        atmo.push({ gas: 'O₂', pct: Math.random() * 8 });
+      } else {
+        atmo.push({ gas: 'CO₂', pct: 60 + Math.random() * 25 });
+        atmo.push({ gas: 'N₂', pct: 5 + Math.random() * 15 });
+        atmo.push({ gas: 'SO₂', pct: Math.random() * 5 });
+      }
+  }
+
+  // Normalize to ~100%
+  const total = atmo.reduce((s, a) => s + a.pct, 0);
+  atmo.forEach(a => a.pct = Math.round((a.pct / total) * 1000) / 10);
+  return atmo;
+}
+
+// ── Process NASA data into full catalog entries ──
+export function processNASAPlanets(nasaPlanets) {
+  return nasaPlanets.map((p, i) => {
+    const type = classifyPlanet(p.radius, p.mass, p.eqTemp);
+    const planet = {
+      id: i,
+      ...p,
+      type,
+      atmosphere: generateAtmosphere(type, p.eqTemp),
+      nasaRaw: true,
+    };
+    planet.habitability = calculateHabitability(planet);
+    enrichPlanet(planet);
+    return planet;
+  });
+}
+
+// ── Pipeline tasks ───────────────────────────
+// Fetch/map/validate plus enrichment. These run inside pipeline-worker.js;
+// called directly they do the same work on the current thread.
+export async function loadProcessedCatalog(onProgress) {
+  const result = await loadCatalog(getPrimarySource(), onProgress);
+  if (result.planets && result.planets.length > 0) {
+    if (onProgress) onProgress({ phase: 'enriching', message: `Enriching ${result.planets.length} planets...`, count: result.planets.length });
+    result.planets = processNASAPlanets(result.planets);
+  }
+  return result;
+}
+
+// Resolves to the processed refresh result, or null when nothing changed.
+// `force` skips the hourly age check (the server announced a change).
+export async function refreshProcessedCatalog(onProgress, { force = false } = {}) {
+  let refreshResult = null;
+  await backgroundRefresh((r) => { refreshResult = r; }, onProgress, getPrimarySource(), { force });
+  if (refreshResult && refreshResult.planets) {
+    refreshResult.planets = processNASAPlanets(refreshResult.planets);
+  }
+  return refreshResult;
+}
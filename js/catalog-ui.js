@@ -7,8 +7,14 @@ import {
   PLANET_CATALOG,
   searchPlanets,
   PlanetType,
+  PlanetStatus,
   getCatalogStats,
   getSystemPlanets,
+  getPlanetByName,
+  getStarAliases,
+  importAliasFile,
+  getQuarantine,
+  getDataReport,
   createVisualProfile,
 } from './database.js';
 
@@ -16,8 +22,22 @@ import {
   DISCOVERY_METHODS,
   GLOSSARY,
   formatRADec,
+  formatWithError,
+  formatField,
+  describeStar,
+  applyParameterSet,
+  predictNextTransit,
+  errorDigits,
 } from './science.js';
 
+import { fetchParameterSets } from './nasa-data.js';
+
+import { knownValue } from './provenance.js';
+import { escapeHTML } from './html.js';
+import { getCatalogLabel } from './sources.js';
+
+import { getChangelogHistory, countUnseen, getLastSeen, markChangelogsSeen } from './changelog.js';
+
 import {
   ANIMATION_MAP,
   animateCanvas,
@@ -34,6 +54,7 @@ let catalogVisible = false;
 let selectedPlanetId = null;
 let discoveryAnimCleanup = null;
 let searchToken = 0;
+let linkedSetLabel = null;
 
 // ── Initialize Catalog ───────────────────────
 export function initCatalog(onSelect) {
@@ -42,6 +63,8 @@ export function initCatalog(onSelect) {
   updateStats();
   renderSkeletonCards(8);
   performSearch();
+  loadChangelogs();
+  updateQuarantine();
 }
 
 // ── Toggle Catalog Visibility ────────────────
@@ -173,6 +196,43 @@ function bindEvents() {
     });
   }
 
+  // Confirmed / candidate status filter
+  const statusFilter = document.getElementById('catalog-status-filter');
+  if (statusFilter) {
+    currentFilters.status = statusFilter.value;
+    statusFilter.addEventListener('change', () => {
+      currentFilters.status = statusFilter.value;
+      currentPage = 0;
+      performSearch();
+    });
+  }
+
+  // Host-star metallicity / age ranges: option values are "min,max", either side optional
+  [['metallicity-filter', 'Metallicity'], ['age-filter', 'Age']].forEach(([id, key]) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    select.addEventListener('change', () => {
+      const [min, max] = select.value.split(',');
+      delete currentFilters[`min${key}`];
+      delete currentFilters[`max${key}`];
+      if (min) currentFilters[`min${key}`] = parseFloat(min);
+      if (max) currentFilters[`max${key}`] = parseFloat(max);
+      currentPage = 0;
+      performSearch();
+    });
+  });
+
+  // What's new (changelog) panel
+  document.getElementById('changelog-toggle')?.addEventListener('click', toggleChangelogPanel);
+
+  // Quarantine review panel
+  document.getElementById('quarantine-toggle')?.addEventListener('click', toggleQuarantinePanel);
+
+  // Alias file import
+  const aliasInput = document.getElementById('alias-file-input');
+  document.getElementById('alias-import')?.addEventListener('click', () => aliasInput?.click());
+  aliasInput?.addEventListener('change', onAliasFileChosen);
+
   // Low-power mode toggle
   const lowPowerToggle = document.getElementById('low-power-toggle');
   if (lowPowerToggle) {
@@ -204,8 +264,9 @@ function bindEvents() {
 function applyQuickFilter(preset) {
   const searchInput = document.getElementById('catalog-search');
 
-  // Clear existing
-  currentFilters = {};
+  // Clear existing (the status selector is not a preset, so it survives)
+  currentFilters = currentFilters.status ? { status: currentFilters.status } : {};
+  linkedSetLabel = null;
   document.querySelectorAll('.catalog-filter-btn').forEach(b => b.classList.remove('active'));
   if (searchInput) searchInput.value = '';
 
@@ -341,7 +402,7 @@ function createPlanetCard(planet) {
   const orbitScale = Math.max(0.25, Math.min(1, (Number.isFinite(planet.semiMajorAxis) ? planet.semiMajorAxis : 1) / 1.6));
   const highlightMetric = Number.isFinite(planet.esi?.global)
     ? `ESI <strong>${planet.esi.global.toFixed(2)}</strong>`
-    : `DISC <strong>${planet.discovered || '—'}</strong>`;
+    : `DISC <strong>${escapeHTML(planet.discovered || '—')}</strong>`;
 
   // HZ / ESI badges
   const hzBadge = planet.hzStatus && planet.hzStatus.conservative
@@ -353,8 +414,9 @@ function createPlanetCard(planet) {
     ? `<span class="badge badge-esi" title="ESI ${planet.esi.global.toFixed(2)}">${planet.esi.global.toFixed(2)}</span>`
     : '';
   const methodTag = planet.discoveryMethod
-    ? `<span class="card-method">${planet.discoveryMethod}</span>`
+    ? `<span class="card-method">${escapeHTML(planet.discoveryMethod)}</span>`
     : '';
+  const statusBadge = getStatusBadge(planet);
 
   // Mini planet preview color
   const profile = createVisualProfile(planet);
@@ -366,12 +428,12 @@ function createPlanetCard(planet) {
       ${profile.hasRings ? '<div class="mini-ring"></div>' : ''}
     </div>
     <div class="planet-card__info">
-      <div class="planet-card__name">${planet.name} ${hzBadge}${esiBadge}</div>
-      <div class="planet-card__type" style="color: ${typeColor}">${planet.type} ${methodTag}</div>
+      <div class="planet-card__name">${escapeHTML(planet.name)} ${statusBadge}${hzBadge}${esiBadge}</div>
+      <div class="planet-card__type" style="color: ${typeColor}">${escapeHTML(planet.type)} ${methodTag}</div>
       <div class="planet-card__stats">
-        <span class="planet-card__stat-chip" title="Distance">${formatDistance(planet.distance)}</span>
-        <span class="planet-card__stat-chip" title="Radius">${formatNumeric(planet.radius, 2)} R⊕</span>
-        <span class="planet-card__stat-chip" title="Temperature">${Number.isFinite(planet.eqTemp) ? planet.eqTemp : '—'} K</span>
+        <span class="planet-card__stat-chip" title="Distance">${formatDistance(knownValue(planet, 'distance'))}</span>
+        <span class="planet-card__stat-chip" title="Radius">${formatNumeric(knownValue(planet, 'radius'), 2)} R⊕</span>
+        <span class="planet-card__stat-chip" title="Temperature">${Number.isFinite(knownValue(planet, 'eqTemp')) ? planet.eqTemp : '—'} K</span>
       </div>
       <div class="planet-card__metric">${highlightMetric}</div>
     </div>
@@ -385,7 +447,7 @@ function createPlanetCard(planet) {
       </svg>
       <span class="hab-ring-value" style="color: ${habColor}">${habPct}</span>
     </div>
-    <button class="planet-card__travel" title="Travel to ${planet.name}">▸</button>
+    <button class="planet-card__travel" title="Travel to ${escapeHTML(planet.name)}">▸</button>
   `;
 
   // Click to show detail
@@ -433,13 +495,18 @@ function showPlanetDetail(planet) {
   const profile = createVisualProfile(planet);
   const habColor = getHabColor(planet.habitability);
   const typeColor = getTypeColor(planet.type);
-  const systemPlanets = getSystemPlanets(planet.system);
+  const systemPlanets = getSystemPlanets(planet.system, {
+    includeFalsePositives: planet.status === PlanetStatus.FALSE_POSITIVE,
+  });
+  const starAliases = getStarAliases(planet.system).filter(n => n !== planet.system);
+  const m = planet.measurements || {};
 
   panel.innerHTML = `
     <button class="detail-close" id="close-detail">✕</button>
     <div class="detail-header">
-      <h2 class="detail-name">${planet.name}</h2>
-      <span class="detail-type" style="color: ${typeColor}">${planet.type}</span>
+      <h2 class="detail-name">${escapeHTML(planet.name)} ${getStatusBadge(planet)}</h2>
+      <span class="detail-type" style="color: ${typeColor}">${escapeHTML(planet.type)}</span>
+      <div class="detail-caveat">Catalog: ${escapeHTML(getCatalogLabel(planet.catalog))}</div>
     </div>
 
     <div class="detail-preview">
@@ -454,27 +521,27 @@ function showPlanetDetail(planet) {
     <div class="detail-grid">
       <div class="detail-stat">
         <span class="detail-stat-label">DISTANCE</span>
-        <span class="detail-stat-value">${planet.distance.toFixed(1)} <small>LY</small></span>
+        <span class="detail-stat-value">${formatField(planet, 'distance', planet.distance.toFixed(1), 1)} <small>LY</small></span>
       </div>
       <div class="detail-stat">
         <span class="detail-stat-label">RADIUS</span>
-        <span class="detail-stat-value">${planet.radius.toFixed(2)} <small>R⊕</small></span>
+        <span class="detail-stat-value">${formatField(planet, 'radius', planet.radius.toFixed(2))} <small>R⊕</small></span>
       </div>
       <div class="detail-stat">
         <span class="detail-stat-label">MASS</span>
-        <span class="detail-stat-value">${planet.mass.toFixed(2)} <small>M⊕</small></span>
+        <span class="detail-stat-value">${formatField(planet, 'mass', planet.mass.toFixed(2))} <small>M⊕</small></span>
       </div>
       <div class="detail-stat">
         <span class="detail-stat-label">TEMPERATURE</span>
-        <span class="detail-stat-value">${planet.eqTemp} <small>K</small></span>
+        <span class="detail-stat-value">${formatField(planet, 'eqTemp', String(planet.eqTemp), 0)} <small>K</small></span>
       </div>
       <div class="detail-stat">
         <span class="detail-stat-label">PERIOD</span>
-        <span class="detail-stat-value">${planet.period.toFixed(1)} <small>days</small></span>
+        <span class="detail-stat-value">${formatField(planet, 'period', planet.period.toFixed(1), 1)} <small>days</small></span>
       </div>
       <div class="detail-stat">
         <span class="detail-stat-label">SEMI-MAJOR</span>
-        <span class="detail-stat-value">${planet.semiMajorAxis.toFixed(4)} <small>AU</small></span>
+        <span class="detail-stat-value">${formatField(planet, 'semiMajorAxis', planet.semiMajorAxis.toFixed(4), 4)} <small>AU</small></span>
       </div>
     </div>
 
@@ -492,7 +559,7 @@ function showPlanetDetail(planet) {
       <div class="detail-atmo-bars">
         ${planet.atmosphere.map(a => `
           <div class="detail-atmo-row">
-            <span class="detail-atmo-gas">${a.gas}</span>
+            <span class="detail-atmo-gas">${escapeHTML(a.gas)}</span>
             <div class="detail-atmo-track">
               <div class="detail-atmo-fill" style="width: ${a.pct}%; background: ${getGasColor(a.gas)}"></div>
             </div>
@@ -504,16 +571,23 @@ function showPlanetDetail(planet) {
     ` : ''}
 
     <div class="detail-section">
-      <h3 class="detail-section-title">HOST STAR: ${planet.system}</h3>
+      <h3 class="detail-section-title">HOST STAR: ${escapeHTML(planet.system)}</h3>
+      ${starAliases.length > 0 ? `<div class="detail-caveat">Also known as ${starAliases.map(escapeHTML).join(', ')}</div>` : ''}
       <div class="detail-grid compact">
         <div class="detail-stat">
           <span class="detail-stat-label">TYPE</span>
-          <span class="detail-stat-value">${planet.starType || 'Unknown'}</span>
+          <span class="detail-stat-value">${escapeHTML(planet.starType || 'Unknown')}</span>
         </div>
         <div class="detail-stat">
           <span class="detail-stat-label">TEMP</span>
-          <span class="detail-stat-value">${planet.starTemp ? planet.starTemp.toLocaleString() : '?'} <small>K</small></span>
+          <span class="detail-stat-value">${planet.starTemp ? formatWithError(planet.starTemp.toLocaleString(), m.starTemp, 0) : '?'} <small>K</small></span>
+        </div>
+        ${describeStar(planet).map(row => `
+        <div class="detail-stat">
+          <span class="detail-stat-label">${row.label}</span>
+          <span class="detail-stat-value">${row.value} <small>${row.unit}</small></span>
         </div>
+        `).join('')}
       </div>
     </div>
 
@@ -523,22 +597,27 @@ function showPlanetDetail(planet) {
       <div class="system-planets-list">
         ${systemPlanets.map(sp => `
           <button class="system-planet-chip ${sp.id === planet.id ? 'current' : ''}"
-            data-planet-name="${sp.name}">
-            ${sp.name.split(' ').pop()}
-            <small>${sp.radius.toFixed(1)} R⊕</small>
+            data-planet-name="${escapeHTML(sp.name)}">
+            ${escapeHTML(sp.name.split(' ').pop())}
+            <small>${formatNumeric(knownValue(sp, 'radius'), 1, '?')} R⊕</small>
           </button>
         `).join('')}
       </div>
     </div>
     ` : ''}
 
-    ${buildHZSection(planet)}
-    ${buildESISection(planet)}
+    ${buildParameterSetsSection(planet)}
+
+    <div id="detail-science">
+      ${buildHZSection(planet)}
+      ${buildESISection(planet)}
+    </div>
     ${buildObserverSection(planet)}
+    ${buildTransitSection(planet)}
     ${buildDiscoverySection(planet)}
 
     <button class="detail-travel-btn" id="detail-travel-btn">
-      <span class="travel-icon">◈</span> TRAVEL TO ${planet.name.toUpperCase()}
+      <span class="travel-icon">◈</span> TRAVEL TO ${escapeHTML(planet.name.toUpperCase())}
     </button>
   `;
 
@@ -563,12 +642,13 @@ function showPlanetDetail(planet) {
     });
   });
 
+  // Parameter sets (loaded on demand)
+  document.getElementById('param-sets-load')?.addEventListener('click', () => {
+    loadParameterSets(planet);
+  });
+
   // HZ diagram in detail panel
-  const hzCanvas = panel.querySelector('#detail-hz-canvas');
-  if (hzCanvas && planet.hzStatus && planet.hzStatus.hz) {
-    const ctx = hzCanvas.getContext('2d');
-    drawHZDiagram(ctx, hzCanvas.width, hzCanvas.height, planet);
-  }
+  drawDetailHZ(panel, planet);
 
   // Discovery animation in detail panel
   if (discoveryAnimCleanup) { discoveryAnimCleanup.stop(); discoveryAnimCleanup = null; }
@@ -577,7 +657,7 @@ function showPlanetDetail(planet) {
     const methodKey = planet.discoveryMethod.toLowerCase().replace(/\s+/g, '_');
     const drawFn = ANIMATION_MAP[methodKey] || ANIMATION_MAP['transit'];
     if (drawFn) {
-      discoveryAnimCleanup = animateCanvas(discCanvas, drawFn, 8000);
+      discoveryAnimCleanup = animateCanvas(discCanvas, drawFn, 8000, planet);
     }
   }
 
@@ -588,6 +668,92 @@ function showPlanetDetail(planet) {
   });
 }
 
+function drawDetailHZ(panel, planet) {
+  const hzCanvas = panel.querySelector('#detail-hz-canvas');
+  if (hzCanvas && planet.hzStatus && planet.hzStatus.hz) {
+    const ctx = hzCanvas.getContext('2d');
+    drawHZDiagram(ctx, hzCanvas.width, hzCanvas.height, planet);
+  }
+}
+
+// ── Parameter Sets ───────────────────────────
+// Every published solution from the archive's `ps` table. Picking one
+// recomputes the HZ and ESI sections; the catalog entry itself is untouched.
+async function loadParameterSets(planet) {
+  const container = document.getElementById('param-sets-body');
+  if (!container) return;
+  container.innerHTML = '<div class="detail-caveat">Querying NASA Exoplanet Archive…</div>';
+
+  let result;
+  try {
+    result = await fetchParameterSets(planet.name);
+  } catch (err) {
+    if (selectedPlanetId !== planet.id) return;
+    container.innerHTML = `<div class="detail-caveat">Could not load parameter sets: ${escapeHTML(err.message)}</div>`;
+    return;
+  }
+  if (selectedPlanetId !== planet.id) return; // user moved on
+
+  const sets = result.sets;
+  if (sets.length === 0) {
+    container.innerHTML = '<div class="detail-caveat">No solutions found in the ps table.</div>';
+    return;
+  }
+
+  const cell = (v, digits) => Number.isFinite(v) ? v.toFixed(digits) : '—';
+  container.innerHTML = `
+    <table class="param-sets-table">
+      <thead>
+        <tr><th></th><th>REFERENCE</th><th>R⊕</th><th>M⊕</th><th>P (d)</th><th>a (AU)</th><th>T<sub>eq</sub></th></tr>
+      </thead>
+      <tbody>
+        ${sets.map((set, i) => {
+          const ref = set.referenceUrl && /^https?:/i.test(set.referenceUrl)
+            ? `<a href="${escapeHTML(set.referenceUrl)}" target="_blank" rel="noopener">${escapeHTML(set.reference)}</a>`
+            : escapeHTML(set.reference);
+          return `
+            <tr class="${set.isDefault ? 'default' : ''}">
+              <td><input type="radio" name="param-set" value="${i}" ${set.isDefault ? 'checked' : ''}
+                aria-label="Use solution from ${escapeHTML(set.reference)}" /></td>
+              <td>${ref}${set.isDefault ? ' <span class="badge badge-esi" title="Archive default solution">DEFAULT</span>' : ''}</td>
+              <td>${cell(set.radius, 2)}</td>
+              <td>${cell(set.mass, 2)}${set.massIsMinimum ? '<small> min</small>' : ''}</td>
+              <td>${cell(set.period, 3)}</td>
+              <td>${cell(set.semiMajorAxis, 4)}</td>
+              <td>${cell(set.eqTemp, 0)}</td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+    <div class="detail-caveat" id="param-sets-note">${result.fromCache ? 'Cached' : 'Fetched'} ${new Date(result.fetchedAt).toLocaleString()}. Select a solution to recompute HZ and ESI.</div>
+  `;
+
+  container.querySelectorAll('input[name="param-set"]').forEach(input => {
+    input.addEventListener('change', () => {
+      showParameterSetScience(planet, sets[parseInt(input.value, 10)]);
+    });
+  });
+}
+
+function showParameterSetScience(planet, set) {
+  const panel = document.getElementById('planet-detail-panel');
+  const science = document.getElementById('detail-science');
+  if (!panel || !science) return;
+
+  const evaluated = applyParameterSet(planet, set);
+  science.innerHTML = buildHZSection(evaluated) + buildESISection(evaluated);
+  drawDetailHZ(panel, evaluated);
+
+  const note = document.getElementById('param-sets-note');
+  if (note) {
+    const inherited = evaluated.inheritedFields.length
+      ? ` Not reported by this solution (catalog values used): ${evaluated.inheritedFields.join(', ')}.`
+      : '';
+    note.textContent = `HZ and ESI below use ${set.reference}.${inherited}`;
+  }
+}
+
 // ── Select & Travel ──────────────────────────
 function selectAndTravel(planet) {
   if (onSelectPlanet) {
@@ -616,8 +782,12 @@ function updateStats() {
 
 function updateResultCount() {
   const countEl = document.getElementById('catalog-result-count');
-  if (countEl) {
-    countEl.textContent = `${currentResults.length.toLocaleString()} planets`;
+  if (!countEl) return;
+  countEl.textContent = `${currentResults.length.toLocaleString()} planets`;
+  if (linkedSetLabel && currentFilters.names) {
+    countEl.insertAdjacentHTML('beforeend',
+      ` · ${escapeHTML(linkedSetLabel)} <button class="linked-set-clear" title="Show the whole catalog">✕</button>`);
+    countEl.querySelector('.linked-set-clear').addEventListener('click', () => applyQuickFilter(null));
   }
 }
 
@@ -629,6 +799,18 @@ function formatDistance(ly) {
   return `${(ly / 1000).toFixed(1)}K LY`;
 }
 
+// Candidates and false positives are flagged; confirmed planets get no badge
+function getStatusBadge(planet) {
+  const disposition = planet.disposition ? escapeHTML(`${planet.source}: ${planet.disposition}`) : '';
+  if (planet.status === PlanetStatus.CANDIDATE) {
+    return `<span class="badge badge-candidate" title="Planet candidate${disposition ? ` (${disposition})` : ''}">CAND</span>`;
+  }
+  if (planet.status === PlanetStatus.FALSE_POSITIVE) {
+    return `<span class="badge badge-fp" title="False positive${disposition ? ` (${disposition})` : ''}">FP</span>`;
+  }
+  return '';
+}
+
 function formatNumeric(value, digits = 2, fallback = '—') {
   return Number.isFinite(value) ? value.toFixed(digits) : fallback;
 }
@@ -685,11 +867,218 @@ export function setCurrentPlanet(planet) {
   });
 }
 
+// ── Linked Planet Sets ───────────────────────
+// Narrows the catalog to an explicit list of planets (a data-quality row),
+// clearing other filters so every listed planet shows. Any quick filter
+// or the ✕ next to the result count goes back to the whole catalog.
+export function showPlanetSet(label, names) {
+  const searchInput = document.getElementById('catalog-search');
+  if (searchInput) searchInput.value = '';
+  const statusFilter = document.getElementById('catalog-status-filter');
+  if (statusFilter) statusFilter.value = 'all';
+  const habToggle = document.getElementById('hab-filter-toggle');
+  if (habToggle) habToggle.checked = false;
+  ['discovery-method-filter', 'metallicity-filter', 'age-filter'].forEach(id => {
+    const select = document.getElementById(id);
+    if (select) select.value = '';
+  });
+  document.querySelectorAll('.catalog-filter-btn, .quick-filter').forEach(b => b.classList.remove('active'));
+
+  currentFilters = { status: 'all', names };
+  linkedSetLabel = label;
+  currentPage = 0;
+  showCatalog();
+  performSearch();
+}
+
+export function showPlanetByName(name) {
+  const planet = getPlanetByName(name);
+  if (!planet) return false;
+  showCatalog();
+  showPlanetDetail(planet);
+  return true;
+}
+
 // ── Refresh catalog after NASA data loaded ───
 export function refreshCatalog() {
   updateStats();
   currentPage = 0;
   performSearch();
+  loadChangelogs();
+  updateQuarantine();
+}
+
+// ── Changelog ("what's new") ─────────────────
+const CHANGELOG_ITEM_LIMIT = 25;
+const QUARANTINE_ITEM_LIMIT = 100;
+const CHANGE_FIELD_LABELS = {
+  status: 'status', disposition: 'disposition', radius: 'R⊕', mass: 'M⊕', eqTemp: 'T_eq',
+  period: 'period', semiMajorAxis: 'a', distance: 'distance', eccentricity: 'e',
+  starTemp: 'T★', starMass: 'M★', starLum: 'L★', discoveryMethod: 'method', controversial: 'controversial',
+};
+
+let changelogHistory = [];
+let changelogSeenAt = 0;
+
+async function loadChangelogs() {
+  changelogHistory = await getChangelogHistory();
+  const badge = document.getElementById('changelog-badge');
+  if (badge) {
+    const unseen = countUnseen(changelogHistory);
+    badge.textContent = unseen > 0 ? String(unseen) : '';
+    badge.hidden = unseen === 0;
+  }
+  const panel = document.getElementById('changelog-panel');
+  if (panel && !panel.hidden) renderChangelogPanel();
+}
+
+// ── Quarantine ───────────────────────────────
+// Records that failed an error-severity validation rule, with the rules
+function updateQuarantine() {
+  const count = getQuarantine().length;
+  const toggle = document.getElementById('quarantine-toggle');
+  const badge = document.getElementById('quarantine-badge');
+  if (toggle) toggle.hidden = count === 0;
+  if (badge) badge.textContent = String(count);
+  const panel = document.getElementById('quarantine-panel');
+  if (panel && !panel.hidden) renderQuarantinePanel();
+}
+
+function toggleQuarantinePanel() {
+  const panel = document.getElementById('quarantine-panel');
+  if (!panel) return;
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) renderQuarantinePanel();
+}
+
+function renderQuarantinePanel() {
+  const panel = document.getElementById('quarantine-panel');
+  if (!panel) return;
+  const entries = getQuarantine();
+  if (entries.length === 0) {
+    panel.innerHTML = '<div class="changelog-empty">No records are quarantined.</div>';
+    return;
+  }
+
+  const rules = (getDataReport() && getDataReport().rules) || {};
+  const fmt = v => v == null ? 'missing' : typeof v === 'number' ? String(Number(v.toPrecision(4))) : String(v);
+  const shown = entries.slice(0, QUARANTINE_ITEM_LIMIT);
+  const more = entries.length - shown.length;
+  panel.innerHTML = `
+    <div class="changelog-group">
+      <span class="changelog-group-title">${entries.length} RECORDS HELD BACK</span>
+      <ul>
+        ${shown.map(q => `
+          <li>
+            <span class="changelog-gone">${escapeHTML(q.name)}</span>
+            <small>${escapeHTML(q.system)} · ${escapeHTML(q.sourceTable || q.catalog || 'unknown source')}</small>
+            <ul>
+              ${q.failures.map(f => `
+                <li><small>${escapeHTML(rules[f.ruleId] ? rules[f.ruleId].description : f.ruleId)}: ${escapeHTML(f.field)} = ${escapeHTML(fmt(f.value))}</small></li>
+              `).join('')}
+            </ul>
+          </li>
+        `).join('')}
+        ${more > 0 ? `<li class="changelog-more">+${more} more</li>` : ''}
+      </ul>
+    </div>
+  `;
+}
+
+// ── Alias File Import ────────────────────────
+async function onAliasFileChosen(event) {
+  const input = event.target;
+  const button = document.getElementById('alias-import');
+  const file = input.files && input.files[0];
+  input.value = ''; // choosing the same file again still fires change
+  if (!file || !button) return;
+
+  try {
+    const { stars, planets } = await importAliasFile(await file.text(), file.name);
+    button.textContent = `✓ ${stars + planets} ALIASES`;
+    button.title = `${file.name}: ${stars} star and ${planets} planet groups`;
+    performSearch();
+  } catch (err) {
+    console.warn('[Catalog] Alias import failed:', err.message);
+    button.textContent = '✕ ALIASES';
+    button.title = err.message;
+  }
+}
+
+function toggleChangelogPanel() {
+  const panel = document.getElementById('changelog-panel');
+  if (!panel) return;
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) {
+    // Highlight what was new at open time, then mark everything seen
+    changelogSeenAt = getLastSeen();
+    renderChangelogPanel();
+    markChangelogsSeen();
+    const badge = document.getElementById('changelog-badge');
+    if (badge) { badge.textContent = ''; badge.hidden = true; }
+  }
+}
+
+function renderChangelogPanel() {
+  const panel = document.getElementById('changelog-panel');
+  if (!panel) return;
+  if (changelogHistory.length === 0) {
+    panel.innerHTML = '<div class="changelog-empty">No catalog changes recorded yet. Changes appear here after the next refresh.</div>';
+    return;
+  }
+
+  panel.innerHTML = changelogHistory.map(entry => {
+    const c = entry.counts;
+    const summary = [
+      c.added ? `+${c.added} new` : '',
+      c.removed ? `−${c.removed} removed` : '',
+      c.retracted ? `${c.retracted} retracted` : '',
+      c.changed ? `${c.changed} changed` : '',
+    ].filter(Boolean).join(' · ');
+    return `
+      <details class="changelog-entry ${entry.createdAt > changelogSeenAt ? 'unseen' : ''}">
+        <summary>
+          <span class="changelog-date">${new Date(entry.createdAt).toLocaleString()}</span>
+          <span class="changelog-summary">${summary}</span>
+        </summary>
+        ${buildChangelogGroup('NEW', entry.added, item => planetLink(item.name))}
+        ${buildChangelogGroup('RETRACTED', entry.retracted, item => `${planetLink(item.name)} <small>was ${escapeHTML(item.from || '?')}${item.changes && item.changes.length ? `; ${item.changes.map(formatChange).join(', ')}` : ''}</small>`)}
+        ${buildChangelogGroup('REMOVED', entry.removed, item => `<span class="changelog-gone">${escapeHTML(item.name)}</span>`)}
+        ${buildChangelogGroup('CHANGED', entry.changed, item => `${planetLink(item.name)} <small>${item.changes.map(formatChange).join(', ')}</small>`)}
+      </details>
+    `;
+  }).join('');
+
+  panel.querySelectorAll('.changelog-planet').forEach(link => {
+    link.addEventListener('click', () => {
+      const planet = getPlanetByName(link.dataset.planetName);
+      if (planet) showPlanetDetail(planet);
+    });
+  });
+}
+
+function buildChangelogGroup(title, items, render) {
+  if (!items || items.length === 0) return '';
+  const shown = items.slice(0, CHANGELOG_ITEM_LIMIT);
+  const more = items.length - shown.length;
+  return `
+    <div class="changelog-group">
+      <span class="changelog-group-title">${title}</span>
+      <ul>
+        ${shown.map(item => `<li>${render(item)}</li>`).join('')}
+        ${more > 0 ? `<li class="changelog-more">+${more} more</li>` : ''}
+      </ul>
+    </div>
+  `;
+}
+
+function planetLink(name) {
+  return `<button class="changelog-planet" data-planet-name="${escapeHTML(name)}">${escapeHTML(name)}</button>`;
+}
+
+function formatChange({ field, from, to }) {
+  const fmt = v => v == null ? '—' : typeof v === 'number' ? String(Number(v.toPrecision(4))) : String(v);
+  return escapeHTML(`${CHANGE_FIELD_LABELS[field] || field} ${fmt(from)} → ${fmt(to)}`);
 }
 
 // ── Build HZ Detail Section ──────────────────
@@ -753,6 +1142,20 @@ function buildESISection(planet) {
   `;
 }
 
+// ── Build Parameter Sets Section ─────────────
+// Only archive planets have alternative solutions to compare
+function buildParameterSetsSection(planet) {
+  if (planet.sourceTable !== 'pscomppars') return '';
+  return `
+    <div class="detail-section">
+      <h3 class="detail-section-title">⧉ PARAMETER SETS</h3>
+      <div id="param-sets-body">
+        <button class="param-sets-load" id="param-sets-load">Compare published solutions</button>
+      </div>
+    </div>
+  `;
+}
+
 // ── Build Observer Detail Section ────────────
 function buildObserverSection(planet) {
   if (!planet.ra && !planet.dec) return '';
@@ -774,6 +1177,7 @@ function buildObserverSection(planet) {
   if (planet.magnitudeGuidance) {
     parts.push(`<div class="detail-stat"><span class="detail-stat-label">EQUIPMENT</span><span class="detail-stat-value">${planet.magnitudeGuidance.label}</span></div>`);
   }
+  parts.push(...buildEphemerisStats(planet));
   if (parts.length === 0) return '';
   return `
     <div class="detail-section">
@@ -784,28 +1188,104 @@ function buildObserverSection(planet) {
   `;
 }
 
+// Next transit and the T0 / period it is projected from
+function buildEphemerisStats(planet) {
+  const next = predictNextTransit(planet);
+  if (!next) return [];
+  const m = planet.measurements || {};
+  const when = next.date.toISOString().slice(0, 16).replace('T', ' ');
+  const error = next.uncertaintyMinutes != null
+    ? ` <span class="meas-err">±${next.uncertaintyMinutes < 120 ? `${Math.round(next.uncertaintyMinutes)} min` : `${(next.uncertaintyMinutes / 60).toFixed(1)} h`}</span>`
+    : '';
+  const t0Digits = errorDigits(m.transitMidpoint, 4);
+  const periodDigits = errorDigits(m.period, 4);
+  return [
+    `<div class="detail-stat"><span class="detail-stat-label">NEXT TRANSIT</span><span class="detail-stat-value">${when} <small>UTC</small>${error}</span></div>`,
+    `<div class="detail-stat"><span class="detail-stat-label">T₀</span><span class="detail-stat-value">${formatWithError(planet.transitMidpoint.toFixed(t0Digits), m.transitMidpoint, t0Digits)} <small>BJD</small></span></div>`,
+    `<div class="detail-stat"><span class="detail-stat-label">PERIOD</span><span class="detail-stat-value">${formatWithError(planet.period.toFixed(periodDigits), m.period, periodDigits)} <small>days</small></span></div>`,
+  ];
+}
+
+// ── Build Transit Geometry Section ───────────
+const STAR_RADIUS_NOTES = {
+  'log g': 'R★ derived from log g and stellar mass.',
+  mass: 'No reported R★; estimated from stellar mass (main sequence, R ∝ M^0.8).',
+};
+
+const MODELLED_TAG = ' <span class="prov-derived" title="Modelled from the stellar radius">est.</span>';
+
+function buildTransitSection(planet) {
+  const t = planet.transitGeometry;
+  if (!t || (t.depth == null && t.probability == null)) return '';
+  const m = planet.measurements || {};
+  const measured = t.measured || {};
+  const parts = [];
+  if (t.depthPpm != null) {
+    const value = measured.depth
+      ? formatWithError(t.depthPpm.toLocaleString(), scaleErrors(m.transitDepth, 1e4), 0)
+      : t.depthPpm.toLocaleString() + MODELLED_TAG;
+    parts.push(`<div class="detail-stat"><span class="detail-stat-label">DEPTH</span><span class="detail-stat-value">${value} <small>ppm</small></span></div>`);
+  }
+  if (t.probability != null) {
+    parts.push(`<div class="detail-stat"><span class="detail-stat-label">PROBABILITY</span><span class="detail-stat-value">${(t.probability * 100).toFixed(2)}%</span></div>`);
+  }
+  if (t.durationHours != null) {
+    const value = measured.duration
+      ? formatWithError(t.durationHours.toFixed(2), m.transitDuration, 2)
+      : t.durationHours.toFixed(2) + MODELLED_TAG;
+    parts.push(`<div class="detail-stat"><span class="detail-stat-label">DURATION</span><span class="detail-stat-value">${value} <small>h</small></span></div>`);
+  }
+  if (measured.radiusRatio) {
+    parts.push(`<div class="detail-stat"><span class="detail-stat-label">Rp / R★</span><span class="detail-stat-value">${formatWithError(t.radiusRatio.toFixed(4), m.radiusRatio, 4)}</span></div>`);
+  }
+  if (t.impactParameter != null) {
+    parts.push(`<div class="detail-stat"><span class="detail-stat-label">IMPACT PARAM.</span><span class="detail-stat-value">${formatWithError(t.impactParameter.toFixed(2), m.impactParameter, 2)}</span></div>`);
+  }
+  const allMeasured = measured.depth && measured.duration;
+  return `
+    <div class="detail-section">
+      <h3 class="detail-section-title">◐ TRANSIT GEOMETRY</h3>
+      <div class="detail-grid compact">${parts.join('')}</div>
+      <div class="detail-caveat">
+        ${allMeasured ? 'Depth and duration as reported.' : `Modelled values assume a circular orbit${t.impactParameter != null ? '' : ' and a central transit'}.`}
+        ${t.starRadius != null ? `R★ = ${t.starRadius.toFixed(3)} R☉. ${STAR_RADIUS_NOTES[t.starRadiusSource] || ''}` : ''}
+      </div>
+    </div>
+  `;
+}
+
+// Transit depth errors are stored in percent; shown in ppm
+function scaleErrors(m, scale) {
+  if (!m) return null;
+  return {
+    ...m,
+    errPlus: m.errPlus != null ? m.errPlus * scale : null,
+    errMinus: m.errMinus != null ? m.errMinus * scale : null,
+  };
+}
+
 // ── Build Discovery Detail Section ───────────
 function buildDiscoverySection(planet) {
   if (!planet.discoveryMethod) return '';
   const methodInfo = DISCOVERY_METHODS[planet.discoveryMethod] || null;
   return `
     <div class="detail-section">
-      <h3 class="detail-section-title">🔬 DISCOVERY: ${planet.discoveryMethod.toUpperCase()}</h3>
+      <h3 class="detail-section-title">🔬 DISCOVERY: ${escapeHTML(planet.discoveryMethod.toUpperCase())}</h3>
       <canvas id="detail-disc-canvas" width="320" height="160" class="detail-canvas"></canvas>
       ${methodInfo ? `<div class="detail-discovery-desc">${methodInfo.shortDesc}</div>` : ''}
       <div class="detail-grid compact">
         <div class="detail-stat">
           <span class="detail-stat-label">YEAR</span>
-          <span class="detail-stat-value">${planet.discovered || '—'}</span>
+          <span class="detail-stat-value">${escapeHTML(planet.discovered || '—')}</span>
         </div>
         <div class="detail-stat">
           <span class="detail-stat-label">FACILITY</span>
-          <span class="detail-stat-value">${planet.discoveryFacility || '—'}</span>
+          <span class="detail-stat-value">${escapeHTML(planet.discoveryFacility || '—')}</span>
         </div>
       </div>
       ${methodInfo ? `
         <details class="detail-discovery-more">
-          <summary>Learn more about ${planet.discoveryMethod}</summary>
+          <summary>Learn more about ${escapeHTML(planet.discoveryMethod)}</summary>
           <p>${methodInfo.fullDesc}</p>
           <p><strong>Physics:</strong> ${methodInfo.physics}</p>
           <p><strong>Strengths:</strong> ${methodInfo.strengths}</p>
@@ -0,0 +1,127 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — CATALOG CHANGELOG
+// Diffs two catalog snapshots (new, removed, retracted,
+// changed parameters) and keeps a history of the results
+// ═══════════════════════════════════════════════
+
+import { addChangelog, readChangelogs } from './cache-store.js';
+import { TRACKED_FIELDS, ProvenanceStatus } from './provenance.js';
+
+const MAX_HISTORY = 30;
+const LAST_SEEN_KEY = 'exoplanet_changelog_seen';
+
+// Parameters compared between snapshots, in display order
+const COMPARED_FIELDS = [
+  'status', 'disposition', 'radius', 'mass', 'eqTemp', 'period', 'semiMajorAxis',
+  'distance', 'eccentricity', 'starTemp', 'starMass', 'starLum', 'discoveryMethod', 'controversial',
+];
+
+const RETRACTED = 'false-positive';
+
+// Tracked fields only count when measured: a derived value moving because
+// its inputs moved is already reported through those inputs.
+function comparable(planet, field) {
+  const v = planet[field];
+  if (v == null) return null;
+  if (TRACKED_FIELDS.includes(field) && planet.provenance && planet.provenance[field]
+      && planet.provenance[field].status !== ProvenanceStatus.MEASURED) {
+    return null;
+  }
+  return v;
+}
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.abs(a - b) <= 1e-9 * Math.max(Math.abs(a), Math.abs(b));
+  }
+  return false;
+}
+
+/**
+ * Compare two catalog snapshots keyed by planet name.
+ * Returns { createdAt, added, removed, retracted, changed, counts }, where
+ * retracted lists planets whose status moved to false-positive (with any
+ * other parameter changes) and changed lists { name, changes: [{ field, from,
+ * to }] } for the rest, so each planet is counted once.
+ */
+export function diffCatalogs(previous, next) {
+  const before = new Map(previous.map(p => [p.name, p]));
+  const after = new Map(next.map(p => [p.name, p]));
+  const added = [];
+  const removed = [];
+  const retracted = [];
+  const changed = [];
+
+  for (const [name, p] of after) {
+    const old = before.get(name);
+    if (!old) {
+      added.push({ name, status: p.status || null });
+      continue;
+    }
+    const changes = [];
+    for (const field of COMPARED_FIELDS) {
+      const from = comparable(old, field);
+      const to = comparable(p, field);
+      if (!sameValue(from, to)) changes.push({ field, from, to });
+    }
+    if (changes.length === 0) continue;
+    if (p.status === RETRACTED && old.status !== RETRACTED) {
+      retracted.push({ name, from: old.status || null, changes: changes.filter(c => c.field !== 'status') });
+      continue;
+    }
+    changed.push({ name, changes });
+  }
+
+  for (const [name, p] of before) {
+    if (!after.has(name)) removed.push({ name, status: p.status || null });
+  }
+
+  return {
+    createdAt: Date.now(),
+    added,
+    removed,
+    retracted,
+    changed,
+    counts: {
+      added: added.length,
+      removed: removed.length,
+      retracted: retracted.length,
+      changed: changed.length,
+    },
+  };
+}
+
+export function isEmptyChangelog(log) {
+  return !log || (log.added.length + log.removed.length + log.retracted.length + log.changed.length) === 0;
+}
+
+// ── History ──────────────────────────────────
+// Stores a non-empty changelog; resolves to the stored entry or null
+export async function recordChangelog(log, context = {}) {
+  if (isEmptyChangelog(log)) return null;
+  const entry = { ...log, ...context, id: `${log.createdAt}` };
+  await addChangelog(entry, MAX_HISTORY);
+  return entry;
+}
+
+// Newest first
+export function getChangelogHistory() {
+  return readChangelogs();
+}
+
+// ── "Since your last visit" ──────────────────
+export function getLastSeen() {
+  if (typeof localStorage === 'undefined') return 0;
+  return parseInt(localStorage.getItem(LAST_SEEN_KEY) || '0', 10) || 0;
+}
+
+export function markChangelogsSeen(timestamp = Date.now()) {
+  if (typeof localStorage === 'undefined') return;
+  localStorage.setItem(LAST_SEEN_KEY, String(timestamp));
+}
+
+export function countUnseen(history) {
+  const seen = getLastSeen();
+  return history.filter(entry => entry.createdAt > seen).length;
+}
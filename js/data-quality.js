@@ -0,0 +1,142 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — DATA QUALITY
+// Aggregates the validation report and the catalog
+// into the tables behind the data-quality view; every
+// row keeps the names of the planets it counts
+// ═══════════════════════════════════════════════
+
+import { TRACKED_FIELDS, STELLAR_FIELDS, getProvenance, ProvenanceStatus } from './provenance.js';
+
+// Columns shown in the completeness table, in display order
+export const QUALITY_FIELDS = [
+  { field: 'distance', label: 'Distance' },
+  { field: 'radius', label: 'Radius' },
+  { field: 'mass', label: 'Mass' },
+  { field: 'eqTemp', label: 'Equilibrium temp' },
+  { field: 'period', label: 'Orbital period' },
+  { field: 'semiMajorAxis', label: 'Semi-major axis' },
+  { field: 'eccentricity', label: 'Eccentricity' },
+  { field: 'starTemp', label: 'Stellar T_eff' },
+  { field: 'starMass', label: 'Stellar mass' },
+  { field: 'starLum', label: 'Stellar luminosity' },
+  { field: 'starRadius', label: 'Stellar radius' },
+  { field: 'starMetallicity', label: 'Stellar metallicity' },
+  { field: 'starAge', label: 'Stellar age' },
+  { field: 'ra', label: 'Right ascension' },
+  { field: 'dec', label: 'Declination' },
+  { field: 'discoveryMethod', label: 'Discovery method' },
+  { field: 'discovered', label: 'Discovery year' },
+];
+
+const CONFIRMED = 'confirmed';
+
+// Fields with a provenance record, split by it; the rest are present or missing
+const PROVENANCE_FIELDS = [...TRACKED_FIELDS, ...STELLAR_FIELDS];
+
+function fieldStatus(p, field) {
+  if (p[field] == null || p[field] === '') return 'missing';
+  if (!PROVENANCE_FIELDS.includes(field)) return ProvenanceStatus.MEASURED;
+  return getProvenance(p, field).status;
+}
+
+function completeness(planets) {
+  return QUALITY_FIELDS.map(({ field, label }) => {
+    const row = {
+      field, label, tracked: PROVENANCE_FIELDS.includes(field),
+      measured: 0, derived: [], defaulted: [], missing: [],
+    };
+    for (const p of planets) {
+      const status = fieldStatus(p, field);
+      if (status === ProvenanceStatus.MEASURED) row.measured++;
+      else row[status].push(p.name);
+    }
+    row.fraction = planets.length > 0 ? row.measured / planets.length : 0;
+    return row;
+  });
+}
+
+// A record counts as complete when radius and mass are both measured, the
+// pair the classification and habitability scores depend on most
+function isComplete(p) {
+  return fieldStatus(p, 'radius') === ProvenanceStatus.MEASURED &&
+         fieldStatus(p, 'mass') === ProvenanceStatus.MEASURED;
+}
+
+function isImputed(p) {
+  return TRACKED_FIELDS.some(f => {
+    const status = fieldStatus(p, f);
+    return status === ProvenanceStatus.DERIVED || status === ProvenanceStatus.DEFAULTED;
+  });
+}
+
+// Groups planets by `keyOf` into rows sorted by `order`
+function breakdown(planets, keyOf, order) {
+  const groups = new Map();
+  for (const p of planets) {
+    const key = keyOf(p) ?? 'Unknown';
+    if (!groups.has(key)) groups.set(key, { key, names: [], complete: 0, imputed: 0, candidates: 0 });
+    const g = groups.get(key);
+    g.names.push(p.name);
+    if (isComplete(p)) g.complete++;
+    if (isImputed(p)) g.imputed++;
+    if (p.status && p.status !== CONFIRMED) g.candidates++;
+  }
+  return [...groups.values()].sort(order);
+}
+
+/**
+ * Everything the data-quality view shows, from the processed catalog and
+ * its validation report (see createReport in nasa-data.js):
+ *   { summary, completeness, rules, badValues, duplicates, controversial,
+ *     imputed, byMethod, byYear }
+ * Rows carry `names` (catalog planet names) so the view can link to them.
+ * Quarantined records are not in the catalog, so their rows list names only.
+ */
+export function buildQualityView(planets, report) {
+  const r = report || {};
+  const inCatalog = new Set(planets.map(p => p.name));
+
+  const rules = Object.entries(r.rules || {}).map(([id, rule]) => ({
+    id,
+    severity: rule.severity,
+    description: rule.description,
+    checked: rule.checked,
+    failed: rule.failed,
+    names: [...new Set(rule.failures.map(f => f.name))].filter(n => inCatalog.has(n)),
+  }));
+
+  const imputed = TRACKED_FIELDS.map(field => {
+    const derived = [];
+    const defaulted = [];
+    for (const p of planets) {
+      const status = fieldStatus(p, field);
+      if (status === ProvenanceStatus.DERIVED) derived.push(p.name);
+      else if (status === ProvenanceStatus.DEFAULTED) defaulted.push(p.name);
+    }
+    return { field, derived, defaulted };
+  });
+
+  const byCount = (a, b) => b.names.length - a.names.length;
+  const byYear = (a, b) => (a.key === 'Unknown') - (b.key === 'Unknown') || b.key - a.key;
+
+  return {
+    summary: {
+      totalInput: r.totalInput ?? planets.length,
+      totalOutput: planets.length,
+      cleaned: r.cleaned ?? 0,
+      quarantined: (r.quarantine || []).length,
+      badValues: (r.badValues || []).length,
+      complete: planets.filter(isComplete).length,
+      imputed: planets.filter(isImputed).length,
+      stats: r.stats || null,
+    },
+    completeness: completeness(planets),
+    rules,
+    badValues: (r.badValues || []).map(b => ({ ...b, inCatalog: inCatalog.has(b.name) })),
+    duplicates: r.duplicates || [],
+    controversial: planets.filter(p => p.controversial).map(p => p.name),
+    imputed,
+    byMethod: breakdown(planets, p => p.discoveryMethod || null, byCount),
+    byYear: breakdown(planets, p => p.discovered || null, byYear),
+  };
+}
@@ -3,19 +3,37 @@
 // Real NASA data backbone with curated + procedural fallback
 // ═══════════════════════════════════════════════
 
-import { loadNASAPlanets, printValidationReport, getLastUpdated, backgroundRefresh } from './nasa-data.js';
+import { printValidationReport, getLastUpdated, reloadCacheMeta, detectTapProxy, PlanetStatus } from './nasa-data.js';
 import { enrichPlanet } from './science.js';
+import { knownValue, uniformProvenance, measured, derived, TRACKED_FIELDS } from './provenance.js';
+import { forecastMass } from './mass-radius.js';
+import {
+  PlanetType, calculateHabitability, classifyPlanet, generateAtmosphere,
+  processNASAPlanets, loadProcessedCatalog, refreshProcessedCatalog,
+} from './catalog-processing.js';
+import { runPipelineTask } from './pipeline-client.js';
+import { getPrimarySource, setPrimarySourceId, getCatalogLabel } from './sources.js';
+import { buildAliasIndex, resolvePlanet, resolveStar, starKey, starAliases, parseAliasFile } from './aliases.js';
+import { readAliasFile, writeAliasFile } from './cache-store.js';
+import { buildSnapshot, serializeSnapshot, snapshotFileName, readSnapshot } from './snapshots.js';
+import { recordChangelog } from './changelog.js';
+import { getRuleOverrides, setRuleOverrides } from './validation-rules.js';
 
 // ── Data source state ────────────────────────
-let dataSource = 'built-in'; // 'nasa', 'cache', 'built-in'
+let dataSource = 'built-in'; // 'nasa', 'cache', 'snapshot', 'built-in'
+let dataSourceId = null;     // catalog the records came from (sources.js id)
 let dataFetchedAt = null;
 let dataReport = null;
+let snapshotInfo = null;     // { fileName, exportedAt, meta } while a snapshot is active
 let catalogReady = false;
 let catalogReadyCallbacks = [];
 
 export function getDataSource() { return dataSource; }
+export function getDataSourceId() { return dataSourceId; }
 export function getDataFetchedAt() { return dataFetchedAt; }
 export function getDataReport() { return dataReport; }
+export function getQuarantine() { return (dataReport && dataReport.quarantine) || []; }
+export function getSnapshotInfo() { return snapshotInfo; }
 export function isCatalogReady() { return catalogReady; }
 
 export function onCatalogReady(fn) {
@@ -29,22 +47,9 @@ function notifyCatalogReady() {
   catalogReadyCallbacks = [];
 }
 
-// ── Planet Classification Types ──────────────
-export const PlanetType = {
-  HOT_JUPITER: 'Hot Jupiter',
-  WARM_JUPITER: 'Warm Jupiter',
-  COLD_JUPITER: 'Cold Jupiter',
-  HOT_NEPTUNE: 'Hot Neptune',
-  WARM_NEPTUNE: 'Warm Neptune',
-  SUPER_EARTH: 'Super-Earth',
-  ROCKY_TERRESTRIAL: 'Rocky Terrestrial',
-  SUB_EARTH: 'Sub-Earth',
-  LAVA_WORLD: 'Lava World',
-  ICE_GIANT: 'Ice Giant',
-  WATER_WORLD: 'Water World',
-  DESERT_WORLD: 'Desert World',
-  GAS_DWARF: 'Gas Dwarf',
-};
+// Catalog status (confirmed / candidate / false positive) comes from the pipeline;
+// classification and the pipeline tasks from catalog-processing.js
+export { PlanetStatus, PlanetType, calculateHabitability, processNASAPlanets, loadProcessedCatalog, refreshProcessedCatalog };
 
 // ── Star Spectral Types ─────────────────────
 export const StarType = {
@@ -273,6 +278,12 @@ export function createVisualProfile(planet) {
     }
   }
 
+  // A reported stellar radius sizes the star directly; the cube root keeps
+  // giants and ultra-cool dwarfs on screen (1 R☉ matches the G-type size)
+  if (planet.starRadius > 0) {
+    profile.starSize = Math.min(1.4, Math.max(0.15, 0.5 * Math.cbrt(planet.starRadius)));
+  }
+
   profile.primaryColor = calibrateSurfaceColor(profile.primaryColor, 0.58, 0.92);
   profile.secondaryColor = calibrateSurfaceColor(profile.secondaryColor, 0.62, 0.88);
   profile.tertiaryColor = calibrateSurfaceColor(profile.tertiaryColor, 0.5, 0.86);
@@ -304,135 +315,6 @@ function clamp01(v) {
   return Math.max(0, Math.min(1, v));
 }
 
-// ── Habitability Score Calculator ────────────
-export function calculateHabitability(planet) {
-  let score = 0;
-  const t = planet.eqTemp || 0;
-  const r = planet.radius || 0;
-  const m = planet.mass || 0;
-
-  // Temperature: ideal 200-310K
-  if (t >= 200 && t <= 310) score += 0.35;
-  else if (t >= 150 && t <= 400) score += 0.15;
-  else score += 0.02;
-
-  // Size: Earth-like 0.5-2.5 R⊕
-  if (r >= 0.5 && r <= 2.0) score += 0.25;
-  else if (r >= 0.3 && r <= 3.0) score += 0.1;
-  else score += 0.01;
-
-  // Mass: Earth-like
-  if (m > 0) {
-    if (m >= 0.3 && m <= 5.0) score += 0.15;
-    else if (m >= 0.1 && m <= 10.0) score += 0.05;
-  } else {
-    score += 0.05; // unknown mass, neutral
-  }
-
-  // Star type bonus
-  if (planet.starType) {
-    const s = planet.starType[0];
-    if (s === 'G' || s === 'K') score += 0.15;
-    else if (s === 'F' || s === 'M') score += 0.08;
-    else score += 0.02;
-  } else {
-    score += 0.05;
-  }
-
-  // Orbital period / semi-major axis (habitable zone proximity)
-  if (planet.semiMajorAxis) {
-    const a = planet.semiMajorAxis;
-    if (a >= 0.5 && a <= 2.0) score += 0.1;
-    else if (a >= 0.1 && a <= 5.0) score += 0.04;
-  } else {
-    score += 0.03;
-  }
-
-  return Math.min(Math.round(score * 100) / 100, 1.0);
-}
-
-// ── Classify planet type from properties ─────
-function classifyPlanet(radius, mass, eqTemp) {
-  const r = radius || 1;
-  const m = mass || (r > 4 ? r * 5 : r * 1.5);
-
-  if (eqTemp > 1500 && r < 2) return PlanetType.LAVA_WORLD;
-  if (r > 8) {
-    if (eqTemp > 1000) return PlanetType.HOT_JUPITER;
-    if (eqTemp > 400) return PlanetType.WARM_JUPITER;
-    return PlanetType.COLD_JUPITER;
-  }
-  if (r > 3.5) {
-    if (eqTemp > 800) return PlanetType.HOT_NEPTUNE;
-    if (eqTemp > 200) return PlanetType.WARM_NEPTUNE;
-    return PlanetType.ICE_GIANT;
-  }
-  if (r > 1.6) {
-    if (eqTemp > 500) return PlanetType.SUPER_EARTH;
-    if (eqTemp > 200) return PlanetType.WATER_WORLD;
-    return PlanetType.SUPER_EARTH;
-  }
-  if (r < 0.5) return PlanetType.SUB_EARTH;
-  if (eqTemp > 600) return PlanetType.LAVA_WORLD;
-  if (eqTemp < 180) return PlanetType.DESERT_WORLD;
-  return PlanetType.ROCKY_TERRESTRIAL;
-}
-
-// ── Generate atmosphere composition ──────────
-function generateAtmosphere(type, eqTemp) {
-  const atmo = [];
-  switch (type) {
-    case PlanetType.HOT_JUPITER:
-    case PlanetType.WARM_JUPITER:
-      atmo.push({ gas: 'H₂', pct: 75 + Math.random() * 15 });
-      atmo.push({ gas: 'He', pct: 10 + Math.random() * 10 });
-      atmo.push({ gas: 'CH₄', pct: Math.random() * 3 });
-      break;
-    case PlanetType.COLD_JUPITER:
-      atmo.push({ gas: 'H₂', pct: 80 + Math.random() * 10 });
-      atmo.push({ gas: 'He', pct: 8 + Math.random() * 8 });
-      atmo.push({ gas: 'NH₃', pct: Math.random() * 2 });
-      break;
-    case PlanetType.HOT_NEPTUNE:
-    case PlanetType.WARM_NEPTUNE:
-      atmo.push({ gas: 'H₂', pct: 50 + Math.random() * 20 });
-      atmo.push({ gas: 'He', pct: 15 + Math.random() * 15 });
-      atmo.push({ gas: 'H₂O', pct: 5 + Math.random() * 10 });
-      break;
-    case PlanetType.LAVA_WORLD:
-      atmo.push({ gas: 'SiO₂', pct: 40 + Math.random() * 20 });
-      atmo.push({ gas: 'Na', pct: 10 + Math.random() * 15 });
-      atmo.push({ gas: 'SO₂', pct: 5 + Math.random() * 10 });
-      break;
-    case PlanetType.WATER_WORLD:
-      atmo.push({ gas: 'H₂O', pct: 40 + Math.random() * 30 });
-      atmo.push({ gas: 'N₂', pct: 15 + Math.random() * 20 });
-      atmo.push({ gas: 'CO₂', pct: 5 + Math.random() * 10 });
-      break;
-    case PlanetType.ICE_GIANT:
-      atmo.push({ gas: 'H₂', pct: 60 + Math.random() * 15 });
-      atmo.push({ gas: 'He', pct: 10 + Math.random() * 15 });
-      atmo.push({ gas: 'CH₄', pct: 5 + Math.random() * 8 });
-      break;
-    default: // rocky/terrestrial/super-earth
-      if (eqTemp > 200 && eqTemp < 350) {
-        atmo.push({ gas: 'N₂', pct: 50 + Math.random() * 30 });
-        atmo.push({ gas: 'CO₂', pct: 10 + Math.random() * 30 });
-        atmo.push({ gas: 'H₂O', pct: 5 + Math.random() * 20 });
-        atmo.push({ gas: 'O₂', pct: Math.random() * 8 });
-      } else {
-        atmo.push({ gas: 'CO₂', pct: 60 + Math.random() * 25 });
-        atmo.push({ gas: 'N₂', pct: 5 + Math.random() * 15 });
-        atmo.push({ gas: 'SO₂', pct: Math.random() * 5 });
-      }
-  }
-
-  // Normalize to ~100%
-  const total = atmo.reduce((s, a) => s + a.pct, 0);
-  atmo.forEach(a => a.pct = Math.round((a.pct / total) * 1000) / 10);
-  return atmo;
-}
-
 // ── 120 Curated Real Exoplanets ──────────────
 const CURATED_PLANETS = [
   { name: 'TRAPPIST-1b', system: 'TRAPPIST-1', distance: 39.46, radius: 1.116, mass: 1.017, period: 1.511, semiMajorAxis: 0.01154, eqTemp: 400, starType: 'M8V', starTemp: 2566, starMass: 0.0898, starLum: 0.000553, discovered: 2016 },
@@ -647,11 +529,9 @@ function generateProceduralPlanets(count, startId) {
       else if (sizeRoll < 0.75) radius = 4.5 + rng() * 4.0; // Neptune-like
       else radius = 8.5 + rng() * 14.5; // Gas giant
 
-      // Mass from radius (mass-radius relationship with scatter)
-      let mass;
-      if (radius < 1.5) mass = Math.pow(radius, 3.7) * (0.7 + rng() * 0.6);
-      else if (radius < 4) mass = Math.pow(radius, 2.5) * (0.8 + rng() * 0.4);
-      else mass = Math.pow(radius, 1.5) * (3 + rng() * 10);
+      // Mass from radius: uniform draw across the forecaster's 1σ band
+      const forecast = forecastMass(radius);
+      let mass = forecast.value - forecast.errMinus + rng() * (forecast.errPlus + forecast.errMinus);
 
       radius = Math.round(radius * 100) / 100;
       mass = Math.round(mass * 100) / 100;
@@ -675,6 +555,8 @@ function generateProceduralPlanets(count, startId) {
         starLum: sys.starLum,
         discovered: sys.discovered + Math.floor(rng() * 5),
         atmosphere: generateAtmosphere(type, eqTemp),
+        provenance: uniformProvenance(derived([], 'procedural generator')),
+        status: PlanetStatus.CONFIRMED,
       };
 
       planet.habitability = calculateHabitability(planet);
@@ -697,6 +579,8 @@ function buildCatalog() {
       type,
       atmosphere: generateAtmosphere(type, p.eqTemp),
       curated: true,
+      provenance: uniformProvenance(measured()),
+      status: PlanetStatus.CONFIRMED,
     };
     planet.habitability = calculateHabitability(planet);
     enrichPlanet(planet);
@@ -713,72 +597,141 @@ function buildCatalog() {
 // ── Export the catalog (mutable — updated by NASA data) ──
 export let PLANET_CATALOG = buildCatalog();
 
-// ── Process NASA data into full catalog entries ──
-function processNASAPlanets(nasaPlanets) {
-  return nasaPlanets.map((p, i) => {
-    const type = classifyPlanet(p.radius, p.mass, p.eqTemp);
-    const planet = {
-      id: i,
-      ...p,
-      type,
-      atmosphere: generateAtmosphere(type, p.eqTemp),
-      nasaRaw: true,
-    };
-    planet.habitability = calculateHabitability(planet);
-    enrichPlanet(planet);
-    return planet;
-  });
+// ── Alias index (see aliases.js) ─────────────
+// Rebuilt whenever the catalog is replaced, from the records' own
+// designations plus any imported alias file.
+let aliasIndex = buildAliasIndex(PLANET_CATALOG);
+
+async function rebuildAliasIndex() {
+  aliasIndex = buildAliasIndex(PLANET_CATALOG, await readAliasFile());
+}
+
+/**
+ * Import an alias file (format: see parseAliasFile) and apply it to lookups
+ * right away. Duplicate merging picks it up on the next catalog download.
+ * Resolves to { stars, planets } group counts; throws on an unreadable file.
+ */
+export async function importAliasFile(text, fileName = null) {
+  const aliases = parseAliasFile(text);
+  await writeAliasFile({ ...aliases, fileName, importedAt: Date.now() });
+  await rebuildAliasIndex();
+  return { stars: aliases.stars.length, planets: aliases.planets.length };
+}
+
+// Every known designation of a host star, canonical first
+export function getStarAliases(systemName) {
+  return starAliases(aliasIndex, systemName);
+}
+
+// Make a processed pipeline result the active catalog. serve.js calls this
+// too, to answer its API from the same records the app shows.
+export async function setActiveCatalog(result, source = 'nasa') {
+  PLANET_CATALOG = result.planets;
+  dataSource = source;
+  dataSourceId = result.sourceId || getPrimarySource().id;
+  dataFetchedAt = result.fetchedAt;
+  dataReport = result.report;
+  await rebuildAliasIndex();
+}
+
+// ── Background refresh (delta sync when possible) ──
+const REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+let refreshTimer = null;
+
+let refreshInFlight = null;
+
+// `force` skips the hourly age check in backgroundRefresh. `serverChangelog`
+// (from serve.js live events) is recorded when this tab's own cache could not
+// be diffed, so "what's new" still lists the changes
+function runBackgroundRefresh({ force = false, serverChangelog = null } = {}) {
+  if (refreshInFlight) {
+    // A forced refresh runs after the current one, which may have been skipped
+    return force ? refreshInFlight.then(() => runBackgroundRefresh({ force, serverChangelog })) : refreshInFlight;
+  }
+  refreshInFlight = (async () => {
+    try {
+      const args = { force };
+      const refreshResult = await runPipelineTask('refresh', null, () => refreshProcessedCatalog(null, args), args);
+      await reloadCacheMeta();
+      // An imported snapshot is frozen on purpose; the refreshed cache waits
+      if (dataSource === 'snapshot') return;
+      if (refreshResult && refreshResult.planets) {
+        let changelog = refreshResult.changelog || null;
+        if (!changelog && serverChangelog) {
+          changelog = await recordChangelog(serverChangelog, { fetchedAt: refreshResult.fetchedAt, origin: 'server' });
+        }
+        await setActiveCatalog(refreshResult, 'nasa');
+        window.dispatchEvent(new CustomEvent('catalog-refreshed', {
+          detail: {
+            count: PLANET_CATALOG.length,
+            changes: refreshResult.changes || null,
+            changelog,
+          }
+        }));
+      }
+    } catch (err) {
+      console.warn('[Database] Background refresh failed:', err);
+    } finally {
+      refreshInFlight = null;
+    }
+  })();
+  return refreshInFlight;
 }
 
-// ── Initialize catalog from NASA (call at app start) ──
+// Refresh now, however recent the cache; live-updates.js calls this when the
+// server reports that its catalog changed
+export function requestCatalogRefresh(serverChangelog = null) {
+  return runBackgroundRefresh({ force: true, serverChangelog });
+}
+
+// ── Initialize catalog from the primary source (call at app start) ──
 export async function initializeNASACatalog(onProgress) {
+  const source = getPrimarySource();
+  snapshotInfo = null;
   try {
-    const result = await loadNASAPlanets(onProgress);
+    // Open the cache here first: legacy localStorage migration can't run in the worker
+    await reloadCacheMeta();
+    await detectTapProxy();
+    const result = await runPipelineTask('load', onProgress, () => loadProcessedCatalog(onProgress));
+    await reloadCacheMeta();
+    // A snapshot imported while this load ran stays in charge
+    if (snapshotInfo) {
+      notifyCatalogReady();
+      return PLANET_CATALOG;
+    }
 
     if (result.planets && result.planets.length > 0) {
-      const processed = processNASAPlanets(result.planets);
-      PLANET_CATALOG = processed;
-      dataSource = result.fromCache ? 'cache' : 'nasa';
-      dataFetchedAt = result.fetchedAt;
-      dataReport = result.report;
+      await setActiveCatalog(result, result.fromCache ? 'cache' : 'nasa');
       printValidationReport(result.report);
 
       if (onProgress) onProgress({
         phase: 'ready',
-        message: `${PLANET_CATALOG.length} confirmed planets loaded from ${dataSource}`,
+        message: `${getCatalogStats().total} planets and candidates loaded from ${dataSource}`,
         count: PLANET_CATALOG.length,
       });
 
-      // Schedule background refresh if using cache
-      if (result.fromCache) {
-        setTimeout(() => {
-          backgroundRefresh((refreshResult) => {
-            if (refreshResult && refreshResult.planets) {
-              const refreshed = processNASAPlanets(refreshResult.planets);
-              PLANET_CATALOG = refreshed;
-              dataSource = 'nasa';
-              dataFetchedAt = refreshResult.fetchedAt;
-              dataReport = refreshResult.report;
-              window.dispatchEvent(new CustomEvent('catalog-refreshed', {
-                detail: { count: PLANET_CATALOG.length }
-              }));
-            }
-          });
-        }, 5000);
-      }
+      // Refresh soon if we booted from a cache over an hour old, then
+      // delta-sync hourly. The timer forces its refresh: checking the cache
+      // age as well, from another start time, would skip every other tick.
+      if (result.fromCache) setTimeout(() => runBackgroundRefresh(), 5000);
+      clearInterval(refreshTimer);
+      refreshTimer = setInterval(() => runBackgroundRefresh({ force: true }), REFRESH_INTERVAL_MS);
     } else {
       // Use built-in fallback
       dataSource = 'built-in';
+      dataSourceId = null;
+      await rebuildAliasIndex();
       if (onProgress) onProgress({
         phase: 'ready',
-        message: `Using built-in catalog: ${PLANET_CATALOG.length} planets (NASA API unavailable)`,
+        message: `Using built-in catalog: ${PLANET_CATALOG.length} planets (${source.label} unavailable)`,
         count: PLANET_CATALOG.length,
         error: result.error,
       });
     }
   } catch (err) {
-    console.warn('[Database] NASA initialization failed:', err);
+    console.warn(`[Database] ${source.label} initialization failed:`, err);
     dataSource = 'built-in';
+    dataSourceId = null;
     if (onProgress) onProgress({
       phase: 'ready',
       message: `Using built-in catalog: ${PLANET_CATALOG.length} planets`,
@@ -791,22 +744,104 @@ export async function initializeNASACatalog(onProgress) {
   return PLANET_CATALOG;
 }
 
+// ── Catalog snapshots (see snapshots.js) ─────
+// Export the catalog on screen. Resolves to { blob, fileName }.
+export async function exportCatalogSnapshot({ gzip = false } = {}) {
+  const snapshot = buildSnapshot(PLANET_CATALOG, dataReport, {
+    dataSource,
+    sourceId: dataSourceId,
+    sourceLabel: getCatalogLabel(dataSourceId),
+    fetchedAt: dataFetchedAt,
+  });
+  const blob = await serializeSnapshot(snapshot, { gzip });
+  return { blob, fileName: snapshotFileName(snapshot, gzip) };
+}
+
+// Replace the catalog with a snapshot file for this session. Background
+// refreshes stop touching it until a source is loaded again.
+export async function importCatalogSnapshot(file) {
+  const snapshot = await readSnapshot(file);
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+
+  PLANET_CATALOG = snapshot.planets;
+  dataSource = 'snapshot';
+  dataSourceId = snapshot.meta.sourceId || null;
+  dataFetchedAt = snapshot.meta.fetchedAt || snapshot.exportedAt;
+  dataReport = snapshot.report;
+  snapshotInfo = { fileName: file.name || null, exportedAt: snapshot.exportedAt, meta: snapshot.meta };
+  await rebuildAliasIndex();
+  return PLANET_CATALOG;
+}
+
+// ── Switch primary source (settings) ─────────
+// Remembers the choice and reloads the catalog from the new source. There is
+// one cached catalog, so the first load after a switch always downloads.
+export function switchPrimarySource(id, onProgress) {
+  setPrimarySourceId(id);
+  return initializeNASACatalog(onProgress);
+}
+
+// ── Validation rule overrides (settings) ─────
+// Stored like the primary source. A catalog cached under other rules is not
+// reused, so the reload validates the source again with the new rules.
+export function getValidationOverrides() {
+  return getRuleOverrides();
+}
+
+export function setValidationOverrides(overrides, onProgress) {
+  setRuleOverrides(overrides);
+  return initializeNASACatalog(onProgress);
+}
+
 // ── Search & Filter Functions ────────────────
 export function searchPlanets(query, filters = {}) {
   let results = [...PLANET_CATALOG];
 
-  // Text search
+  // Text search; a designation of a known planet or host ("HIP 74995")
+  // also matches it under its canonical name
   if (query && query.trim()) {
     const q = query.trim().toLowerCase();
+    const aliasPlanet = resolvePlanet(aliasIndex, query);
+    const aliasSystem = resolveStar(aliasIndex, query);
+    const systemKey = aliasSystem ? starKey(aliasIndex, aliasSystem) : null;
     results = results.filter(p =>
       p.name.toLowerCase().includes(q) ||
       p.system.toLowerCase().includes(q) ||
+      p.name === aliasPlanet ||
+      (systemKey && starKey(aliasIndex, p.system) === systemKey) ||
+      (p.altNames && p.altNames.some(n => n.toLowerCase().includes(q))) ||
       p.type.toLowerCase().includes(q) ||
       (p.discoveryMethod && p.discoveryMethod.toLowerCase().includes(q)) ||
+      (p.keplerName && p.keplerName.toLowerCase().includes(q)) ||
       (p.constellation && p.constellation.name && p.constellation.name.toLowerCase().includes(q))
     );
   }
 
+  // Explicit list of catalog names (links from the data-quality view)
+  if (filters.names) {
+    const names = new Set(filters.names);
+    results = results.filter(p => names.has(p.name));
+  }
+
+  // Status filter: a single status, 'all', or 'active' (the default) for
+  // confirmed + candidates; false positives only show when asked for
+  if (!filters.status || filters.status === 'active') {
+    results = results.filter(p => p.status !== PlanetStatus.FALSE_POSITIVE);
+  } else if (filters.status && filters.status !== 'all') {
+    results = results.filter(p => p.status === filters.status);
+  }
+
+  // Host-star metallicity ([Fe/H], dex) and age (Gyr); unreported values never match
+  const starInRange = (p, field, min, max) =>
+    p[field] != null && (min === undefined || p[field] >= min) && (max === undefined || p[field] <= max);
+  if (filters.minMetallicity !== undefined || filters.maxMetallicity !== undefined) {
+    results = results.filter(p => starInRange(p, 'starMetallicity', filters.minMetallicity, filters.maxMetallicity));
+  }
+  if (filters.minAge !== undefined || filters.maxAge !== undefined) {
+    results = results.filter(p => starInRange(p, 'starAge', filters.minAge, filters.maxAge));
+  }
+
   // Type filter
   if (filters.type) {
     results = results.filter(p => p.type === filters.type);
@@ -817,28 +852,26 @@ export function searchPlanets(query, filters = {}) {
     results = results.filter(p => p.habitability >= filters.minHabitability);
   }
 
+  // Range filters only match known values: a defaulted distance of 0 is not "nearby"
+  const inRange = (p, field, min, max) => {
+    const v = knownValue(p, field);
+    if (v == null) return false;
+    return (min === undefined || v >= min) && (max === undefined || v <= max);
+  };
+
   // Distance range
-  if (filters.maxDistance !== undefined) {
-    results = results.filter(p => p.distance <= filters.maxDistance);
-  }
-  if (filters.minDistance !== undefined) {
-    results = results.filter(p => p.distance >= filters.minDistance);
+  if (filters.maxDistance !== undefined || filters.minDistance !== undefined) {
+    results = results.filter(p => inRange(p, 'distance', filters.minDistance, filters.maxDistance));
   }
 
   // Temperature range
-  if (filters.minTemp !== undefined) {
-    results = results.filter(p => p.eqTemp >= filters.minTemp);
-  }
-  if (filters.maxTemp !== undefined) {
-    results = results.filter(p => p.eqTemp <= filters.maxTemp);
+  if (filters.minTemp !== undefined || filters.maxTemp !== undefined) {
+    results = results.filter(p => inRange(p, 'eqTemp', filters.minTemp, filters.maxTemp));
   }
 
   // Radius range
-  if (filters.minRadius !== undefined) {
-    results = results.filter(p => p.radius >= filters.minRadius);
-  }
-  if (filters.maxRadius !== undefined) {
-    results = results.filter(p => p.radius <= filters.maxRadius);
+  if (filters.minRadius !== undefined || filters.maxRadius !== undefined) {
+    results = results.filter(p => inRange(p, 'radius', filters.minRadius, filters.maxRadius));
   }
 
   // Star type filter
@@ -876,6 +909,10 @@ export function searchPlanets(query, filters = {}) {
     if (sortBy === 'esi') {
       va = a.esi ? a.esi.global : 0;
       vb = b.esi ? b.esi.global : 0;
+    } else if (TRACKED_FIELDS.includes(sortBy)) {
+      // Defaulted values sort as unknown (always last)
+      va = knownValue(a, sortBy);
+      vb = knownValue(b, sortBy);
     } else {
       va = a[sortBy];
       vb = b[sortBy];
@@ -892,27 +929,45 @@ export function searchPlanets(query, filters = {}) {
   return results;
 }
 
-// ── Get planet by name ───────────────────────
+// ── Get planet by name (or any alias) ────────
 export function getPlanetByName(name) {
-  return PLANET_CATALOG.find(p => p.name === name);
+  const exact = PLANET_CATALOG.find(p => p.name === name);
+  if (exact) return exact;
+  const canonical = resolvePlanet(aliasIndex, name);
+  return canonical ? PLANET_CATALOG.find(p => p.name === canonical) : undefined;
 }
 
 // ── Get planets in same system ───────────────
-export function getSystemPlanets(systemName) {
-  return PLANET_CATALOG.filter(p => p.system === systemName);
+// Hosts match through the alias index, so "Gliese 581" and "GJ 581" agree.
+// False positives are not planets of the system unless asked for.
+export function getSystemPlanets(systemName, { includeFalsePositives = false } = {}) {
+  const key = starKey(aliasIndex, systemName);
+  return PLANET_CATALOG.filter(p => starKey(aliasIndex, p.system) === key &&
+    (includeFalsePositives || p.status !== PlanetStatus.FALSE_POSITIVE));
+}
+
+// First catalog entry that is not a false positive, for when nothing is picked
+export function getDefaultPlanet() {
+  return PLANET_CATALOG.find(p => p.status !== PlanetStatus.FALSE_POSITIVE) || PLANET_CATALOG[0];
 }
 
 // ── Catalog Statistics ───────────────────────
+// Over confirmed planets and candidates; false positives only appear in
+// `statuses`, so they never skew the totals or the habitability figures
 export function getCatalogStats() {
   const types = {};
   const starTypes = {};
   const methods = {};
+  const statuses = Object.fromEntries(Object.values(PlanetStatus).map(st => [st, 0]));
   let totalHab = 0;
   let highHabCount = 0;
   let inHZCount = 0;
   let highESICount = 0;
 
-  PLANET_CATALOG.forEach(p => {
+  PLANET_CATALOG.forEach(p => { if (p.status in statuses) statuses[p.status]++; });
+  const planets = PLANET_CATALOG.filter(p => p.status !== PlanetStatus.FALSE_POSITIVE);
+
+  planets.forEach(p => {
     types[p.type] = (types[p.type] || 0) + 1;
     const st = p.starType ? p.starType[0] : '?';
     starTypes[st] = (starTypes[st] || 0) + 1;
@@ -924,17 +979,21 @@ export function getCatalogStats() {
   });
 
   return {
-    total: PLANET_CATALOG.length,
+    total: planets.length,
     types,
     starTypes,
     methods,
-    avgHabitability: Math.round((totalHab / PLANET_CATALOG.length) * 100) / 100,
+    statuses,
+    avgHabitability: planets.length ? Math.round((totalHab / planets.length) * 100) / 100 : 0,
     highHabitabilityCount: highHabCount,
     inHabitableZone: inHZCount,
     highESICount,
-    nearestPlanet: PLANET_CATALOG.reduce((a, b) => a.distance < b.distance ? a : b),
-    mostHabitable: PLANET_CATALOG.reduce((a, b) => a.habitability > b.habitability ? a : b),
+    nearestPlanet: planets
+      .filter(p => knownValue(p, 'distance') > 0)
+      .reduce((a, b) => (!a || b.distance < a.distance) ? b : a, null),
+    mostHabitable: planets.reduce((a, b) => (!a || b.habitability > a.habitability) ? b : a, null),
     dataSource,
+    dataSourceId,
     lastUpdated: getLastUpdated(),
   };
 }
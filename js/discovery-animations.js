@@ -15,13 +15,14 @@ export function isLowPowerMode() {
 }
 
 // ── Generic animation runner ─────────────────
-// Creates a requestAnimationFrame loop for a canvas
-export function animateCanvas(canvas, drawFn, durationMs = 8000) {
+// Creates a requestAnimationFrame loop for a canvas;
+// `planet` is passed through to the draw function
+export function animateCanvas(canvas, drawFn, durationMs = 8000, planet = null) {
   if (!canvas || lowPowerMode) {
     // In low-power mode, draw a single static frame
     if (canvas && drawFn) {
       const ctx = canvas.getContext('2d');
-      drawFn(ctx, canvas.width, canvas.height, 0.5);
+      drawFn(ctx, canvas.width, canvas.height, 0.5, planet);
     }
     return { stop: () => {} };
   }
@@ -33,7 +34,7 @@ export function animateCanvas(canvas, drawFn, durationMs = 8000) {
   function loop() {
     const elapsed = performance.now() - startTime;
     const t = (elapsed % durationMs) / durationMs; // 0-1 cyclic
-    drawFn(ctx, canvas.width, canvas.height, t);
+    drawFn(ctx, canvas.width, canvas.height, t, planet);
     animId = requestAnimationFrame(loop);
   }
   loop();
@@ -46,11 +47,30 @@ export function animateCanvas(canvas, drawFn, durationMs = 8000) {
 // ════════════════════════════════════════════════
 // TRANSIT METHOD ANIMATION
 // Shows a planet crossing in front of a star
-// with a light curve below
+// with a light curve below. With a planet whose
+// Rp/R★ is known, the disc size, impact parameter
+// and dip shape follow the real values.
 // ════════════════════════════════════════════════
-export function drawTransit(ctx, w, h, t) {
+
+// Fraction of the full depth blocked with the planet centre `x` stellar
+// radii from the star's centre along the chord (linear ingress/egress)
+function transitCoverage(x, k, b) {
+  const d = Math.hypot(x, b);
+  if (d >= 1 + k) return 0;
+  if (d <= 1 - k) return 1;
+  return (1 + k - d) / (2 * k);
+}
+
+export function drawTransit(ctx, w, h, t, planet = null) {
   ctx.clearRect(0, 0, w, h);
 
+  const geometry = planet && planet.transitGeometry;
+  const k = geometry && geometry.radiusRatio > 0 ? geometry.radiusRatio : null;
+  if (k) {
+    drawMeasuredTransit(ctx, w, h, t, geometry, k);
+    return;
+  }
+
   const midY = h * 0.35;
   const starR = h * 0.18;
   const planetR = starR * 0.28;
@@ -58,21 +78,7 @@ export function drawTransit(ctx, w, h, t) {
   const curveH = h * 0.2;
 
   // Star (yellow circle with glow)
-  const starGrad = ctx.createRadialGradient(w / 2, midY, 0, w / 2, midY, starR * 1.5);
-  starGrad.addColorStop(0, '#fff8e1');
-  starGrad.addColorStop(0.5, '#ffd740');
-  starGrad.addColorStop(0.8, '#ff8f00');
-  starGrad.addColorStop(1, 'rgba(255,143,0,0)');
-  ctx.beginPath();
-  ctx.arc(w / 2, midY, starR * 1.5, 0, Math.PI * 2);
-  ctx.fillStyle = starGrad;
-  ctx.fill();
-
-  // Star core
-  ctx.beginPath();
-  ctx.arc(w / 2, midY, starR, 0, Math.PI * 2);
-  ctx.fillStyle = '#fff8e1';
-  ctx.fill();
+  drawTransitStar(ctx, w, midY, starR);
 
   // Planet moving across star
   const planetX = w * 0.15 + t * w * 0.7;
@@ -119,6 +125,89 @@ export function drawTransit(ctx, w, h, t) {
   }
 }
 
+function drawTransitStar(ctx, w, midY, starR) {
+  const starGrad = ctx.createRadialGradient(w / 2, midY, 0, w / 2, midY, starR * 1.5);
+  starGrad.addColorStop(0, '#fff8e1');
+  starGrad.addColorStop(0.5, '#ffd740');
+  starGrad.addColorStop(0.8, '#ff8f00');
+  starGrad.addColorStop(1, 'rgba(255,143,0,0)');
+  ctx.beginPath();
+  ctx.arc(w / 2, midY, starR * 1.5, 0, Math.PI * 2);
+  ctx.fillStyle = starGrad;
+  ctx.fill();
+
+  // Star core
+  ctx.beginPath();
+  ctx.arc(w / 2, midY, starR, 0, Math.PI * 2);
+  ctx.fillStyle = '#fff8e1';
+  ctx.fill();
+}
+
+// Real Rp/R★ and impact parameter; the dip height is scaled by √depth so
+// that shallow Earth-size transits stay visible
+function drawMeasuredTransit(ctx, w, h, t, geometry, k) {
+  const midY = h * 0.35;
+  const starR = h * 0.18;
+  const b = geometry.impactParameter != null ? Math.min(Math.abs(geometry.impactParameter), 1 + k) : 0;
+  const planetR = Math.max(1.5, starR * k);
+  const curveY = h * 0.72;
+  const curveH = h * 0.2;
+  const dipH = curveH * 0.6 * Math.min(1, Math.sqrt((geometry.depth ?? k * k) / 0.02));
+
+  // Planet centre in stellar radii from the star's centre, for a phase 0-1
+  const offsetAt = phase => (w * 0.15 + phase * w * 0.7 - w / 2) / starR;
+
+  drawTransitStar(ctx, w, midY, starR);
+
+  // Planet crossing at its impact parameter
+  ctx.beginPath();
+  ctx.arc(w / 2 + offsetAt(t) * starR, midY + b * starR, planetR, 0, Math.PI * 2);
+  ctx.fillStyle = '#1a1a2e';
+  ctx.fill();
+
+  // Baseline
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+  ctx.lineWidth = 0.5;
+  ctx.beginPath();
+  ctx.moveTo(w * 0.08, curveY);
+  ctx.lineTo(w * 0.92, curveY);
+  ctx.stroke();
+
+  // Light curve over the whole crossing, with a marker at the current time
+  const brightnessY = phase => curveY - curveH * 0.1 + transitCoverage(offsetAt(phase), k, b) * dipH;
+  const curveX = phase => w * 0.08 + phase * w * 0.84;
+  ctx.beginPath();
+  ctx.strokeStyle = '#00e5ff';
+  ctx.lineWidth = 2;
+  for (let i = 0; i <= 200; i++) {
+    const phase = i / 200;
+    if (i === 0) ctx.moveTo(curveX(phase), brightnessY(phase));
+    else ctx.lineTo(curveX(phase), brightnessY(phase));
+  }
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.arc(curveX(t), brightnessY(t), 3, 0, Math.PI * 2);
+  ctx.fillStyle = '#ffd740';
+  ctx.fill();
+
+  // Labels
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+  ctx.font = '9px "Rajdhani", sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillText('Brightness', w * 0.08, curveY + curveH * 0.35);
+  ctx.fillText('Time →', w * 0.92, curveY + curveH * 0.35);
+
+  const facts = [
+    geometry.depthPpm != null ? `${geometry.depthPpm.toLocaleString()} ppm` : null,
+    geometry.durationHours != null ? `${geometry.durationHours.toFixed(2)} h` : null,
+    geometry.impactParameter != null ? `b = ${geometry.impactParameter.toFixed(2)}` : null,
+  ].filter(Boolean);
+  ctx.fillStyle = '#ffd740';
+  ctx.font = '10px "Rajdhani", sans-serif';
+  ctx.fillText(`▼ ${facts.join(' · ') || 'Transit dip'}`, w / 2, curveY + curveH * 0.55);
+}
+
 // ════════════════════════════════════════════════
 // RADIAL VELOCITY ANIMATION
 // Shows star wobble with Doppler shift
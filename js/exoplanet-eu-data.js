@@ -0,0 +1,215 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — EXOPLANET.EU SOURCE ADAPTER
+// The Encyclopaedia of Exoplanetary Systems CSV export,
+// mapped to the internal schema. Jupiter units are
+// converted to Earth units; errors are positive magnitudes.
+// ═══════════════════════════════════════════════
+
+import {
+  fetchText, validateAndClean, PARSEC_TO_LY, PlanetStatus,
+} from './nasa-data.js';
+
+const EXOPLANET_EU_CSV_URL = 'https://exoplanet.eu/catalog/csv/';
+
+const JUPITER_MASS_EARTH = 317.83;
+const JUPITER_RADIUS_EARTH = 11.209;
+
+const EU_STATUSES = {
+  'confirmed': PlanetStatus.CONFIRMED,
+  'candidate': PlanetStatus.CANDIDATE,
+  'unconfirmed': PlanetStatus.CANDIDATE,
+  'controversial': PlanetStatus.CANDIDATE,
+  'retracted': PlanetStatus.FALSE_POSITIVE,
+};
+
+// exoplanet.eu detection types → NASA discovery method names
+const EU_METHODS = {
+  'primary transit': 'Transit',
+  'secondary transit': 'Transit',
+  'radial velocity': 'Radial Velocity',
+  'imaging': 'Imaging',
+  'microlensing': 'Microlensing',
+  'astrometry': 'Astrometry',
+  'ttv': 'Transit Timing Variations',
+  'timing': 'Pulsar Timing',
+  'kinematic': 'Disk Kinematics',
+};
+
+// ── CSV parsing ──────────────────────────────
+// RFC 4180: quoted fields may hold commas, doubled quotes and newlines.
+// Returns one object per data row keyed by the header; the legacy export
+// prefixes its header with "# ".
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+
+  if (rows.length === 0) return [];
+  const header = rows[0].map(h => h.replace(/^#\s*/, '').trim());
+  return rows.slice(1).map(cells => Object.fromEntries(header.map((h, i) => [h, cells[i] ?? ''])));
+}
+
+function num(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function list(value) {
+  return value ? value.split(',').map(s => s.trim()).filter(Boolean) : [];
+}
+
+// { value, errPlus, errMinus, limit } in the same shape as readMeasurement
+function measurement(row, col, scale = 1) {
+  const value = num(row[col]);
+  if (value == null) return null;
+  const errMax = num(row[`${col}_error_max`]);
+  const errMin = num(row[`${col}_error_min`]);
+  return {
+    value: value * scale,
+    errPlus: errMax != null ? Math.abs(errMax) * scale : null,
+    errMinus: errMin != null ? Math.abs(errMin) * scale : null,
+    limit: null,
+  };
+}
+
+function discoveryMethod(detectionType) {
+  const first = list(detectionType)[0];
+  if (!first) return null;
+  return EU_METHODS[first.toLowerCase()] || first;
+}
+
+// ── Field Mapping: exoplanet.eu → Internal Schema ──
+export function mapExoplanetEuRecord(row) {
+  const trueMass = measurement(row, 'mass', JUPITER_MASS_EARTH);
+  const minMass = measurement(row, 'mass_sini', JUPITER_MASS_EARTH);
+  const mass = trueMass || minMass;
+  const radius = measurement(row, 'radius', JUPITER_RADIUS_EARTH);
+  const distancePc = num(row.star_distance);
+  const starTemp = num(row.star_teff);
+  const starRadius = num(row.star_radius);
+  const eqTemp = num(row.temp_measured) ?? num(row.temp_calculated);
+  const status = (row.planet_status || '').toLowerCase();
+  const name = row.name || 'Unknown';
+
+  return {
+    name,
+    system: row.star_name || name.replace(/\s[b-i]$/i, ''),
+    altNames: list(row.alternate_names),
+    starAltNames: list(row.star_alternate_names),
+
+    distance: distancePc != null ? distancePc * PARSEC_TO_LY : null,
+    radius: radius ? radius.value : null,
+    mass: mass ? mass.value : null,
+    massIsMinimum: !trueMass && !!minMass,
+    massSource: trueMass ? 'Mass' : minMass ? 'Msini' : null,
+    period: num(row.orbital_period),
+    semiMajorAxis: num(row.semi_major_axis),
+    eqTemp: eqTemp != null ? Math.round(eqTemp) : null,
+    eccentricity: num(row.eccentricity),
+    inclination: num(row.inclination),
+
+    transitMidpoint: num(row.tzero_tr),           // BJD
+    transitDepth: null,                           // not in the exoplanet.eu export
+    transitDuration: null,
+    radiusRatio: null,
+    impactParameter: num(row.impact_parameter),
+
+    starType: row.star_sp_type || null,
+    starTemp: starTemp != null ? Math.round(starTemp) : null,
+    starMass: num(row.star_mass),
+    starLum: null,                                // derived from R★ and T_eff later
+    starLumLog: null,
+    starRadius,
+    starLogg: null,
+    starMetallicity: num(row.star_metallicity),
+    starAge: num(row.star_age),
+    systemStars: null,                            // not in the exoplanet.eu export
+    systemPlanets: null,
+
+    discovered: num(row.discovered),
+    discoveryMethod: discoveryMethod(row.detection_type),
+    discoveryFacility: null,
+    discoveryRef: null,
+
+    ra: num(row.ra),
+    dec: num(row.dec),
+    vMag: num(row.mag_v),
+    kMag: num(row.mag_k),
+
+    measurements: {
+      radius,
+      mass,
+      eqTemp: null,
+      semiMajorAxis: measurement(row, 'semi_major_axis'),
+      period: measurement(row, 'orbital_period'),
+      transitMidpoint: measurement(row, 'tzero_tr'),
+      impactParameter: measurement(row, 'impact_parameter'),
+      starTemp: measurement(row, 'star_teff'),
+      starLum: null,
+      starRadius: measurement(row, 'star_radius'),
+      starMetallicity: measurement(row, 'star_metallicity'),
+      starAge: measurement(row, 'star_age'),
+    },
+
+    status: EU_STATUSES[status] || PlanetStatus.CANDIDATE,
+    disposition: row.planet_status || null,
+    catalog: 'exoplanet-eu',
+    sourceTable: 'exoplanet.eu',
+    rowUpdate: row.updated || null,
+    controversial: status === 'controversial',
+    source: 'exoplanet.eu',
+  };
+}
+
+// ── Source Adapter ───────────────────────────
+export const exoplanetEuSource = {
+  id: 'exoplanet-eu',
+  label: 'exoplanet.eu',
+  shortLabel: 'EXOPLANET.EU',
+  supportsDelta: false,
+  origin: () => EXOPLANET_EU_CSV_URL,
+
+  async fetch(onProgress) {
+    const text = await fetchText(EXOPLANET_EU_CSV_URL, 'exoplanet.eu', onProgress, { accept: 'text/csv' });
+    const rows = parseCSV(text);
+    if (rows.length === 0 || !('name' in rows[0])) {
+      throw new Error('exoplanet.eu returned an unexpected CSV layout');
+    }
+    if (onProgress) onProgress({ phase: 'parsing', message: `Received ${rows.length} records from exoplanet.eu...` });
+    return rows;
+  },
+
+  map(rows) {
+    return rows.map(mapExoplanetEuRecord);
+  },
+
+  validate(planets, payload, aliases, rules) {
+    return validateAndClean(planets, aliases, rules);
+  },
+};
@@ -0,0 +1,156 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — HEALTH CHECKS
+// The checks behind healthcheck.html, also run from Node
+// by `node serve.js healthcheck` (see server/cli.js).
+// No DOM access here: each check gets a fetch bound to
+// the server under test.
+// ═══════════════════════════════════════════════
+
+const TIMEOUT_MS = 10000;
+
+async function expectOk(response) {
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response;
+}
+
+// `external` checks reach third-party services. The /health and /ready
+// checks pass on servers that do not report them (static hosting).
+export const HEALTH_CHECKS = [
+  {
+    name: 'Server responding',
+    run: async ({ get }) => {
+      const r = await get('/health');
+      if (!r.ok && r.status !== 503) throw new Error(`HTTP ${r.status}`);
+      const j = await r.json();
+      const version = j.version ? `v${j.version}, ` : '';
+      return `${version}uptime ${j.uptime.toFixed(1)}s`;
+    }
+  },
+  {
+    name: 'Server health',
+    run: async ({ get }) => {
+      const r = await get('/health');
+      if (r.status === 404) return 'Not reported by this server';
+      const j = await r.json();
+      if (!j.status) return 'Not reported by this server';
+      if (j.status === 'error') throw new Error(j.problems?.join('; ') || 'Server reports an error');
+      const detail = j.problems && j.problems.length ? ` (${j.problems.join('; ')})` : '';
+      return `${j.status.toUpperCase()}${detail}`;
+    }
+  },
+  {
+    name: 'Server ready',
+    run: async ({ get }) => {
+      const r = await get('/ready');
+      if (r.status === 404) return 'Not reported by this server';
+      const j = await r.json();
+      if (!j.ready) throw new Error(j.reasons?.join('; ') || `HTTP ${r.status}`);
+      return 'Ready';
+    }
+  },
+  {
+    name: 'index.html loads',
+    run: async ({ get }) => {
+      const text = await (await expectOk(await get('/index.html'))).text();
+      if (!text.includes('scene-canvas')) throw new Error('Missing canvas element');
+      return `${text.length} bytes`;
+    }
+  },
+  {
+    name: 'JS modules load (app.js)',
+    run: async ({ get }) => {
+      const text = await (await expectOk(await get('/js/app.js'))).text();
+      if (!text.includes('import')) throw new Error('Not an ES module');
+      return `${text.length} bytes`;
+    }
+  },
+  {
+    name: 'JS modules load (database.js)',
+    run: async ({ get }) => {
+      await expectOk(await get('/js/database.js'));
+      return 'OK';
+    }
+  },
+  {
+    name: 'JS modules load (nasa-data.js)',
+    run: async ({ get }) => {
+      await expectOk(await get('/js/nasa-data.js'));
+      return 'OK';
+    }
+  },
+  {
+    name: 'JS modules load (science.js)',
+    run: async ({ get }) => {
+      await expectOk(await get('/js/science.js'));
+      return 'OK';
+    }
+  },
+  {
+    name: 'CSS loads',
+    run: async ({ get }) => {
+      return `${(await (await expectOk(await get('/css/style.css'))).text()).length} bytes`;
+    }
+  },
+  {
+    name: 'Three.js CDN reachable',
+    external: true,
+    run: async ({ fetchUrl }) => {
+      await fetchUrl('https://cdn.jsdelivr.net/npm/three@0.163.0/build/three.module.js', { method: 'HEAD', mode: 'no-cors' });
+      return 'CDN reachable';
+    }
+  },
+  {
+    name: 'NASA Exoplanet Archive API reachable',
+    external: true,
+    run: async ({ fetchUrl }) => {
+      const url = 'https://exoplanetarchive.ipac.caltech.edu/TAP/sync?query=SELECT+TOP+1+pl_name+FROM+pscomppars&format=json';
+      const data = await (await expectOk(await fetchUrl(url))).json();
+      return `API OK, sample: ${data[0]?.pl_name || 'unknown'}`;
+    }
+  },
+  {
+    name: 'Google Fonts reachable',
+    external: true,
+    run: async ({ fetchUrl }) => {
+      await fetchUrl('https://fonts.googleapis.com/css2?family=Orbitron:wght@400', { mode: 'no-cors' });
+      return 'Fonts CDN reachable';
+    }
+  }
+];
+
+/**
+ * Run the checks one after another against the server at `baseUrl`.
+ * `onResult(index, state, detail)` reports 'running', 'pass' and 'fail'
+ * as they happen. `external: false` leaves out the third-party checks.
+ * Resolves to { passed, failed, skipped, results: [{ name, ok, detail, ms }] }.
+ */
+export async function runHealthChecks({ baseUrl, external = true, onResult = null, timeoutMs = TIMEOUT_MS }) {
+  const fetchUrl = (url, init = {}) => fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+  const context = { fetchUrl, get: (path, init) => fetchUrl(new URL(path, baseUrl), init) };
+
+  const results = [];
+  let skipped = 0;
+  for (let i = 0; i < HEALTH_CHECKS.length; i++) {
+    const check = HEALTH_CHECKS[i];
+    if (check.external && !external) {
+      skipped++;
+      continue;
+    }
+    if (onResult) onResult(i, 'running', 'Running...');
+    const started = Date.now();
+    try {
+      const detail = await check.run(context);
+      results.push({ name: check.name, ok: true, detail, ms: Date.now() - started });
+      if (onResult) onResult(i, 'pass', detail);
+    } catch (err) {
+      // Node's fetch keeps the reason (ECONNREFUSED, ENOTFOUND) in err.cause
+      const reason = err.cause && err.cause.code ? ` (${err.cause.code})` : '';
+      const detail = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs / 1000}s` : err.message + reason;
+      results.push({ name: check.name, ok: false, detail, ms: Date.now() - started });
+      if (onResult) onResult(i, 'fail', detail);
+    }
+  }
+
+  const passed = results.filter(r => r.ok).length;
+  return { passed, failed: results.length - passed, skipped, results };
+}
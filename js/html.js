@@ -0,0 +1,13 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — HTML Escaping
+// Catalog strings (names, hosts, references, imported
+// snapshots and alias files) come from outside the app;
+// escape them before they go into an innerHTML template.
+// ═══════════════════════════════════════════════
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** Text or attribute value safe to interpolate into HTML; null becomes '' */
+export function escapeHTML(value) {
+  return value == null ? '' : String(value).replace(/[&<>"']/g, ch => ENTITIES[ch]);
+}
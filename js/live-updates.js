@@ -0,0 +1,81 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — LIVE UPDATES
+// Subscribes to serve.js's event stream (/api/events), so
+// every open tab refreshes when the server's catalog does,
+// instead of waiting for its own hourly delta sync
+// ═══════════════════════════════════════════════
+
+import { requestCatalogRefresh, getDataSource, getDataSourceId } from './database.js';
+
+const EVENTS_PATH = '/api/events';
+
+let eventSource = null;
+let serverHealth = null;
+// The changelog event precedes the catalog-update it belongs to
+let pendingChangelog = null;
+
+export function getServerHealth() { return serverHealth; }
+
+function setServerHealth(health) {
+  serverHealth = health;
+  window.dispatchEvent(new CustomEvent('server-health', { detail: health }));
+}
+
+function onCatalogUpdate(update) {
+  const changelog = pendingChangelog;
+  pendingChangelog = null;
+  if (!update.changed) return;
+  // Snapshots stay frozen, and another catalog's changes are not ours
+  if (getDataSource() === 'snapshot' || update.sourceId !== getDataSourceId()) return;
+  const c = update.counts || {};
+  console.log(`[Live] Server catalog changed (+${c.added || 0} / -${c.removed || 0} / ✗${c.retracted || 0} / ~${c.changed || 0}); refreshing`);
+  requestCatalogRefresh(changelog);
+}
+
+function parse(event) {
+  try {
+    return JSON.parse(event.data);
+  } catch (e) {
+    console.warn('[Live] Ignoring malformed event:', event.type);
+    return null;
+  }
+}
+
+/**
+ * Connect when the page is served by serve.js with live events on; elsewhere
+ * (static hosting, file://) this resolves to false and nothing else happens.
+ * Progress is reported through 'server-health' window events, whose detail is
+ * the server's health payload or { status: 'disconnected' }.
+ */
+export async function connectLiveUpdates() {
+  if (eventSource) return true;
+  if (typeof EventSource === 'undefined' || !/^https?:$/.test(location.protocol)) return false;
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 2000);
+  const available = await fetch(`${location.origin}${EVENTS_PATH}/status`, { signal: controller.signal })
+    .then(res => res.ok)
+    .catch(() => false)
+    .finally(() => clearTimeout(timeout));
+  if (!available) return false;
+
+  // EventSource reconnects on its own and sends Last-Event-ID, so the
+  // server replays catalog events missed while the tab was disconnected
+  eventSource = new EventSource(`${location.origin}${EVENTS_PATH}`);
+  eventSource.addEventListener('server-health', (e) => {
+    const health = parse(e);
+    if (health) setServerHealth(health);
+  });
+  eventSource.addEventListener('changelog', (e) => {
+    pendingChangelog = parse(e);
+  });
+  eventSource.addEventListener('catalog-update', (e) => {
+    const update = parse(e);
+    if (update) onCatalogUpdate(update);
+  });
+  eventSource.addEventListener('error', () => {
+    if (serverHealth && serverHealth.status !== 'disconnected') setServerHealth({ status: 'disconnected' });
+  });
+  console.log('[Live] Subscribed to server catalog updates');
+  return true;
+}
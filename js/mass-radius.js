@@ -0,0 +1,156 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — MASS–RADIUS FORECASTER
+// Broken power-law M–R relation after Chen & Kipping (2017),
+// "Probabilistic Forecasting of the Masses and Radii of Other Worlds"
+// ApJ, 834, 17. Shared by the pipeline, ESI and classification.
+// ═══════════════════════════════════════════════
+
+const JUPITER_MASS_EARTH = 317.83;
+
+// Regimes in log10 space: log10(R/R⊕) = C + S · log10(M/M⊕), with intrinsic
+// scatter sigma in log10(R). Intercepts after the first follow from continuity.
+const REGIMES = [
+  { name: 'Terran',    maxLogM: Math.log10(2.04),   S: 0.2790, sigma: 0.0403 },
+  { name: 'Neptunian', maxLogM: Math.log10(131.6),  S: 0.589,  sigma: 0.146 },
+  { name: 'Jovian',    maxLogM: Math.log10(26636),  S: -0.044, sigma: 0.0736 },
+  { name: 'Stellar',   maxLogM: Infinity,           S: 0.881,  sigma: 0.0352 },
+];
+
+(function chainIntercepts() {
+  let C = 0.00346; // Terran intercept
+  let prevMax = -Infinity;
+  for (const r of REGIMES) {
+    if (prevMax !== -Infinity) {
+      const prev = REGIMES[REGIMES.indexOf(r) - 1];
+      C = prev.C + (prev.S - r.S) * prevMax;
+    }
+    r.C = C;
+    r.minLogM = prevMax;
+    prevMax = r.maxLogM;
+  }
+})();
+
+// Radius (log10) at each regime boundary, used to invert R → M
+const TERRAN_MAX_LOG_R = REGIMES[0].C + REGIMES[0].S * REGIMES[0].maxLogM;
+const NEPTUNIAN_MAX_LOG_R = REGIMES[1].C + REGIMES[1].S * REGIMES[1].maxLogM;
+const JOVIAN_MIN_LOG_R = REGIMES[2].C + REGIMES[2].S * REGIMES[2].maxLogM;
+
+const REFERENCE = 'Chen & Kipping (2017)';
+
+// Relative measurement error → log10 scatter (symmetric approximation)
+function logSigmaOf(measurement) {
+  if (!measurement || !measurement.value) return 0;
+  const { value, errPlus, errMinus } = measurement;
+  const errs = [errPlus, errMinus].filter(e => e != null && e > 0);
+  if (errs.length === 0) return 0;
+  const mean = errs.reduce((a, b) => a + b, 0) / errs.length;
+  return Math.log10(1 + mean / value);
+}
+
+function fromLog(logValue, logSigma, extra) {
+  const value = Math.pow(10, logValue);
+  return {
+    value,
+    errPlus: Math.pow(10, logValue + logSigma) - value,
+    errMinus: value - Math.pow(10, logValue - logSigma),
+    limit: null,
+    reference: REFERENCE,
+    ...extra,
+  };
+}
+
+/**
+ * Forecast planet radius from mass.
+ * @param {number} mass - Earth masses
+ * @param {object} [massMeasurement] - { value, errPlus, errMinus } to propagate
+ * @returns {object|null} { value, errPlus, errMinus, limit, regime, reference } in R⊕
+ */
+export function forecastRadius(mass, massMeasurement) {
+  if (!(mass > 0)) return null;
+  const logM = Math.log10(mass);
+  const regime = REGIMES.find(r => logM < r.maxLogM);
+  const logR = regime.C + regime.S * logM;
+  const inputSigma = regime.S * logSigmaOf(massMeasurement);
+  const sigma = Math.hypot(regime.sigma, inputSigma);
+  return fromLog(logR, sigma, { regime: regime.name });
+}
+
+/**
+ * Forecast planet mass from radius.
+ * The Jovian branch falls from NEPTUNIAN_MAX_LOG_R (~14.3 R⊕ at 131.6 M⊕)
+ * to JOVIAN_MIN_LOG_R (~11.3 R⊕ at the stellar boundary), so every radius in
+ * between is reached twice: by a Neptunian mass and by a Jovian one. Radius
+ * cannot choose, so the degenerate estimate starts at JOVIAN_MIN_LOG_R, the
+ * bottom of that overlap band, not at the Neptunian top. Those planets, and
+ * inflated giants above the band, get a Jupiter-mass estimate spanning the
+ * Jovian regime and `degenerate: true`; inside the band its lower error also
+ * reaches the Neptunian solution, which is as likely.
+ * @param {number} radius - Earth radii
+ * @param {object} [radiusMeasurement] - { value, errPlus, errMinus } to propagate
+ * @returns {object|null} { value, errPlus, errMinus, limit, regime, degenerate, reference } in M⊕
+ */
+export function forecastMass(radius, radiusMeasurement) {
+  if (!(radius > 0)) return null;
+  const logR = Math.log10(radius);
+
+  if (logR >= JOVIAN_MIN_LOG_R) {
+    const logMJ = Math.log10(JUPITER_MASS_EARTH);
+    // ±1σ covers roughly Saturn-mass to ~8 Jupiter masses
+    const estimate = fromLog(logMJ, 0.45, { regime: 'Jovian', degenerate: true });
+    if (logR < NEPTUNIAN_MAX_LOG_R) {
+      const neptunian = Math.pow(10, (logR - REGIMES[1].C) / REGIMES[1].S);
+      estimate.errMinus = Math.max(estimate.errMinus, estimate.value - neptunian);
+    }
+    return estimate;
+  }
+
+  const regime = logR <= TERRAN_MAX_LOG_R ? REGIMES[0] : REGIMES[1];
+  const logM = (logR - regime.C) / regime.S;
+  const sigma = Math.hypot(regime.sigma, logSigmaOf(radiusMeasurement)) / regime.S;
+  return fromLog(logM, sigma, { regime: regime.name, degenerate: false });
+}
+
+/**
+ * Convert a radial-velocity minimum mass (M sin i) to a true-mass estimate.
+ * With a known inclination the projection is removed exactly; otherwise the
+ * isotropic-orbit prior gives median 1/sin i ≈ 1.155 (68%: 1.013–1.84).
+ * @param {number} msini - Earth masses
+ * @param {number} [inclinationDeg]
+ */
+export function massFromMinimumMass(msini, inclinationDeg) {
+  if (!(msini > 0)) return null;
+  if (inclinationDeg > 0 && inclinationDeg <= 180) {
+    const sinI = Math.sin(inclinationDeg * Math.PI / 180);
+    if (sinI > 0.05) {
+      return { value: msini / sinI, errPlus: null, errMinus: null, limit: null, method: 'inclination' };
+    }
+  }
+  const value = msini * 1.155;
+  return {
+    value,
+    errPlus: msini * 1.84 - value,
+    errMinus: value - msini * 1.013,
+    limit: null,
+    method: 'isotropic prior',
+  };
+}
+
+// Mass to use for physics: true-mass estimate for M sin i values, otherwise as reported
+export function effectiveMass(planet) {
+  if (!(planet.mass > 0)) return null;
+  if (planet.massIsMinimum) {
+    const est = massFromMinimumMass(planet.mass, planet.inclination);
+    return est ? est.value : planet.mass;
+  }
+  return planet.mass;
+}
+
+export function getRegimeBoundaries() {
+  return {
+    terranNeptunian: Math.pow(10, REGIMES[0].maxLogM),
+    neptunianJovian: Math.pow(10, REGIMES[1].maxLogM),
+    jovianStellar: Math.pow(10, REGIMES[2].maxLogM),
+    terranMaxRadius: Math.pow(10, TERRAN_MAX_LOG_R),
+    neptunianMaxRadius: Math.pow(10, NEPTUNIAN_MAX_LOG_R),
+  };
+}
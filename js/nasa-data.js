@@ -1,19 +1,126 @@
 // ═══════════════════════════════════════════════
 // EXOPLANET EXPLORER — NASA EXOPLANET ARCHIVE DATA PIPELINE
 // Primary source: NASA Exoplanet Archive TAP API
-// Provides real confirmed planet data with caching,
-// fallback, validation, and incremental loading.
+// Provides confirmed planets plus TESS (TOI) and Kepler (KOI)
+// candidates with caching, fallback, validation, and
+// incremental loading. The cache/fallback orchestration is
+// shared by every catalog source adapter (see sources.js).
 // ═══════════════════════════════════════════════
 
-const NASA_TAP_URL = 'https://exoplanetarchive.ipac.caltech.edu/TAP/sync';
+import {
+  readCatalog, readCatalogMeta, writeCatalog, clearCatalog, getCatalogMetaSync,
+  readParameterSets, writeParameterSets, clearParameterSets, applyCatalogDelta, readAliasFile,
+} from './cache-store.js';
+import { TRACKED_FIELDS, STELLAR_FIELDS, ProvenanceStatus, measured, derivedFrom, defaulted } from './provenance.js';
+import { forecastMass, forecastRadius, effectiveMass } from './mass-radius.js';
+import { diffCatalogs, recordChangelog } from './changelog.js';
+import { buildAliasIndex, planetKey, mergePlanetRecords } from './aliases.js';
+import {
+  getRules, getRuleOverrides, Severity, evaluateRecord, isQuarantined, createRuleReport, tallyRules,
+} from './validation-rules.js';
+
+const DEFAULT_TAP_BASE_URL = 'https://exoplanetarchive.ipac.caltech.edu/TAP';
+
+const TAP_PROXY_PATH = '/api/tap';
+
+// TAP service base URL (queries go to <base>/sync). A `tap` page parameter
+// overrides it: `?tap=local` targets this server's /TAP (serve.js --mock-tap),
+// `?tap=direct` goes straight to the archive even when serve.js offers its
+// proxy, and a path or URL on this page's own origin names a TAP service
+// there. Other hosts are refused, so a shared link cannot send the pipeline
+// (and the catalog it renders) to a server of the link author's choosing.
+function tapParam() {
+  if (typeof location === 'undefined' || !location.search) return null;
+  return new URLSearchParams(location.search).get('tap');
+}
+
+function resolveTapBaseUrl() {
+  const param = tapParam();
+  if (!param || param === 'direct') return DEFAULT_TAP_BASE_URL;
+  if (param === 'local') return `${location.origin}/TAP`;
+  let url = null;
+  try {
+    url = new URL(param, location.href);
+  } catch (e) { /* not a URL */ }
+  if (!url || url.origin !== location.origin) {
+    console.warn(`[NASA-Data] Ignoring tap=${param}: only local, direct or a URL on ${location.origin} is allowed`);
+    return DEFAULT_TAP_BASE_URL;
+  }
+  return normalizeTapBaseUrl(`${url.origin}${url.pathname}`);
+}
+
+function normalizeTapBaseUrl(url) {
+  return url.replace(/\/+$/, '').replace(/\/sync$/, '');
+}
+
+let tapBaseUrl = resolveTapBaseUrl();
+// The service behind tapBaseUrl when that is a proxy; caches are keyed on it,
+// so going through the proxy or not reuses the same cached catalog
+let tapOrigin = null;
+
+export function getTapBaseUrl() {
+  return tapBaseUrl;
+}
+
+export function getTapOrigin() {
+  return tapOrigin || tapBaseUrl;
+}
+
+// Pass null to go back to the NASA archive. `origin` names the service a
+// proxy forwards to.
+export function setTapBaseUrl(url, origin = null) {
+  tapBaseUrl = url ? normalizeTapBaseUrl(url) : DEFAULT_TAP_BASE_URL;
+  tapOrigin = origin ? normalizeTapBaseUrl(origin) : null;
+}
+
+let proxyDetection = null;
+
+/**
+ * Prefer the caching proxy of serve.js (/api/tap) when the page is served
+ * by it and no `tap` parameter picked a service. Asks once per page; the
+ * answer is the proxy's status, or null when it is not there.
+ */
+export function detectTapProxy() {
+  if (proxyDetection) return proxyDetection;
+  if (tapParam() || typeof location === 'undefined' || !/^https?:$/.test(location.protocol)) {
+    return (proxyDetection = Promise.resolve(null));
+  }
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 2000);
+  proxyDetection = fetch(`${location.origin}${TAP_PROXY_PATH}/status`, { signal: controller.signal })
+    .then(res => (res.ok ? res.json() : null))
+    .then(status => {
+      if (!status || !status.upstream) return null;
+      setTapBaseUrl(`${location.origin}${TAP_PROXY_PATH}`, status.upstream);
+      console.log(`[NASA-Data] Using the TAP proxy (${status.entries} cached responses, upstream ${status.upstream})`);
+      return status;
+    })
+    .catch(() => null)
+    .finally(() => clearTimeout(timeout));
+  return proxyDetection;
+}
+
+// Measured quantities we also pull uncertainties for. The archive exposes
+// <col>err1 (upper error), <col>err2 (lower error, negative) and <col>lim
+// (1 = upper limit, -1 = lower limit, 0 = measurement).
+const UNCERTAINTY_COLUMNS = [
+  'pl_rade', 'pl_bmasse', 'pl_eqt', 'pl_orbsmax', 'pl_orbper',
+  'pl_tranmid', 'pl_trandep', 'pl_trandur', 'pl_ratror', 'pl_imppar',
+  'st_teff', 'st_lum', 'st_rad', 'st_met', 'st_age',
+];
 
 // Fields we request from the NASA Exoplanet Archive (Planetary Systems Composite table)
 const NASA_COLUMNS = [
   'pl_name',          // planet name
   'hostname',         // host star name
+  'hd_name',          // Henry Draper designation of the host
+  'hip_name',         // Hipparcos designation of the host
+  'tic_id',           // TESS Input Catalog designation of the host
+  'gaia_id',          // Gaia designation of the host
   'sy_dist',          // distance (pc)
   'pl_rade',          // planet radius (Earth radii)
   'pl_bmasse',        // planet mass (Earth masses)
+  'pl_bmassprov',     // mass provenance: Mass, Msini, M-R relationship
   'pl_orbper',        // orbital period (days)
   'pl_orbsmax',       // semi-major axis (AU)
   'pl_eqt',           // equilibrium temperature (K)
@@ -21,6 +128,14 @@ const NASA_COLUMNS = [
   'st_teff',          // stellar effective temperature (K)
   'st_mass',          // stellar mass (solar)
   'st_lum',           // stellar luminosity (log solar)
+  'st_rad',           // stellar radius (solar)
+  'st_logg',          // stellar surface gravity (log10 cgs)
+  'st_met',           // stellar metallicity ([Fe/H] or [M/H], dex)
+  'st_age',           // stellar age (Gyr)
+  'st_dens',          // stellar density (g/cm³)
+  'st_rotp',          // stellar rotation period (days)
+  'sy_snum',          // number of stars in the system
+  'sy_pnum',          // number of planets in the system
   'disc_year',        // discovery year
   'discoverymethod',  // discovery method
   'disc_facility',    // discovery facility/telescope
@@ -30,120 +145,319 @@ const NASA_COLUMNS = [
   'sy_kmag',          // K-band magnitude
   'pl_orbeccen',      // orbital eccentricity
   'pl_orbincl',       // orbital inclination (deg)
+  'pl_tranmid',       // transit midpoint (BJD_TDB)
+  'pl_trandep',       // transit depth (%)
+  'pl_trandur',       // transit duration (hours)
+  'pl_ratror',        // planet-to-star radius ratio
+  'pl_imppar',        // impact parameter
   'disc_refname',     // discovery reference
   'pl_controv_flag',  // controversial flag
   'soltype',          // solution type
   'default_flag',     // default parameter set flag
+  'rowupdate',        // date the row last changed (drives delta sync)
+  ...UNCERTAINTY_COLUMNS.flatMap(col => [`${col}err1`, `${col}err2`, `${col}lim`]),
 ].join(',');
 
-// ADQL query for confirmed planets (default_flag=1 gets the default solution)
-const ADQL_QUERY = `SELECT ${NASA_COLUMNS} FROM pscomppars WHERE default_flag = 1 ORDER BY pl_name`;
+// Every published solution for one planet (ps table), newest first
+const PS_COLUMNS = `${NASA_COLUMNS},pl_refname,pl_pubdate`;
+const PARAM_SETS_VERSION = 2;
+
+function parameterSetsQuery(planetName) {
+  const escaped = planetName.replace(/'/g, "''");
+  return `SELECT ${PS_COLUMNS} FROM ps WHERE pl_name = '${escaped}' ORDER BY pl_pubdate DESC`;
+}
 
-// Cache configuration
-const CACHE_KEY = 'exoplanet_nasa_cache';
-const CACHE_META_KEY = 'exoplanet_nasa_cache_meta';
-const CACHE_VERSION = 2;
+// TESS Objects of Interest (toi table)
+const TOI_COLUMNS = [
+  'toi',              // TOI number, e.g. 700.01
+  'toipfx',           // TOI host prefix, e.g. 700
+  'tid',              // TESS Input Catalog ID
+  'tfopwg_disp',      // TFOPWG disposition (PC, APC, CP, KP, FP, FA)
+  'pl_orbper',        // orbital period (days)
+  'pl_tranmid',       // transit midpoint (BJD_TDB)
+  'pl_trandep',       // transit depth (ppm)
+  'pl_trandurh',      // transit duration (hours)
+  'pl_rade',          // planet radius (Earth radii)
+  'pl_eqt',           // equilibrium temperature (K)
+  'st_dist',          // distance (pc)
+  'st_teff',          // stellar effective temperature (K)
+  'st_rad',           // stellar radius (solar)
+  'st_logg',          // stellar surface gravity (log10 cgs)
+  'st_tmag',          // TESS magnitude
+  'ra',               // right ascension (deg)
+  'dec',              // declination (deg)
+  'toi_created',      // date the TOI was released
+  'rowupdate',        // date the row last changed
+  ...['pl_rade', 'pl_eqt', 'st_teff', 'pl_orbper', 'pl_tranmid', 'pl_trandep', 'pl_trandurh']
+    .flatMap(col => [`${col}err1`, `${col}err2`]),
+].join(',');
+
+// Kepler Objects of Interest (cumulative KOI table). Error columns
+// here are named <col>_err1 / <col>_err2.
+const KOI_COLUMNS = [
+  'kepoi_name',       // KOI designation, e.g. K00752.01
+  'kepler_name',      // Kepler planet name once confirmed
+  'kepid',            // Kepler Input Catalog ID
+  'koi_disposition',  // archive disposition (CONFIRMED, CANDIDATE, FALSE POSITIVE)
+  'koi_score',        // disposition score (0-1)
+  'koi_period',       // orbital period (days)
+  'koi_time0bk',      // transit midpoint (BJD − 2454833)
+  'koi_depth',        // transit depth (ppm)
+  'koi_duration',     // transit duration (hours)
+  'koi_ror',          // planet-to-star radius ratio
+  'koi_impact',       // impact parameter
+  'koi_prad',         // planet radius (Earth radii)
+  'koi_teq',          // equilibrium temperature (K)
+  'koi_sma',          // semi-major axis (AU)
+  'koi_steff',        // stellar effective temperature (K)
+  'koi_srad',         // stellar radius (solar)
+  'koi_slogg',        // stellar surface gravity (log10 cgs)
+  'koi_smet',         // stellar metallicity ([Fe/H], dex)
+  'koi_smass',        // stellar mass (solar)
+  'koi_kepmag',       // Kepler magnitude
+  'ra',               // right ascension (deg)
+  'dec',              // declination (deg)
+  'koi_vet_date',     // date of the last parameter update
+  ...['koi_prad', 'koi_steff', 'koi_period', 'koi_time0bk', 'koi_depth', 'koi_duration', 'koi_ror', 'koi_impact']
+    .flatMap(col => [`${col}_err1`, `${col}_err2`]),
+].join(',');
+
+// ── Source Tables ────────────────────────────
+// How to query each table in full, since a date (delta sync), or as a bare
+// key list (removal detection). Confirmed planets come from pscomppars with
+// default_flag=1, i.e. the archive's default solution.
+const SOURCE_TABLES = {
+  pscomppars: {
+    label: 'NASA Exoplanet Archive',
+    columns: NASA_COLUMNS,
+    filter: 'default_flag = 1',
+    keyColumn: 'pl_name',
+    updatedColumn: 'rowupdate',
+    map: mapNASARecord,
+  },
+  toi: {
+    label: 'TESS Objects of Interest',
+    columns: TOI_COLUMNS,
+    keyColumn: 'toi',
+    updatedColumn: 'rowupdate',
+    map: mapTOIRecord,
+  },
+  cumulative: {
+    label: 'Kepler Objects of Interest',
+    columns: KOI_COLUMNS,
+    keyColumn: 'kepoi_name',
+    updatedColumn: 'koi_vet_date',
+    map: mapKOIRecord,
+  },
+};
+
+function tableQuery(table, { since = null, columns = null } = {}) {
+  const t = SOURCE_TABLES[table];
+  const where = [t.filter, since ? `${t.updatedColumn} >= '${since}'` : null].filter(Boolean);
+  return `SELECT ${columns || t.columns} FROM ${table}`
+    + (where.length ? ` WHERE ${where.join(' AND ')}` : '')
+    + ` ORDER BY ${t.keyColumn}`;
+}
+
+// Newest update date (YYYY-MM-DD) among fetched rows: the next delta starts there
+function latestUpdate(table, rows) {
+  const col = SOURCE_TABLES[table].updatedColumn;
+  let latest = null;
+  for (const row of rows) {
+    const d = row[col] ? String(row[col]).slice(0, 10) : null;
+    if (d && (!latest || d > latest)) latest = d;
+  }
+  return latest;
+}
+
+// Normalised catalog status shared by every table
+export const PlanetStatus = {
+  CONFIRMED: 'confirmed',
+  CANDIDATE: 'candidate',
+  FALSE_POSITIVE: 'false-positive',
+};
+
+const TOI_DISPOSITIONS = {
+  PC: PlanetStatus.CANDIDATE,       // planet candidate
+  APC: PlanetStatus.CANDIDATE,      // ambiguous planet candidate
+  CP: PlanetStatus.CONFIRMED,       // confirmed planet
+  KP: PlanetStatus.CONFIRMED,       // known planet
+  FP: PlanetStatus.FALSE_POSITIVE,  // false positive
+  FA: PlanetStatus.FALSE_POSITIVE,  // false alarm
+};
+
+const KOI_DISPOSITIONS = {
+  'CONFIRMED': PlanetStatus.CONFIRMED,
+  'CANDIDATE': PlanetStatus.CANDIDATE,
+  'FALSE POSITIVE': PlanetStatus.FALSE_POSITIVE,
+};
+
+// Cache configuration (records live in IndexedDB, see cache-store.js)
+const CACHE_VERSION = 12;
 const CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
 const CACHE_STALE_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const SYNC_INTERVAL_MS = 60 * 60 * 1000; // delta sync at most hourly
 
 // ── Cache Management ─────────────────────────
 function getCacheMeta() {
-  try {
-    const raw = localStorage.getItem(CACHE_META_KEY);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch { return null; }
-}
-
-function setCacheMeta(meta) {
-  try {
-    localStorage.setItem(CACHE_META_KEY, JSON.stringify(meta));
-  } catch (e) {
-    console.warn('[NASA-Data] Could not write cache meta:', e.message);
-  }
+  return readCatalogMeta();
 }
 
 function getCachedData() {
-  try {
-    const raw = localStorage.getItem(CACHE_KEY);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch { return null; }
+  return readCatalog();
 }
 
 function setCachedData(data, meta) {
-  try {
-    const json = JSON.stringify(data);
-    // Check size limit (~5MB for localStorage)
-    if (json.length > 4.5 * 1024 * 1024) {
-      // Truncate to keep under limit
-      const trimmed = data.slice(0, Math.floor(data.length * 0.8));
-      localStorage.setItem(CACHE_KEY, JSON.stringify(trimmed));
-      meta.truncated = true;
-      meta.cachedCount = trimmed.length;
-    } else {
-      localStorage.setItem(CACHE_KEY, json);
-      meta.truncated = false;
-      meta.cachedCount = data.length;
-    }
-    setCacheMeta(meta);
-  } catch (e) {
-    console.warn('[NASA-Data] Could not write cache:', e.message);
-  }
+  return writeCatalog(data, meta);
+}
+
+// A cache filled by another source, by the same source at another address
+// (e.g. the mock TAP service) or under other validation rules is never reused
+function isSameOrigin(meta, source) {
+  return meta.sourceId === source.id && meta.origin === source.origin() && (meta.rules || '[]') === rulesKey();
+}
+
+function rulesKey() {
+  return JSON.stringify(getRuleOverrides());
+}
+
+function cacheMetaFor(source, fields) {
+  return { version: CACHE_VERSION, sourceId: source.id, origin: source.origin(), rules: rulesKey(), ...fields };
 }
 
-function isCacheFresh() {
-  const meta = getCacheMeta();
-  if (!meta || meta.version !== CACHE_VERSION) return false;
+function isCacheFresh(meta, source) {
+  if (!meta || meta.version !== CACHE_VERSION || meta.truncated || !isSameOrigin(meta, source)) return false;
   const age = Date.now() - meta.fetchedAt;
   return age < CACHE_MAX_AGE_MS;
 }
 
-function isCacheUsable() {
-  const meta = getCacheMeta();
-  if (!meta || meta.version !== CACHE_VERSION) return false;
+function isCacheUsable(meta, source) {
+  if (!meta || meta.version !== CACHE_VERSION || !isSameOrigin(meta, source)) return false;
   const age = Date.now() - meta.fetchedAt;
   return age < CACHE_STALE_AGE_MS;
 }
 
 // ── NASA API Fetch ───────────────────────────
-export async function fetchNASAData(onProgress) {
-  const url = new URL(NASA_TAP_URL);
-  url.searchParams.set('query', ADQL_QUERY);
+export function fetchNASAData(onProgress) {
+  return fetchTAP(tableQuery('pscomppars'), SOURCE_TABLES.pscomppars.label, onProgress);
+}
+
+export function fetchTOIData(onProgress) {
+  return fetchTAP(tableQuery('toi'), SOURCE_TABLES.toi.label, onProgress);
+}
+
+export function fetchKOIData(onProgress) {
+  return fetchTAP(tableQuery('cumulative'), SOURCE_TABLES.cumulative.label, onProgress);
+}
+
+async function fetchTAP(query, label, onProgress) {
+  const url = new URL(`${tapBaseUrl}/sync`);
+  url.searchParams.set('query', query);
   url.searchParams.set('format', 'json');
 
-  if (onProgress) onProgress({ phase: 'fetching', message: 'Querying NASA Exoplanet Archive...' });
+  const text = await fetchText(url.toString(), label, onProgress, { accept: 'application/json' });
+  let rawData;
+  try {
+    rawData = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${label} returned malformed JSON (${text.length} bytes)`);
+  }
+  if (!Array.isArray(rawData)) {
+    throw new Error(`${label} returned an unexpected response`);
+  }
+  if (onProgress) onProgress({ phase: 'parsing', message: `Received ${rawData.length} records from ${label}...` });
+
+  return rawData;
+}
+
+/**
+ * GET a text payload with a 30 s timeout covering headers and body.
+ * Shared by every source adapter. `gzip: true` inflates a .gz download
+ * that the server does not mark with Content-Encoding.
+ */
+export async function fetchText(url, label, onProgress, { accept = '*/*', gzip = false } = {}) {
+  if (onProgress) onProgress({ phase: 'fetching', message: `Querying ${label}...` });
 
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), 30000); // 30s timeout
 
   try {
-    const response = await fetch(url.toString(), {
+    const response = await fetch(url, {
       signal: controller.signal,
-      headers: { 'Accept': 'application/json' }
+      headers: { 'Accept': accept }
     });
-    clearTimeout(timeout);
 
     if (!response.ok) {
-      throw new Error(`NASA API returned ${response.status}: ${response.statusText}`);
+      throw new Error(`${label} returned ${response.status}: ${response.statusText}`);
     }
 
-    const rawData = await response.json();
-    if (onProgress) onProgress({ phase: 'parsing', message: `Received ${rawData.length} records from NASA...` });
-
-    return rawData;
+    // A stalled or truncated body fails here rather than hanging
+    try {
+      if (gzip) {
+        return await new Response(response.body.pipeThrough(new DecompressionStream('gzip'))).text();
+      }
+      return await response.text();
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      throw new Error(`${label} response was cut off: ${e.message}`);
+    }
   } catch (err) {
-    clearTimeout(timeout);
     if (err.name === 'AbortError') {
-      throw new Error('NASA API request timed out (30s)');
+      throw new Error(`${label} request timed out (30s)`);
     }
     throw err;
+  } finally {
+    clearTimeout(timeout);
   }
 }
 
 // ── Field Mapping: NASA → Internal Schema ────
 // Converts parsecs to light-years, log-luminosity to linear, etc.
-const PARSEC_TO_LY = 3.26156;
+export const PARSEC_TO_LY = 3.26156;
+
+const LIMIT_FLAGS = { 1: 'upper', [-1]: 'lower' };
+
+// Builds { value, errPlus, errMinus, limit } for one archive column.
+// Errors are stored as positive magnitudes; null when not reported.
+// `sep` is '_' for tables that name errors <col>_err1 (KOI).
+function readMeasurement(raw, col, sep = '') {
+  const value = raw[col];
+  if (value == null) return null;
+  const err1 = raw[`${col}${sep}err1`];
+  const err2 = raw[`${col}${sep}err2`];
+  return {
+    value,
+    errPlus: err1 != null ? Math.abs(err1) : null,
+    errMinus: err2 != null ? Math.abs(err2) : null,
+    limit: LIMIT_FLAGS[raw[`${col}${sep}lim`]] || null,
+  };
+}
+
+// st_lum is log10(L/L☉); propagate its asymmetric dex errors to linear units
+function linearLuminosity(m) {
+  if (!m) return null;
+  const value = Math.pow(10, m.value);
+  return {
+    value,
+    errPlus: m.errPlus != null ? Math.pow(10, m.value + m.errPlus) - value : null,
+    errMinus: m.errMinus != null ? value - Math.pow(10, m.value - m.errMinus) : null,
+    limit: m.limit,
+  };
+}
+
+// Unit conversion of a measurement: value · scale + offset, errors · scale
+function convertMeasurement(m, scale, offset = 0) {
+  if (!m) return null;
+  return {
+    ...m,
+    value: m.value * scale + offset,
+    errPlus: m.errPlus != null ? m.errPlus * scale : null,
+    errMinus: m.errMinus != null ? m.errMinus * scale : null,
+  };
+}
+
+const PPM_TO_PERCENT = 1e-4;
+const KEPLER_BJD_OFFSET = 2454833; // BKJD → BJD
 
 export function mapNASARecord(raw) {
   const distance = raw.sy_dist != null ? raw.sy_dist * PARSEC_TO_LY : null;
@@ -154,23 +468,41 @@ export function mapNASARecord(raw) {
     // Planet identifiers
     name: raw.pl_name || 'Unknown',
     system: raw.hostname || raw.pl_name?.replace(/\s[b-i]$/i, '') || 'Unknown',
+    starAltNames: [raw.hd_name, raw.hip_name, raw.tic_id, raw.gaia_id].filter(Boolean),
 
     // Physical properties (Earth units)
     distance: distance,                           // light-years
     radius: raw.pl_rade,                          // Earth radii
     mass: raw.pl_bmasse,                          // Earth masses
+    massIsMinimum: raw.pl_bmassprov === 'Msini',  // RV minimum mass (M sin i)
+    massSource: raw.pl_bmassprov || null,         // archive's best-mass provenance
     period: raw.pl_orbper,                        // days
     semiMajorAxis: raw.pl_orbsmax,                // AU
     eqTemp: raw.pl_eqt != null ? Math.round(raw.pl_eqt) : null, // Kelvin
     eccentricity: raw.pl_orbeccen,                // dimensionless
     inclination: raw.pl_orbincl,                  // degrees
 
+    // Transit ephemeris and shape
+    transitMidpoint: raw.pl_tranmid,              // BJD_TDB
+    transitDepth: raw.pl_trandep,                 // percent
+    transitDuration: raw.pl_trandur,              // hours
+    radiusRatio: raw.pl_ratror,                   // Rp / R★
+    impactParameter: raw.pl_imppar,               // in stellar radii
+
     // Host star
     starType: raw.st_spectype || null,
     starTemp: raw.st_teff != null ? Math.round(raw.st_teff) : null,     // Kelvin
     starMass: raw.st_mass,                        // Solar masses
     starLum: starLum,                             // Solar luminosities (linear)
     starLumLog: starLumLog,                       // log10(L/L☉) - original
+    starRadius: raw.st_rad,                       // Solar radii
+    starLogg: raw.st_logg,                        // log10(g / cm s⁻²)
+    starMetallicity: raw.st_met,                  // dex
+    starAge: raw.st_age,                          // Gyr
+    starDensity: raw.st_dens,                     // g/cm³
+    starRotation: raw.st_rotp,                    // days
+    systemStars: raw.sy_snum,                     // stars in the system
+    systemPlanets: raw.sy_pnum,                   // known planets in the system
 
     // Discovery
     discovered: raw.disc_year,
@@ -184,109 +516,483 @@ export function mapNASARecord(raw) {
     vMag: raw.sy_vmag,                            // V-band apparent magnitude
     kMag: raw.sy_kmag,                            // K-band apparent magnitude
 
+    // Uncertainties: { value, errPlus, errMinus, limit } per measured field
+    measurements: {
+      radius: readMeasurement(raw, 'pl_rade'),
+      mass: readMeasurement(raw, 'pl_bmasse'),
+      eqTemp: readMeasurement(raw, 'pl_eqt'),
+      semiMajorAxis: readMeasurement(raw, 'pl_orbsmax'),
+      period: readMeasurement(raw, 'pl_orbper'),
+      transitMidpoint: readMeasurement(raw, 'pl_tranmid'),
+      transitDepth: readMeasurement(raw, 'pl_trandep'),
+      transitDuration: readMeasurement(raw, 'pl_trandur'),
+      radiusRatio: readMeasurement(raw, 'pl_ratror'),
+      impactParameter: readMeasurement(raw, 'pl_imppar'),
+      starTemp: readMeasurement(raw, 'st_teff'),
+      starLum: linearLuminosity(readMeasurement(raw, 'st_lum')),
+      starRadius: readMeasurement(raw, 'st_rad'),
+      starMetallicity: readMeasurement(raw, 'st_met'),
+      starAge: readMeasurement(raw, 'st_age'),
+    },
+
     // Provenance
+    status: PlanetStatus.CONFIRMED,
+    disposition: 'CONFIRMED',
+    catalog: 'nasa',
+    sourceTable: 'pscomppars',
+    rowUpdate: raw.rowupdate || null,
     controversial: raw.pl_controv_flag === 1,
     source: 'NASA Exoplanet Archive',
     nasaRaw: true,
   };
 }
 
+// Stellar mass and luminosity for tables that only give R★, log g and T_eff:
+// M = g·R²/G (log g☉ = 4.438), L = R²·(T/5772)⁴
+function starMassFromGravity(logg, rad) {
+  if (logg == null || !(rad > 0)) return null;
+  return Math.pow(10, logg - 4.438) * rad * rad;
+}
+
+function starLumFromRadius(rad, teff) {
+  if (!(rad > 0) || !(teff > 0)) return null;
+  return rad * rad * Math.pow(teff / 5772, 4);
+}
+
+export function mapTOIRecord(raw) {
+  const created = raw.toi_created ? parseInt(String(raw.toi_created).slice(0, 4), 10) : null;
+
+  return {
+    // toi is a float (1234.10); keep both digits, as the archive spells it
+    name: `TOI-${Number(raw.toi).toFixed(2)}`,
+    system: raw.toipfx != null ? `TOI-${raw.toipfx}` : `TIC ${raw.tid}`,
+    starAltNames: raw.tid != null ? [`TIC ${raw.tid}`] : [],
+
+    distance: raw.st_dist != null ? raw.st_dist * PARSEC_TO_LY : null,
+    radius: raw.pl_rade,
+    mass: null,
+    period: raw.pl_orbper,
+    semiMajorAxis: null,
+    eqTemp: raw.pl_eqt != null ? Math.round(raw.pl_eqt) : null,
+
+    transitMidpoint: raw.pl_tranmid,
+    transitDepth: raw.pl_trandep != null ? raw.pl_trandep * PPM_TO_PERCENT : null,
+    transitDuration: raw.pl_trandurh,
+    radiusRatio: null,                            // not in the TOI table
+    impactParameter: null,
+
+    starType: null,
+    starTemp: raw.st_teff != null ? Math.round(raw.st_teff) : null,
+    starMass: null,                               // not in the TOI table; derived
+    starLum: null,                                // from log g, R★ and T_eff later
+    starLumLog: null,
+    starRadius: raw.st_rad,
+    starLogg: raw.st_logg,
+    starMetallicity: null,                        // not in the TOI table
+    starAge: null,
+
+    discovered: Number.isFinite(created) ? created : null,
+    discoveryMethod: 'Transit',
+    discoveryFacility: 'Transiting Exoplanet Survey Satellite (TESS)',
+    discoveryRef: null,
+
+    ra: raw.ra,
+    dec: raw.dec,
+    vMag: null,
+    kMag: null,
+    tMag: raw.st_tmag,
+
+    measurements: {
+      radius: readMeasurement(raw, 'pl_rade'),
+      mass: null,
+      eqTemp: readMeasurement(raw, 'pl_eqt'),
+      semiMajorAxis: null,
+      period: readMeasurement(raw, 'pl_orbper'),
+      transitMidpoint: readMeasurement(raw, 'pl_tranmid'),
+      transitDepth: convertMeasurement(readMeasurement(raw, 'pl_trandep'), PPM_TO_PERCENT),
+      transitDuration: readMeasurement(raw, 'pl_trandurh'),
+      starTemp: readMeasurement(raw, 'st_teff'),
+      starLum: null,
+    },
+
+    status: TOI_DISPOSITIONS[raw.tfopwg_disp] || PlanetStatus.CANDIDATE,
+    disposition: raw.tfopwg_disp || null,
+    ticId: raw.tid,
+    catalog: 'nasa',
+    sourceTable: 'toi',
+    rowUpdate: raw.rowupdate || null,
+    controversial: false,
+    source: 'NASA Exoplanet Archive (TOI)',
+    nasaRaw: true,
+  };
+}
+
+export function mapKOIRecord(raw) {
+  const koi = raw.kepoi_name || 'K?????.??';
+  const [host, suffix] = koi.replace(/^K0*/, '').split('.');
+
+  return {
+    name: `KOI-${host}.${suffix}`,
+    system: `KOI-${host}`,
+    keplerName: raw.kepler_name || null,
+    starAltNames: raw.kepid != null ? [`KIC ${raw.kepid}`] : [],
+
+    distance: null,                               // not in the KOI table
+    radius: raw.koi_prad,
+    mass: null,
+    period: raw.koi_period,
+    semiMajorAxis: raw.koi_sma,
+    eqTemp: raw.koi_teq != null ? Math.round(raw.koi_teq) : null,
+
+    transitMidpoint: raw.koi_time0bk != null ? raw.koi_time0bk + KEPLER_BJD_OFFSET : null,
+    transitDepth: raw.koi_depth != null ? raw.koi_depth * PPM_TO_PERCENT : null,
+    transitDuration: raw.koi_duration,
+    radiusRatio: raw.koi_ror,
+    impactParameter: raw.koi_impact,
+
+    starType: null,
+    starTemp: raw.koi_steff != null ? Math.round(raw.koi_steff) : null,
+    starMass: raw.koi_smass,
+    starLum: null,                                // not in the KOI table; derived later
+    starLumLog: null,
+    starRadius: raw.koi_srad,
+    starLogg: raw.koi_slogg,
+    starMetallicity: raw.koi_smet,
+    starAge: null,                                // not in the KOI table
+
+    discovered: null,
+    discoveryMethod: 'Transit',
+    discoveryFacility: 'Kepler',
+    discoveryRef: null,
+
+    ra: raw.ra,
+    dec: raw.dec,
+    vMag: null,
+    kMag: null,
+    kepMag: raw.koi_kepmag,
+
+    measurements: {
+      radius: readMeasurement(raw, 'koi_prad', '_'),
+      mass: null,
+      eqTemp: null,
+      semiMajorAxis: null,
+      period: readMeasurement(raw, 'koi_period', '_'),
+      transitMidpoint: convertMeasurement(readMeasurement(raw, 'koi_time0bk', '_'), 1, KEPLER_BJD_OFFSET),
+      transitDepth: convertMeasurement(readMeasurement(raw, 'koi_depth', '_'), PPM_TO_PERCENT),
+      transitDuration: readMeasurement(raw, 'koi_duration', '_'),
+      radiusRatio: readMeasurement(raw, 'koi_ror', '_'),
+      impactParameter: readMeasurement(raw, 'koi_impact', '_'),
+      starTemp: readMeasurement(raw, 'koi_steff', '_'),
+      starLum: null,
+    },
+
+    status: KOI_DISPOSITIONS[raw.koi_disposition] || PlanetStatus.CANDIDATE,
+    disposition: raw.koi_disposition || null,
+    dispositionScore: raw.koi_score,
+    kepId: raw.kepid,
+    koiName: raw.kepoi_name,
+    catalog: 'nasa',
+    sourceTable: 'cumulative',
+    rowUpdate: raw.koi_vet_date || null,
+    controversial: false,
+    source: 'NASA Exoplanet Archive (KOI cumulative)',
+    nasaRaw: true,
+  };
+}
+
+// ── Parameter Sets (ps table) ────────────────
+// The archive's pl_refname is an HTML anchor; keep just its text and link.
+function parseReference(refname) {
+  if (!refname) return { label: 'Unknown reference', url: null };
+  const href = refname.match(/href=["']?([^"'\s>]+)/i);
+  const label = refname.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+  return { label: label || 'Unknown reference', url: href ? href[1] : null };
+}
+
+// One solution row. Nulls are kept as-is: a paper that did not fit a
+// parameter is not the same as a default, and the caller decides how to fill.
+export function mapParameterSet(raw) {
+  const p = mapNASARecord(raw);
+  const reference = parseReference(raw.pl_refname);
+  return {
+    ...p,
+    reference: reference.label,
+    referenceUrl: reference.url,
+    publishedAt: raw.pl_pubdate || null,
+    isDefault: raw.default_flag === 1,
+    solutionType: raw.soltype || null,
+  };
+}
+
+// Cached per planet for the same 24 hours as the catalog
+export async function fetchParameterSets(planetName, { force = false } = {}) {
+  const cached = await readParameterSets(planetName);
+  const usable = cached && cached.version === PARAM_SETS_VERSION
+    && (cached.tapBaseUrl || DEFAULT_TAP_BASE_URL) === getTapOrigin();
+  if (!force && usable
+      && Date.now() - cached.fetchedAt < CACHE_MAX_AGE_MS) {
+    return { sets: cached.sets, fetchedAt: cached.fetchedAt, fromCache: true };
+  }
+
+  try {
+    const rows = await fetchTAP(parameterSetsQuery(planetName), `parameter sets for ${planetName}`);
+    const sets = rows.map(mapParameterSet);
+    const fetchedAt = Date.now();
+    await writeParameterSets({ name: planetName, version: PARAM_SETS_VERSION, tapBaseUrl: getTapOrigin(), fetchedAt, sets });
+    return { sets, fetchedAt, fromCache: false };
+  } catch (err) {
+    console.warn('[NASA-Data] Parameter set fetch failed:', err.message);
+    if (usable) {
+      return { sets: cached.sets, fetchedAt: cached.fetchedAt, fromCache: true, error: err.message };
+    }
+    throw err;
+  }
+}
+
+// ── Candidate Tables ─────────────────────────
+// TOI and KOI rows that are already confirmed live in pscomppars under their
+// planet name, so only candidates and false positives are kept. A failing
+// candidate table never fails the load; its error is returned instead.
+export async function loadCandidatePlanets(onProgress) {
+  const [toi, koi] = await Promise.allSettled([fetchTOIData(onProgress), fetchKOIData(onProgress)]);
+  const planets = [];
+  const errors = [];
+  const sync = {};
+
+  for (const [result, table, label] of [[toi, 'toi', 'TOI'], [koi, 'cumulative', 'KOI']]) {
+    if (result.status === 'rejected') {
+      console.warn(`[NASA-Data] ${label} fetch failed:`, result.reason.message);
+      errors.push(`${label}: ${result.reason.message}`);
+      continue;
+    }
+    result.value
+      .map(SOURCE_TABLES[table].map)
+      .filter(p => p.status !== PlanetStatus.CONFIRMED)
+      .forEach(p => planets.push(p));
+    sync[table] = latestUpdate(table, result.value);
+  }
+
+  return { planets, errors, sync };
+}
+
+// ── Missing-Field Imputation ─────────────────
+// Derives what can be derived (Kepler's third law, radiative balance) and
+// defaults the rest so rendering never sees null. Every tracked field gets a
+// provenance entry; defaulted values are excluded from search, sort and ESI.
+function fillMissingFields(p) {
+  const prov = {};
+  [...TRACKED_FIELDS, ...STELLAR_FIELDS].forEach(f => { if (p[f] != null) prov[f] = measured(); });
+  p.provenance = prov;
+
+  // Stellar mass from log g and R★, luminosity from R★ and T_eff, where the
+  // source left them out
+  if (p.starMass == null) {
+    p.starMass = starMassFromGravity(p.starLogg, p.starRadius);
+    if (p.starMass != null) prov.starMass = derivedFrom(p, ['starLogg', 'starRadius'], 'surface gravity');
+  }
+  if (p.starLum == null) {
+    p.starLum = starLumFromRadius(p.starRadius, p.starTemp);
+    p.starLumLog = p.starLum != null ? Math.log10(p.starLum) : null;
+    if (p.starLum != null) prov.starLum = derivedFrom(p, ['starRadius', 'starTemp'], 'Stefan-Boltzmann law');
+  }
+
+  // Kepler's third law: a³ = P² · M★ (AU, years, solar masses)
+  if (p.semiMajorAxis == null && p.period > 0 && p.starMass > 0) {
+    p.semiMajorAxis = Math.cbrt(Math.pow(p.period / 365.25, 2) * p.starMass);
+    prov.semiMajorAxis = derivedFrom(p, ['period', 'starMass'], "Kepler's third law");
+  }
+  if (p.period == null && p.semiMajorAxis > 0 && p.starMass > 0) {
+    p.period = Math.sqrt(Math.pow(p.semiMajorAxis, 3) / p.starMass) * 365.25;
+    prov.period = derivedFrom(p, ['semiMajorAxis', 'starMass'], "Kepler's third law");
+  }
+
+  if (p.distance == null) {
+    p.distance = 0;
+    prov.distance = defaulted('no parallax distance');
+  }
+  // The archive fills some masses from its own M-R relation; say so
+  if (p.mass != null && p.massSource === 'M-R relationship') {
+    prov.mass = derivedFrom(p, ['radius'], 'archive mass-radius relation');
+  }
+
+  // Mass ↔ radius via the shared forecaster (M sin i deprojected first)
+  if (p.radius == null && p.mass > 0) {
+    const forecast = forecastRadius(effectiveMass(p), p.measurements && p.measurements.mass);
+    p.radius = forecast.value;
+    prov.radius = derivedFrom(p, ['mass'], `${forecast.reference} M-R forecast`);
+    if (p.measurements) p.measurements.radius = forecast;
+  }
+  if (p.radius == null) {
+    p.radius = 1.0; // Earth-like placeholder for rendering only
+    prov.radius = defaulted('no radius measurement');
+  }
+  if (p.mass == null) {
+    const forecast = forecastMass(p.radius, p.measurements && p.measurements.radius);
+    p.mass = forecast.value;
+    prov.mass = derivedFrom(p, ['radius'], `${forecast.reference} M-R forecast`);
+    if (p.measurements) p.measurements.mass = forecast;
+  }
+  if (p.eqTemp == null) {
+    // Radiative balance with Earth albedo: T = 278 K · L^¼ / √a
+    if (p.starLum != null && p.semiMajorAxis != null && p.semiMajorAxis > 0) {
+      p.eqTemp = Math.round(278 * Math.pow(p.starLum, 0.25) / Math.sqrt(p.semiMajorAxis));
+      prov.eqTemp = derivedFrom(p, ['starLum', 'semiMajorAxis'], 'radiative equilibrium');
+    } else {
+      p.eqTemp = 300;
+      prov.eqTemp = defaulted('no stellar luminosity or orbit');
+    }
+  }
+  if (p.period == null) {
+    p.period = 0;
+    prov.period = defaulted('no orbital period');
+  }
+  if (p.semiMajorAxis == null) {
+    p.semiMajorAxis = 0;
+    prov.semiMajorAxis = defaulted('no semi-major axis');
+  }
+}
+
 // ── Data Quality Checks ──────────────────────
-export function validateAndClean(planets) {
-  const report = {
-    totalInput: planets.length,
+// Rules live in validation-rules.js; the report keeps a per-rule breakdown,
+// the flat list of error/warning failures (badValues) and the quarantine.
+function createReport(totalInput, rules = getRules()) {
+  return {
+    totalInput,
     nullFields: { distance: 0, radius: 0, mass: 0, eqTemp: 0, period: 0, semiMajorAxis: 0 },
+    rules: createRuleReport(rules),
     badValues: [],
+    quarantine: [],
     duplicates: [],
     controversial: 0,
+    byStatus: Object.fromEntries(Object.values(PlanetStatus).map(st => [st, 0])),
     cleaned: 0,
     passed: 0,
+    imputed: Object.fromEntries(TRACKED_FIELDS.map(f => [f, { derived: 0, defaulted: 0 }])),
   };
+}
 
-  // Detect duplicate names
-  const nameCounts = {};
-  planets.forEach(p => {
-    const key = p.name;
-    nameCounts[key] = (nameCounts[key] || 0) + 1;
-  });
-  report.duplicates = Object.entries(nameCounts)
-    .filter(([, count]) => count > 1)
-    .map(([name, count]) => ({ name, count }));
+// Tallies nulls, status and rule failures for one record as reported by the
+// source (before imputation). Returns the failures.
+function checkRecord(p, report, rules = getRules()) {
+  if (p.distance == null) report.nullFields.distance++;
+  if (p.radius == null) report.nullFields.radius++;
+  if (p.mass == null) report.nullFields.mass++;
+  if (p.eqTemp == null) report.nullFields.eqTemp++;
+  if (p.period == null) report.nullFields.period++;
+  if (p.semiMajorAxis == null) report.nullFields.semiMajorAxis++;
 
-  const cleaned = [];
-  const seenNames = new Set();
+  if (p.controversial) report.controversial++;
+  if (p.status in report.byStatus) report.byStatus[p.status]++;
+
+  const failures = evaluateRecord(p, rules);
+  tallyRules(report.rules, p.name, failures);
+  failures
+    .filter(f => f.severity !== Severity.INFO)
+    .forEach(f => report.badValues.push({ name: p.name, field: f.field, value: f.value, ruleId: f.ruleId }));
+  return failures;
+}
+
+// What the quarantine list keeps of a rejected record: enough to review it
+// and find it again in its source
+function quarantineEntry(p, failures) {
+  return {
+    name: p.name,
+    system: p.system,
+    catalog: p.catalog || null,
+    sourceTable: p.sourceTable || null,
+    status: p.status || null,
+    failures: failures.filter(f => f.severity === Severity.ERROR),
+  };
+}
 
+function tallyImputed(p, report) {
+  for (const field of TRACKED_FIELDS) {
+    const status = p.provenance[field].status;
+    if (status !== ProvenanceStatus.MEASURED) report.imputed[field][status]++;
+  }
+}
+
+// Duplicates are found through the alias index (see aliases.js), so the same
+// planet under another designation is merged into its first occurrence.
+// `aliases` are imported alias groups, linked in after the records' own names.
+// Records failing an error-severity rule are left out of `planets` and listed
+// in report.quarantine instead. `rules` default to the active rules (see
+// setRuleOverrides in validation-rules.js).
+export function validateAndClean(planets, aliases = null, rules = getRules()) {
+  const report = createReport(planets.length, rules);
+  const index = buildAliasIndex(planets, aliases);
+
+  const kept = new Map(); // planet key → first record
+  const duplicateNames = new Map(); // planet key → every name seen
+
+  // Merge before imputation, so a duplicate's values fill real gaps
   for (const p of planets) {
-    // Skip duplicates (keep first occurrence)
-    if (seenNames.has(p.name)) {
+    const key = planetKey(index, p.name);
+    const first = kept.get(key);
+    if (first) {
+      mergePlanetRecords(first, p);
+      duplicateNames.get(key).push(p.name);
       report.cleaned++;
-      continue;
-    }
-    seenNames.add(p.name);
-
-    // Count null fields
-    if (p.distance == null) report.nullFields.distance++;
-    if (p.radius == null) report.nullFields.radius++;
-    if (p.mass == null) report.nullFields.mass++;
-    if (p.eqTemp == null) report.nullFields.eqTemp++;
-    if (p.period == null) report.nullFields.period++;
-    if (p.semiMajorAxis == null) report.nullFields.semiMajorAxis++;
-
-    if (p.controversial) report.controversial++;
-
-    // Bad value checks
-    let bad = false;
-    if (p.radius != null && (p.radius <= 0 || p.radius > 100)) {
-      report.badValues.push({ name: p.name, field: 'radius', value: p.radius });
-      bad = true;
-    }
-    if (p.mass != null && (p.mass <= 0 || p.mass > 100000)) {
-      report.badValues.push({ name: p.name, field: 'mass', value: p.mass });
-      bad = true;
-    }
-    if (p.distance != null && p.distance <= 0) {
-      report.badValues.push({ name: p.name, field: 'distance', value: p.distance });
-      bad = true;
-    }
-    if (p.eqTemp != null && (p.eqTemp < 2 || p.eqTemp > 10000)) {
-      report.badValues.push({ name: p.name, field: 'eqTemp', value: p.eqTemp });
+    } else {
+      kept.set(key, p);
+      duplicateNames.set(key, [p.name]);
     }
+  }
 
-    // Provide reasonable defaults for missing key display fields
-    if (p.distance == null) p.distance = 0;
-    if (p.radius == null) p.radius = 1.0; // assume Earth-like if unknown
-    if (p.mass == null) p.mass = p.radius > 4 ? p.radius * 5 : Math.pow(p.radius, 2.5);
-    if (p.eqTemp == null) {
-      // Estimate from star luminosity and semi-major axis
-      if (p.starLum != null && p.semiMajorAxis != null && p.semiMajorAxis > 0) {
-        p.eqTemp = Math.round(278 * Math.pow(p.starLum, 0.25) / Math.sqrt(p.semiMajorAxis));
-      } else {
-        p.eqTemp = 300; // neutral default
-      }
-      p.eqTempEstimated = true;
+  const cleaned = [];
+  for (const p of kept.values()) {
+    const failures = checkRecord(p, report, rules);
+    if (isQuarantined(failures)) {
+      report.quarantine.push(quarantineEntry(p, failures));
+      continue;
     }
-    if (p.period == null) p.period = 0;
-    if (p.semiMajorAxis == null) p.semiMajorAxis = 0;
 
-    if (!bad) {
-      cleaned.push(p);
-      report.passed++;
-    } else {
-      cleaned.push(p); // still include, just flagged
-      report.passed++;
-    }
+    // Fill missing display fields, recording where every value came from
+    fillMissingFields(p);
+    tallyImputed(p, report);
+    cleaned.push(p);
+    report.passed++;
   }
 
+  report.duplicates = [...duplicateNames.values()]
+    .filter(names => names.length > 1)
+    .map(names => ({ name: names[0], count: names.length, aliases: [...new Set(names.slice(1))] }));
+
   report.totalOutput = cleaned.length;
   return { planets: cleaned, report };
 }
 
+// Rebuilds the validation report for an already-cleaned catalog (after a
+// delta merge). Imputed values are hidden again so the range checks and null
+// counts see what the archive reported, exactly as validateAndClean did.
+// Quarantined records are carried over and still count against their rules.
+function summarizeCatalog(planets, quarantine = [], rules = getRules()) {
+  const report = createReport(planets.length + quarantine.length, rules);
+  for (const q of quarantine) {
+    tallyRules(report.rules, q.name, q.failures);
+    q.failures.forEach(f => report.badValues.push({ name: q.name, field: f.field, value: f.value, ruleId: f.ruleId }));
+  }
+  report.quarantine = quarantine;
+  for (const p of planets) {
+    const asReported = { ...p };
+    TRACKED_FIELDS.forEach(f => {
+      if (p.provenance[f].status !== ProvenanceStatus.MEASURED) asReported[f] = null;
+    });
+    checkRecord(asReported, report, rules);
+    tallyImputed(p, report);
+    report.passed++;
+  }
+  report.totalOutput = planets.length;
+  return report;
+}
+
 // ── Compute Validation Summary Stats ─────────
 export function computeValidationReport(planets, report) {
-  const withRadius = planets.filter(p => p.radius > 0);
-  const withMass = planets.filter(p => p.mass > 0);
-  const withTemp = planets.filter(p => p.eqTemp > 0 && !p.eqTempEstimated);
-  const withDist = planets.filter(p => p.distance > 0);
+  const isMeasured = (p, f) => !p.provenance || p.provenance[f].status === ProvenanceStatus.MEASURED;
+  const withRadius = planets.filter(p => p.radius > 0 && isMeasured(p, 'radius'));
+  const withMass = planets.filter(p => p.mass > 0 && isMeasured(p, 'mass'));
+  const withTemp = planets.filter(p => p.eqTemp > 0 && isMeasured(p, 'eqTemp'));
+  const withDist = planets.filter(p => p.distance > 0 && isMeasured(p, 'distance'));
 
   const median = arr => {
     const s = [...arr].sort((a, b) => a - b);
@@ -310,74 +1016,142 @@ export function computeValidationReport(planets, report) {
   };
 }
 
+// ── Fetch → Map → Validate ───────────────────
+// Runs one source adapter end to end (see sources.js for the interface).
+export async function runSource(source, onProgress, rules = getRules()) {
+  const payload = await source.fetch(onProgress);
+  const aliases = await readAliasFile();
+
+  if (onProgress) onProgress({ phase: 'mapping', message: `Mapping ${source.label} fields to internal schema...` });
+  const mapped = source.map(payload);
+
+  if (onProgress) onProgress({ phase: 'validating', message: 'Running data quality checks...' });
+  const { planets, report, sync = null } = source.validate(mapped, payload, aliases, rules);
+
+  return { planets, report: computeValidationReport(planets, report), sync };
+}
+
+// ── NASA Source Adapter ──────────────────────
+// Confirmed planets are required; candidate tables are best-effort. The
+// only adapter with per-table sync marks, so the only one that delta-syncs.
+export const nasaSource = {
+  id: 'nasa',
+  label: 'NASA Exoplanet Archive',
+  shortLabel: 'NASA',
+  supportsDelta: true,
+  origin: () => getTapOrigin(),
+
+  async fetch(onProgress) {
+    const [rows, candidates] = await Promise.all([
+      fetchNASAData(onProgress),
+      loadCandidatePlanets(onProgress),
+    ]);
+    return { rows, candidates };
+  },
+
+  map({ rows, candidates }) {
+    return [...rows.map(mapNASARecord), ...candidates.planets];
+  },
+
+  validate(mapped, { rows, candidates }, aliases, rules) {
+    const { planets, report } = validateAndClean(mapped, aliases, rules);
+    if (candidates.errors.length > 0) report.candidateErrors = candidates.errors;
+    // Per-table high-water marks for the next delta sync
+    const sync = { pscomppars: latestUpdate('pscomppars', rows), ...candidates.sync };
+    return { planets, report, sync };
+  },
+};
+
+// ── Changelog ────────────────────────────────
+// Diffs the catalog being replaced against its successor and stores the
+// result. Only same-version caches are comparable; failures never fail a load.
+async function logCatalogChanges(previousMeta, previous, planets, fetchedAt) {
+  if (!previous || !previousMeta || previousMeta.version !== CACHE_VERSION) return null;
+  try {
+    return await recordChangelog(diffCatalogs(previous, planets), {
+      previousFetchedAt: previousMeta.fetchedAt,
+      fetchedAt,
+    });
+  } catch (e) {
+    console.warn('[NASA-Data] Could not record changelog:', e.message);
+    return null;
+  }
+}
+
+function readComparableCache(meta, source) {
+  return meta && meta.version === CACHE_VERSION && isSameOrigin(meta, source) ? getCachedData() : null;
+}
+
 // ── Main Data Loading Pipeline ───────────────
-// Returns { planets, report, source, fetchedAt, fromCache }
-export async function loadNASAPlanets(onProgress) {
+// Returns { planets, report, source, sourceId, fetchedAt, fromCache }
+export function loadNASAPlanets(onProgress) {
+  return loadCatalog(nasaSource, onProgress);
+}
+
+export async function loadCatalog(source, onProgress) {
   // 1. Check cache first for fast boot
-  if (isCacheFresh()) {
-    const cached = getCachedData();
-    const meta = getCacheMeta();
+  const meta = await getCacheMeta();
+  if (isCacheFresh(meta, source)) {
+    const cached = await getCachedData();
     if (cached && cached.length > 0) {
       if (onProgress) onProgress({ phase: 'cache-hit', message: `Loaded ${cached.length} planets from cache` });
       return {
         planets: cached,
         report: meta.report || null,
         source: 'cache (fresh)',
+        sourceId: source.id,
         fetchedAt: meta.fetchedAt,
         fromCache: true,
       };
     }
   }
 
-  // 2. Try fetching from NASA API
+  // 2. Try fetching from the source
   try {
-    const rawData = await fetchNASAData(onProgress);
-
-    if (onProgress) onProgress({ phase: 'mapping', message: 'Mapping NASA fields to internal schema...' });
-    const mapped = rawData.map(mapNASARecord);
-
-    if (onProgress) onProgress({ phase: 'validating', message: 'Running data quality checks...' });
-    const { planets, report } = validateAndClean(mapped);
-
-    const fullReport = computeValidationReport(planets, report);
+    const { planets, report: fullReport, sync } = await runSource(source, onProgress);
 
     const fetchedAt = Date.now();
+    const previous = await readComparableCache(meta, source);
     // Cache the cleaned data
-    setCachedData(planets, {
-      version: CACHE_VERSION,
+    await setCachedData(planets, cacheMetaFor(source, {
       fetchedAt,
       recordCount: planets.length,
       report: fullReport,
-    });
+      sync,
+    }));
+    const changelog = await logCatalogChanges(meta, previous, planets, fetchedAt);
 
     if (onProgress) onProgress({
       phase: 'complete',
-      message: `Pipeline complete: ${planets.length} confirmed planets loaded`,
+      message: `Pipeline complete: ${fullReport.byStatus.confirmed} confirmed planets, ${fullReport.byStatus.candidate} candidates loaded` +
+        (fullReport.byStatus['false-positive'] ? ` (${fullReport.byStatus['false-positive']} false positives kept, hidden by default)` : ''),
     });
 
     return {
       planets,
       report: fullReport,
-      source: 'NASA Exoplanet Archive (live)',
+      source: `${source.label} (live)`,
+      sourceId: source.id,
       fetchedAt,
       fromCache: false,
+      changelog,
     };
   } catch (err) {
-    console.warn('[NASA-Data] API fetch failed:', err.message);
+    console.warn(`[NASA-Data] ${source.label} fetch failed:`, err.message);
 
     // 3. Fall back to stale cache if available
-    if (isCacheUsable()) {
-      const cached = getCachedData();
-      const meta = getCacheMeta();
+    if (isCacheUsable(meta, source)) {
+      const cached = await getCachedData();
       if (cached && cached.length > 0) {
         if (onProgress) onProgress({
           phase: 'fallback-cache',
-          message: `API unavailable. Using cached data (${cached.length} planets, age: ${formatAge(meta.fetchedAt)})`,
+          message: `${source.label} unavailable. Using cached data (${cached.length} planets, age: ${formatAge(meta.fetchedAt)})`,
         });
         return {
           planets: cached,
           report: meta.report || null,
           source: `cache (stale, ${formatAge(meta.fetchedAt)} old)`,
+          sourceId: source.id,
           fetchedAt: meta.fetchedAt,
           fromCache: true,
           error: err.message,
@@ -388,12 +1162,13 @@ export async function loadNASAPlanets(onProgress) {
     // 4. Ultimate fallback: signal to use built-in curated data
     if (onProgress) onProgress({
       phase: 'fallback-builtin',
-      message: 'NASA API unavailable and no cache. Using built-in curated catalog.',
+      message: `${source.label} unavailable and no cache. Using built-in curated catalog.`,
     });
     return {
       planets: null, // signals caller to use built-in
       report: null,
       source: 'built-in fallback',
+      sourceId: null,
       fetchedAt: null,
       fromCache: false,
       error: err.message,
@@ -401,28 +1176,142 @@ export async function loadNASAPlanets(onProgress) {
   }
 }
 
+// ── Delta Sync ───────────────────────────────
+// Fetches rows whose update date is on or after the table's high-water mark,
+// plus the bare key list to spot rows that disappeared. Tables without a mark
+// (e.g. a candidate table that failed last time) are fetched in full.
+async function syncTable(table, since, onProgress) {
+  const t = SOURCE_TABLES[table];
+  const rows = await fetchTAP(tableQuery(table, { since }),
+    since ? `${t.label} changes since ${since}` : t.label, onProgress);
+  const keys = since
+    ? await fetchTAP(tableQuery(table, { columns: t.keyColumn }), `${t.label} row list`, onProgress)
+    : rows;
+  return { rows, liveNames: new Set(keys.map(k => t.map(k).name)) };
+}
+
+// Merges archive changes into the stored catalog. Resolves to null when there
+// is nothing to merge into (no usable cache or no sync marks): do a full load.
+export async function syncCatalog(onProgress) {
+  const meta = await getCacheMeta();
+  if (!isCacheUsable(meta, nasaSource) || !meta.sync) return null;
+  const stored = await getCachedData();
+  if (!stored) return null;
+
+  const byName = new Map(stored.map(p => [p.name, p]));
+  const quarantine = new Map(((meta.report && meta.report.quarantine) || []).map(q => [q.name, q]));
+  const aliases = await readAliasFile();
+  const rules = getRules();
+  const changes = { added: [], updated: [], removed: [] };
+  const sync = { ...meta.sync };
+  const upserts = [];
+
+  for (const table of Object.keys(SOURCE_TABLES)) {
+    let result;
+    try {
+      result = await syncTable(table, meta.sync[table], onProgress);
+    } catch (err) {
+      if (table === 'pscomppars') throw err; // confirmed planets are required
+      console.warn(`[NASA-Data] ${table} delta sync failed:`, err.message);
+      continue;
+    }
+
+    if (onProgress) onProgress({ phase: 'mapping', message: `Mapping ${result.rows.length} changed ${table} rows...` });
+    const { planets: changed, report: rowReport } = validateAndClean(result.rows.map(SOURCE_TABLES[table].map), aliases, rules);
+
+    // Rows that now fail a hard rule leave the catalog for the quarantine
+    for (const q of rowReport.quarantine) {
+      quarantine.set(q.name, q);
+      if (byName.delete(q.name)) changes.removed.push(q.name);
+    }
+
+    for (const p of changed) {
+      // Candidates promoted to confirmed now live in pscomppars under their planet name
+      if (table !== 'pscomppars' && p.status === PlanetStatus.CONFIRMED) {
+        result.liveNames.delete(p.name);
+        continue;
+      }
+      // Rows from the boundary day come back every time; skip unchanged ones
+      quarantine.delete(p.name);
+      const previous = byName.get(p.name);
+      if (previous && JSON.stringify(previous) === JSON.stringify(p)) continue;
+      (previous ? changes.updated : changes.added).push(p.name);
+      byName.set(p.name, p);
+      upserts.push(p);
+    }
+
+    for (const [name, p] of byName) {
+      if (p.sourceTable === table && !result.liveNames.has(name)) {
+        byName.delete(name);
+        changes.removed.push(name);
+      }
+    }
+    for (const [name, q] of quarantine) {
+      if (q.sourceTable === table && !result.liveNames.has(name)) quarantine.delete(name);
+    }
+
+    sync[table] = latestUpdate(table, result.rows) || sync[table] || null;
+  }
+
+  if (onProgress) onProgress({ phase: 'validating', message: 'Re-checking merged catalog...' });
+  const planets = [...byName.values()];
+  const report = computeValidationReport(planets, summarizeCatalog(planets, [...quarantine.values()], rules));
+  report.incremental = {
+    added: changes.added.length,
+    updated: changes.updated.length,
+    removed: changes.removed.length,
+  };
+
+  const fetchedAt = Date.now();
+  await applyCatalogDelta(upserts, changes.removed, {
+    ...meta,
+    fetchedAt,
+    recordCount: planets.length,
+    report,
+    sync,
+  });
+  const changelog = await logCatalogChanges(meta, stored, planets, fetchedAt);
+
+  if (onProgress) onProgress({
+    phase: 'complete',
+    message: `Delta sync: ${changes.added.length} added, ${changes.updated.length} updated, ${changes.removed.length} removed`,
+  });
+
+  return { planets, report, fetchedAt, changes, changelog };
+}
+
 // ── Background Refresh ───────────────────────
-// Fetches fresh data without blocking the UI
-export async function backgroundRefresh(onComplete) {
-  if (isCacheFresh()) return; // No need
+// Runs without blocking the UI: a delta sync when the source supports it and
+// the cache carries sync marks, otherwise a full download. It does nothing if
+// the catalog was refreshed within the last hour, unless `force` is set (the
+// server reported a change). onComplete only fires when the catalog changed.
+export async function backgroundRefresh(onComplete, onProgress, source = nasaSource, { force = false } = {}) {
+  const meta = await getCacheMeta();
+  if (!force && isCacheUsable(meta, source) && Date.now() - meta.fetchedAt < SYNC_INTERVAL_MS) return;
 
   try {
-    const rawData = await fetchNASAData();
-    const mapped = rawData.map(mapNASARecord);
-    const { planets, report } = validateAndClean(mapped);
-    const fullReport = computeValidationReport(planets, report);
+    const delta = source.supportsDelta ? await syncCatalog(onProgress) : null;
+    if (delta) {
+      const { added, updated, removed } = delta.changes;
+      if (onComplete && added.length + updated.length + removed.length > 0) onComplete(delta);
+      return;
+    }
+
+    const { planets, report: fullReport, sync } = await runSource(source, onProgress);
 
     const fetchedAt = Date.now();
-    setCachedData(planets, {
-      version: CACHE_VERSION,
+    const previous = await readComparableCache(meta, source);
+    await setCachedData(planets, cacheMetaFor(source, {
       fetchedAt,
       recordCount: planets.length,
       report: fullReport,
-    });
+      sync,
+    }));
+    const changelog = await logCatalogChanges(meta, previous, planets, fetchedAt);
 
-    if (onComplete) onComplete({ planets, report: fullReport, fetchedAt });
+    if (onComplete) onComplete({ planets, report: fullReport, fetchedAt, changelog });
   } catch (err) {
-    console.warn('[NASA-Data] Background refresh failed:', err.message);
+    console.warn(`[NASA-Data] ${source.label} background refresh failed:`, err.message);
   }
 }
 
@@ -436,8 +1325,13 @@ function formatAge(timestamp) {
   return `${days} day${days > 1 ? 's' : ''}`;
 }
 
+// Re-read cache meta after another context (the pipeline worker) wrote it
+export function reloadCacheMeta() {
+  return getCacheMeta();
+}
+
 export function getLastUpdated() {
-  const meta = getCacheMeta();
+  const meta = getCatalogMetaSync();
   if (!meta) return null;
   return {
     timestamp: meta.fetchedAt,
@@ -448,8 +1342,7 @@ export function getLastUpdated() {
 }
 
 export function clearCache() {
-  localStorage.removeItem(CACHE_KEY);
-  localStorage.removeItem(CACHE_META_KEY);
+  return Promise.all([clearCatalog(), clearParameterSets()]);
 }
 
 // ── Print validation report to console ───────
@@ -460,12 +1353,22 @@ export function printValidationReport(report) {
   console.log(`Output records: ${report.totalOutput}`);
   console.log(`Cleaned/deduped: ${report.cleaned}`);
   console.log(`Controversial:  ${report.controversial}`);
+  if (report.byStatus) console.log('By status:', report.byStatus);
+  if (report.candidateErrors) console.warn('Candidate tables unavailable:', report.candidateErrors);
   console.log('Null fields:', report.nullFields);
+  if (report.imputed) console.log('Imputed fields:', report.imputed);
+  if (report.rules) {
+    console.table(Object.fromEntries(Object.entries(report.rules)
+      .map(([id, r]) => [id, { severity: r.severity, checked: r.checked, failed: r.failed }])));
+  }
   if (report.badValues.length > 0) {
     console.warn('Bad values:', report.badValues.slice(0, 10));
   }
+  if (report.quarantine && report.quarantine.length > 0) {
+    console.warn(`Quarantined: ${report.quarantine.length}`, report.quarantine.slice(0, 10));
+  }
   if (report.duplicates.length > 0) {
-    console.warn('Duplicate names:', report.duplicates.slice(0, 10));
+    console.warn('Merged duplicates:', report.duplicates.slice(0, 10));
   }
   if (report.stats) {
     console.log('Core stats:', report.stats);
@@ -0,0 +1,283 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — OPEN EXOPLANET CATALOGUE ADAPTER
+// Parses the OEC systems.xml (system → binary → star →
+// planet hierarchy) into the internal schema. Jupiter units
+// are converted to Earth units.
+// ═══════════════════════════════════════════════
+
+import {
+  fetchText, validateAndClean, PARSEC_TO_LY, PlanetStatus,
+} from './nasa-data.js';
+
+const OEC_URL = 'https://raw.githubusercontent.com/OpenExoplanetCatalogue/oec_gzip/master/systems.xml.gz';
+
+const JUPITER_MASS_EARTH = 317.83;
+const JUPITER_RADIUS_EARTH = 11.209;
+
+// OEC discovery methods → NASA discovery method names
+const OEC_METHODS = {
+  transit: 'Transit',
+  RV: 'Radial Velocity',
+  imaging: 'Imaging',
+  microlensing: 'Microlensing',
+  timing: 'Pulsar Timing',
+  astrometry: 'Astrometry',
+};
+
+// ── XML parsing ──────────────────────────────
+// Small non-validating parser: DOMParser is not available in workers, and
+// OEC uses only elements, attributes, text and comments.
+// Returns { tag, attrs, children, text } for the document element.
+const XML_TOKEN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const XML_ATTR = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (m, e) => {
+    if (e[0] === '#') {
+      return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    }
+    return XML_ENTITIES[e] ?? m;
+  });
+}
+
+export function parseXML(text) {
+  const root = { tag: '#document', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  let last = 0;
+  let m;
+
+  XML_TOKEN.lastIndex = 0;
+  while ((m = XML_TOKEN.exec(text))) {
+    const current = stack[stack.length - 1];
+    if (m.index > last) current.text += decodeEntities(text.slice(last, m.index));
+    last = XML_TOKEN.lastIndex;
+
+    if (m[1] != null) { current.text += m[1]; continue; } // CDATA
+    if (!m[3]) continue;                                    // comment, PI, doctype
+
+    if (m[2] === '/') {
+      if (current.tag !== m[3]) throw new Error(`Malformed XML: </${m[3]}> closes <${current.tag}>`);
+      stack.pop();
+      continue;
+    }
+
+    const attrs = {};
+    let a;
+    XML_ATTR.lastIndex = 0;
+    while ((a = XML_ATTR.exec(m[4]))) attrs[a[1]] = decodeEntities(a[2] ?? a[3]);
+    const el = { tag: m[3], attrs, children: [], text: '' };
+    current.children.push(el);
+    if (!m[5]) stack.push(el);
+  }
+
+  if (stack.length > 1) throw new Error(`Malformed XML: <${stack[stack.length - 1].tag}> is never closed`);
+  const documentElement = root.children[0];
+  if (!documentElement) throw new Error('Malformed XML: no document element');
+  return documentElement;
+}
+
+const childrenOf = (el, tag) => el ? el.children.filter(c => c.tag === tag) : [];
+const childOf = (el, tag) => childrenOf(el, tag)[0] || null;
+const textOf = (el, tag) => {
+  const c = childOf(el, tag);
+  const t = c ? c.text.trim() : '';
+  return t || null;
+};
+// Elements named `tag` anywhere below `el`
+const countTag = (el, tag) => el.children.reduce((n, c) => n + (c.tag === tag ? 1 : 0) + countTag(c, tag), 0);
+
+function num(el, tag) {
+  const t = textOf(el, tag);
+  if (t == null) return null;
+  const n = Number(t);
+  return Number.isFinite(n) ? n : null;
+}
+
+// { value, errPlus, errMinus, limit }; an element carrying only an
+// upperlimit/lowerlimit attribute becomes a limit measurement.
+function measurement(el, tag, scale = 1) {
+  const c = childOf(el, tag);
+  if (!c) return null;
+  const attr = k => (c.attrs[k] != null && c.attrs[k] !== '' && Number.isFinite(Number(c.attrs[k])) ? Number(c.attrs[k]) : null);
+  let value = c.text.trim() ? Number(c.text.trim()) : null;
+  let limit = null;
+  if (!Number.isFinite(value)) value = null;
+  if (value == null && attr('upperlimit') != null) { value = attr('upperlimit'); limit = 'upper'; }
+  if (value == null && attr('lowerlimit') != null) { value = attr('lowerlimit'); limit = 'lower'; }
+  if (value == null) return null;
+  const errPlus = attr('errorplus');
+  const errMinus = attr('errorminus');
+  return {
+    value: value * scale,
+    errPlus: errPlus != null ? Math.abs(errPlus) * scale : null,
+    errMinus: errMinus != null ? Math.abs(errMinus) * scale : null,
+    limit,
+  };
+}
+
+// "hh mm ss.s" → degrees
+function parseRA(s) {
+  if (!s) return null;
+  const [h, m = 0, sec = 0] = s.trim().split(/\s+/).map(Number);
+  return [h, m, sec].every(Number.isFinite) ? (h + m / 60 + sec / 3600) * 15 : null;
+}
+
+// "+dd mm ss.s" → degrees
+function parseDec(s) {
+  if (!s) return null;
+  const t = s.trim();
+  const sign = t.startsWith('-') ? -1 : 1;
+  const [d, m = 0, sec = 0] = t.replace(/^[+-]/, '').split(/\s+/).map(Number);
+  return [d, m, sec].every(Number.isFinite) ? sign * (d + m / 60 + sec / 3600) : null;
+}
+
+// OEC <lastupdate> is yy/mm/dd
+function parseLastUpdate(s) {
+  const m = s && s.match(/^(\d{2})\/(\d{2})\/(\d{2})$/);
+  return m ? `20${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+// A planet can sit in several lists; the strongest verdict wins
+function statusOf(lists) {
+  if (lists.some(l => /retracted/i.test(l))) return PlanetStatus.FALSE_POSITIVE;
+  if (lists.some(l => /controversial/i.test(l))) return PlanetStatus.CANDIDATE;
+  if (lists.some(l => /confirmed/i.test(l))) return PlanetStatus.CONFIRMED;
+  return PlanetStatus.CANDIDATE;
+}
+
+// ── Field Mapping: OEC → Internal Schema ─────
+// `star` is null for circumbinary planets (planet directly under <binary>)
+export function mapOECPlanet(planet, star, system) {
+  const names = childrenOf(planet, 'name').map(n => n.text.trim()).filter(Boolean);
+  const starNames = childrenOf(star, 'name').map(n => n.text.trim()).filter(Boolean);
+  const systemName = textOf(system, 'name') || starNames[0] || 'Unknown';
+  const lists = childrenOf(planet, 'list').map(l => l.text.trim());
+  const status = statusOf(lists);
+
+  const mass = measurement(planet, 'mass', JUPITER_MASS_EARTH);
+  const radius = measurement(planet, 'radius', JUPITER_RADIUS_EARTH);
+  const distancePc = num(system, 'distance');
+  const starTemp = num(star, 'temperature');
+  const starRadius = num(star, 'radius');
+  const eqTemp = num(planet, 'temperature');
+  const method = textOf(planet, 'discoverymethod');
+
+  return {
+    name: names[0] || 'Unknown',
+    system: starNames[0] || systemName,
+    altNames: names.slice(1),
+    starAltNames: starNames.slice(1),
+
+    distance: distancePc != null ? distancePc * PARSEC_TO_LY : null,
+    radius: radius ? radius.value : null,
+    mass: mass ? mass.value : null,
+    massIsMinimum: false,
+    massSource: mass ? 'Mass' : null,
+    period: num(planet, 'period'),
+    semiMajorAxis: num(planet, 'semimajoraxis'),
+    eqTemp: eqTemp != null ? Math.round(eqTemp) : null,
+    eccentricity: num(planet, 'eccentricity'),
+    inclination: num(planet, 'inclination'),
+
+    transitMidpoint: num(planet, 'transittime'),  // BJD
+    transitDepth: null,                           // not in the OEC schema
+    transitDuration: null,
+    radiusRatio: null,
+    impactParameter: null,
+
+    starType: textOf(star, 'spectraltype'),
+    starTemp: starTemp != null ? Math.round(starTemp) : null,
+    starMass: num(star, 'mass'),
+    starLum: null,                                // derived from R★ and T_eff later
+    starLumLog: null,
+    starRadius,
+    starLogg: null,
+    starMetallicity: num(star, 'metallicity'),
+    starAge: num(star, 'age'),
+    systemStars: null,                            // filled per system by mapOECSystems
+    systemPlanets: null,
+
+    discovered: num(planet, 'discoveryyear'),
+    discoveryMethod: method ? (OEC_METHODS[method] || method) : null,
+    discoveryFacility: null,
+    discoveryRef: null,
+
+    ra: parseRA(textOf(system, 'rightascension')),
+    dec: parseDec(textOf(system, 'declination')),
+    vMag: num(star, 'magV'),
+    kMag: num(star, 'magK'),
+
+    measurements: {
+      radius,
+      mass,
+      eqTemp: measurement(planet, 'temperature'),
+      semiMajorAxis: measurement(planet, 'semimajoraxis'),
+      period: measurement(planet, 'period'),
+      transitMidpoint: measurement(planet, 'transittime'),
+      starTemp: measurement(star, 'temperature'),
+      starLum: null,
+      starRadius: measurement(star, 'radius'),
+      starMetallicity: measurement(star, 'metallicity'),
+      starAge: measurement(star, 'age'),
+    },
+
+    status,
+    disposition: lists.join('; ') || null,
+    catalog: 'oec',
+    sourceTable: 'oec',
+    rowUpdate: parseLastUpdate(textOf(planet, 'lastupdate')),
+    controversial: lists.some(l => /controversial/i.test(l)),
+    source: 'Open Exoplanet Catalogue',
+  };
+}
+
+// Walks system → binary → star → planet, remembering the nearest star
+export function mapOECSystems(root) {
+  const planets = [];
+  const walk = (el, system, star) => {
+    for (const c of el.children) {
+      if (c.tag === 'planet') planets.push(mapOECPlanet(c, star, system));
+      else if (c.tag === 'star') walk(c, system, c);
+      else if (c.tag === 'binary') walk(c, system, null);
+    }
+  };
+  const systems = root.tag === 'system' ? [root] : childrenOf(root, 'system');
+  systems.forEach(system => {
+    const first = planets.length;
+    walk(system, system, null);
+    // Multiplicity the way pscomppars reports it (sy_snum / sy_pnum)
+    const stars = countTag(system, 'star');
+    for (const p of planets.slice(first)) {
+      p.systemStars = stars;
+      p.systemPlanets = planets.length - first;
+    }
+  });
+  return planets;
+}
+
+// ── Source Adapter ───────────────────────────
+export const oecSource = {
+  id: 'oec',
+  label: 'Open Exoplanet Catalogue',
+  shortLabel: 'OEC',
+  supportsDelta: false,
+  origin: () => OEC_URL,
+
+  async fetch(onProgress) {
+    const text = await fetchText(OEC_URL, 'Open Exoplanet Catalogue', onProgress, {
+      accept: 'application/xml',
+      gzip: OEC_URL.endsWith('.gz'),
+    });
+    if (onProgress) onProgress({ phase: 'parsing', message: 'Parsing Open Exoplanet Catalogue XML...' });
+    return parseXML(text);
+  },
+
+  map(root) {
+    return mapOECSystems(root);
+  },
+
+  validate(planets, payload, aliases, rules) {
+    return validateAndClean(planets, aliases, rules);
+  },
+};
@@ -0,0 +1,83 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — DATA PIPELINE CLIENT
+// Main-thread side of pipeline-worker.js: sends tasks,
+// relays progress, decodes results. Falls back to running
+// on the main thread when module workers are unavailable.
+// ═══════════════════════════════════════════════
+
+import { getTapBaseUrl, getTapOrigin } from './nasa-data.js';
+import { getPrimarySourceId } from './sources.js';
+import { getRuleOverrides } from './validation-rules.js';
+
+const decoder = new TextDecoder();
+
+let worker = null;        // null = not started, false = unavailable
+let nextTaskId = 1;
+const pending = new Map(); // id → { resolve, reject, onProgress, fallback }
+
+function startWorker() {
+  if (worker !== null) return worker;
+  if (typeof Worker === 'undefined') return (worker = false);
+
+  try {
+    worker = new Worker(new URL('./pipeline-worker.js', import.meta.url), { type: 'module' });
+  } catch (e) {
+    console.warn('[Pipeline] Worker unavailable, running on main thread:', e.message);
+    return (worker = false);
+  }
+
+  worker.onmessage = (event) => {
+    const { id, type } = event.data;
+    const task = pending.get(id);
+    if (!task) return;
+
+    if (type === 'progress') {
+      if (task.onProgress) task.onProgress(event.data.progress);
+    } else if (type === 'result') {
+      pending.delete(id);
+      task.resolve(JSON.parse(decoder.decode(event.data.buffer)));
+    } else if (type === 'error') {
+      pending.delete(id);
+      task.reject(new Error(event.data.message));
+    }
+  };
+
+  // A worker that fails to load (no module-worker support, blocked script)
+  // hands every outstanding task to its main-thread fallback.
+  worker.onerror = (event) => {
+    console.warn('[Pipeline] Worker failed, running on main thread:', event.message || 'load error');
+    worker.terminate();
+    worker = false;
+    const tasks = [...pending.values()];
+    pending.clear();
+    tasks.forEach(task => task.fallback().then(task.resolve, task.reject));
+  };
+
+  return worker;
+}
+
+/**
+ * Run a pipeline task ('load' | 'refresh') in the worker, passing it `args`
+ * (e.g. { force: true } for 'refresh'). `fallback` is the equivalent
+ * main-thread call, used when no worker can run.
+ */
+export function runPipelineTask(task, onProgress, fallback, args = {}) {
+  const w = startWorker();
+  if (!w) return fallback();
+
+  return new Promise((resolve, reject) => {
+    const id = nextTaskId++;
+    pending.set(id, { resolve, reject, onProgress, fallback });
+    // Page-level settings the worker can't see (it has its own location)
+    w.postMessage({ id, task, args, options: {
+      tapBaseUrl: getTapBaseUrl(),
+      tapOrigin: getTapOrigin(),
+      sourceId: getPrimarySourceId(),
+      ruleOverrides: getRuleOverrides(),
+    } });
+  });
+}
+
+export function isWorkerActive() {
+  return !!worker;
+}
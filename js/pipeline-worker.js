@@ -0,0 +1,40 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — DATA PIPELINE WORKER
+// Module worker running fetch → map → validate → enrich
+// off the main thread. Progress is posted as structured
+// messages; results come back as one transferable buffer.
+// ═══════════════════════════════════════════════
+
+import { loadProcessedCatalog, refreshProcessedCatalog } from './catalog-processing.js';
+import { setTapBaseUrl } from './nasa-data.js';
+import { setPrimarySourceId } from './sources.js';
+import { setRuleOverrides } from './validation-rules.js';
+
+const encoder = new TextEncoder();
+
+const TASKS = {
+  load: loadProcessedCatalog,
+  refresh: refreshProcessedCatalog,
+};
+
+// Message protocol (see pipeline-client.js):
+//   in:  { id, task, args, options: { tapBaseUrl, tapOrigin, sourceId, ruleOverrides } }
+//   out: { id, type: 'progress', progress: { phase, message, ... } }
+//        { id, type: 'result', buffer }   — UTF-8 JSON, transferred
+//        { id, type: 'error', message }
+self.onmessage = async (event) => {
+  const { id, task, args = {}, options = {} } = event.data;
+  const onProgress = (progress) => self.postMessage({ id, type: 'progress', progress });
+
+  try {
+    if (!TASKS[task]) throw new Error(`Unknown pipeline task: ${task}`);
+    if (options.tapBaseUrl) setTapBaseUrl(options.tapBaseUrl, options.tapOrigin);
+    if (options.sourceId) setPrimarySourceId(options.sourceId);
+    if (options.ruleOverrides) setRuleOverrides(options.ruleOverrides);
+    const result = await TASKS[task](onProgress, args);
+    const bytes = encoder.encode(JSON.stringify(result));
+    self.postMessage({ id, type: 'result', buffer: bytes.buffer }, [bytes.buffer]);
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message });
+  }
+};
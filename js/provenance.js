@@ -0,0 +1,68 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — FIELD PROVENANCE
+// Tracks whether each planet value was measured,
+// derived from other fields, or filled with a default
+// ═══════════════════════════════════════════════
+
+export const ProvenanceStatus = {
+  MEASURED: 'measured',
+  DERIVED: 'derived',
+  DEFAULTED: 'defaulted',
+};
+
+// Fields whose provenance is tracked on every planet
+export const TRACKED_FIELDS = ['distance', 'radius', 'mass', 'eqTemp', 'period', 'semiMajorAxis'];
+
+// Host-star values the pipeline derives when the source leaves them out.
+// Their provenance is recorded when present; they are never defaulted.
+export const STELLAR_FIELDS = ['starMass', 'starLum'];
+
+export function measured() {
+  return { status: ProvenanceStatus.MEASURED };
+}
+
+// `from` lists the fields (or inputs) the value was computed from
+export function derived(from, method) {
+  return { status: ProvenanceStatus.DERIVED, from, method };
+}
+
+export function defaulted(reason) {
+  return { status: ProvenanceStatus.DEFAULTED, reason };
+}
+
+// Derived-from-a-default is still a default: the result carries no information.
+// Inputs that are themselves estimates are named in the method.
+export function derivedFrom(planet, from, method) {
+  const defaultedInputs = from.filter(f => isDefaulted(planet, f));
+  if (defaultedInputs.length > 0) return defaulted(`${method} applied to defaulted ${defaultedInputs.join(', ')}`);
+  const derivedInputs = from.filter(f => isDerived(planet, f));
+  return derived(from, derivedInputs.length > 0 ? `${method}, with estimated ${derivedInputs.join(', ')}` : method);
+}
+
+// Planets without a provenance map (older caches) are treated as measured
+export function getProvenance(planet, field) {
+  if (!planet || !planet.provenance || !planet.provenance[field]) return measured();
+  return planet.provenance[field];
+}
+
+export function isDefaulted(planet, field) {
+  return getProvenance(planet, field).status === ProvenanceStatus.DEFAULTED;
+}
+
+export function isDerived(planet, field) {
+  return getProvenance(planet, field).status === ProvenanceStatus.DERIVED;
+}
+
+// Value usable for science/search: null when missing or defaulted
+export function knownValue(planet, field) {
+  const v = planet[field];
+  if (v == null || isDefaulted(planet, field)) return null;
+  return v;
+}
+
+// Stamp the same status on every tracked field (curated / procedural catalogs)
+export function uniformProvenance(entry) {
+  const map = {};
+  TRACKED_FIELDS.forEach(f => { map[f] = entry; });
+  return map;
+}
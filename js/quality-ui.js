@@ -0,0 +1,266 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — DATA QUALITY VIEW
+// Overlay built on the validation report: completeness,
+// rule failures, duplicates, imputation and breakdowns,
+// with every row linking to its planets in the catalog
+// ═══════════════════════════════════════════════
+
+import {
+  PLANET_CATALOG,
+  getDataReport,
+  getDataSource,
+  getDataSourceId,
+  getDataFetchedAt,
+} from './database.js';
+
+import { buildQualityView } from './data-quality.js';
+import { getCatalogLabel } from './sources.js';
+import { escapeHTML } from './html.js';
+
+const ITEM_LIMIT = 100;
+
+let showPlanets = null;
+let showPlanet = null;
+
+// Planet lists behind the rendered links, by data-set id
+let linkedSets = [];
+
+/**
+ * `handlers.showPlanets(label, names)` narrows the catalog to a list and
+ * `handlers.showPlanet(name)` opens one planet (see catalog-ui.js).
+ */
+export function initQualityView(handlers) {
+  showPlanets = handlers.showPlanets;
+  showPlanet = handlers.showPlanet;
+
+  document.getElementById('quality-toggle')?.addEventListener('click', toggleQualityView);
+  document.getElementById('quality-close')?.addEventListener('click', hideQualityView);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') hideQualityView();
+  });
+
+  const body = document.getElementById('quality-body');
+  body?.addEventListener('click', (e) => {
+    const link = e.target.closest('.quality-link');
+    if (!link) return;
+    if (link.dataset.planetName) {
+      if (showPlanet && showPlanet(link.dataset.planetName)) hideQualityView();
+    } else if (link.dataset.set) {
+      const set = linkedSets[Number(link.dataset.set)];
+      if (set && showPlanets) {
+        showPlanets(set.label, set.names);
+        hideQualityView();
+      }
+    }
+  });
+}
+
+export function toggleQualityView() {
+  const view = document.getElementById('quality-view');
+  if (!view) return;
+  if (view.hidden) {
+    view.hidden = false;
+    renderQualityView();
+  } else {
+    hideQualityView();
+  }
+}
+
+export function hideQualityView() {
+  const view = document.getElementById('quality-view');
+  if (view) view.hidden = true;
+}
+
+// Re-render after the catalog changes, if the view is open
+export function refreshQualityView() {
+  const view = document.getElementById('quality-view');
+  if (view && !view.hidden) renderQualityView();
+}
+
+// ── Rendering ────────────────────────────────
+function renderQualityView() {
+  const body = document.getElementById('quality-body');
+  const subtitle = document.getElementById('quality-subtitle');
+  if (!body) return;
+
+  const report = getDataReport();
+  const view = buildQualityView(PLANET_CATALOG, report);
+  linkedSets = [];
+
+  if (subtitle) {
+    const fetchedAt = getDataFetchedAt();
+    subtitle.textContent = [
+      getDataSource() === 'snapshot' ? 'Snapshot' : getCatalogLabel(getDataSourceId()),
+      fetchedAt ? `fetched ${new Date(fetchedAt).toLocaleString()}` : '',
+    ].filter(Boolean).join(' · ');
+  }
+
+  body.innerHTML = [
+    renderSummary(view.summary, Boolean(report)),
+    renderCompleteness(view.completeness, PLANET_CATALOG.length),
+    report ? renderRules(view.rules) : '',
+    report ? renderBadValues(view.badValues) : '',
+    report ? renderDuplicates(view.duplicates) : '',
+    renderControversial(view.controversial),
+    renderImputed(view.imputed),
+    renderBreakdown('BY DISCOVERY METHOD', 'Method', view.byMethod),
+    renderBreakdown('BY DISCOVERY YEAR', 'Year', view.byYear),
+  ].join('');
+}
+
+// A count that opens its planets in the catalog; plain text when empty
+function setLink(label, names, text = names.length.toLocaleString()) {
+  if (names.length === 0) return `<span class="quality-zero">${text}</span>`;
+  linkedSets.push({ label, names });
+  return `<button class="quality-link" data-set="${linkedSets.length - 1}">${text}</button>`;
+}
+
+function planetLink(name, inCatalog = true) {
+  if (!inCatalog) return `<span class="changelog-gone" title="Not in the catalog">${escapeHTML(name)}</span>`;
+  return `<button class="quality-link" data-planet-name="${escapeHTML(name)}">${escapeHTML(name)}</button>`;
+}
+
+function section(title, content, note = '') {
+  return `
+    <section class="quality-section">
+      <h3 class="quality-section-title">${title}</h3>
+      ${note ? `<p class="quality-note">${note}</p>` : ''}
+      ${content}
+    </section>
+  `;
+}
+
+function table(headers, rows) {
+  if (rows.length === 0) return '<p class="quality-note">Nothing to report.</p>';
+  return `
+    <table class="quality-table">
+      <thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+      <tbody>${rows.join('')}</tbody>
+    </table>
+  `;
+}
+
+function more(items) {
+  const hidden = items.length - ITEM_LIMIT;
+  return hidden > 0 ? `<p class="quality-note">+${hidden.toLocaleString()} more</p>` : '';
+}
+
+const pct = (n, total) => total > 0 ? `${Math.round((n / total) * 100)}%` : '—';
+const fmt = v => v == null ? 'missing' : typeof v === 'number' ? String(Number(v.toPrecision(4))) : String(v);
+
+function renderSummary(s, hasReport) {
+  const tile = (label, value) => `
+    <div class="quality-tile"><span class="quality-tile-value">${value}</span><span class="quality-tile-label">${label}</span></div>
+  `;
+  const stats = s.stats;
+  return `
+    <div class="quality-summary">
+      ${tile('Input records', s.totalInput.toLocaleString())}
+      ${tile('In catalog', s.totalOutput.toLocaleString())}
+      ${tile('Merged / cleaned', s.cleaned.toLocaleString())}
+      ${tile('Quarantined', s.quarantined.toLocaleString())}
+      ${tile('Bad values', s.badValues.toLocaleString())}
+      ${tile('Measured R⊕ + M⊕', pct(s.complete, s.totalOutput))}
+      ${tile('With imputed values', s.imputed.toLocaleString())}
+    </div>
+    ${stats ? `<p class="quality-note">Medians (measured only): R ${stats.medianRadius} R⊕ · M ${stats.medianMass} M⊕ · T_eq ${stats.medianTemp} K · d ${stats.medianDist} ly · discovered ${stats.yearRange.min}–${stats.yearRange.max}</p>` : ''}
+    ${hasReport ? '' : '<p class="quality-note">The built-in catalog has no validation report; only completeness and breakdowns are shown.</p>'}
+  `;
+}
+
+function renderCompleteness(rows, total) {
+  return section('FIELD COMPLETENESS', table(
+    ['Field', 'Measured', 'Derived', 'Defaulted', 'Missing'],
+    rows.map(r => `
+      <tr>
+        <td>${r.label}</td>
+        <td>
+          <span class="quality-bar"><span style="width: ${(r.fraction * 100).toFixed(1)}%"></span></span>
+          ${pct(r.measured, total)}
+        </td>
+        <td>${r.tracked ? setLink(`${r.label} derived`, r.derived) : '—'}</td>
+        <td>${r.tracked ? setLink(`${r.label} defaulted`, r.defaulted) : '—'}</td>
+        <td>${setLink(`${r.label} missing`, r.missing)}</td>
+      </tr>
+    `)
+  ), 'Share of catalog planets with a reported value; derived and defaulted values were filled in by the pipeline.');
+}
+
+function renderRules(rules) {
+  return section('VALIDATION RULES', table(
+    ['Rule', 'Severity', 'Checked', 'Failed'],
+    rules.map(r => `
+      <tr>
+        <td>${r.description}</td>
+        <td><span class="quality-severity ${r.severity}">${r.severity}</span></td>
+        <td>${r.checked.toLocaleString()}</td>
+        <td>${setLink(r.description, r.names, r.failed.toLocaleString())}</td>
+      </tr>
+    `)
+  ), 'Error rules quarantine the record, so their failures are not in the catalog.');
+}
+
+function renderBadValues(badValues) {
+  return section(`BAD VALUES (${badValues.length.toLocaleString()})`, table(
+    ['Planet', 'Field', 'Value', 'Rule'],
+    badValues.slice(0, ITEM_LIMIT).map(b => `
+      <tr>
+        <td>${planetLink(b.name, b.inCatalog)}</td>
+        <td>${escapeHTML(b.field)}</td>
+        <td>${escapeHTML(fmt(b.value))}</td>
+        <td>${escapeHTML(b.ruleId || '—')}</td>
+      </tr>
+    `)
+  ) + more(badValues));
+}
+
+function renderDuplicates(duplicates) {
+  return section(`MERGED DUPLICATES (${duplicates.length.toLocaleString()})`, table(
+    ['Kept as', 'Records', 'Also listed as'],
+    duplicates.slice(0, ITEM_LIMIT).map(d => `
+      <tr>
+        <td>${planetLink(d.name)}</td>
+        <td>${d.count}</td>
+        <td>${escapeHTML((d.aliases || []).filter(n => n !== d.name).join(', ') || '—')}</td>
+      </tr>
+    `)
+  ) + more(duplicates));
+}
+
+function renderControversial(names) {
+  const list = names.length === 0
+    ? '<p class="quality-note">Nothing to report.</p>'
+    : `<p class="quality-planets">${names.slice(0, ITEM_LIMIT).map(n => planetLink(n)).join(' ')}</p>${more(names)}`;
+  return section(
+    `CONTROVERSIAL (${setLink('Controversial planets', names)})`, list,
+    'Flagged by the archive as disputed in the literature.'
+  );
+}
+
+function renderImputed(rows) {
+  return section('IMPUTED FIELDS', table(
+    ['Field', 'Derived', 'Defaulted'],
+    rows.map(r => `
+      <tr>
+        <td>${r.field}</td>
+        <td>${setLink(`${r.field} derived`, r.derived)}</td>
+        <td>${setLink(`${r.field} defaulted`, r.defaulted)}</td>
+      </tr>
+    `)
+  ));
+}
+
+function renderBreakdown(title, keyLabel, rows) {
+  return section(title, table(
+    [keyLabel, 'Planets', 'Candidates', 'Measured R⊕ + M⊕', 'Imputed'],
+    rows.map(r => `
+      <tr>
+        <td>${escapeHTML(r.key)}</td>
+        <td>${setLink(`${keyLabel} ${r.key}`, r.names)}</td>
+        <td>${r.candidates.toLocaleString()}</td>
+        <td>${pct(r.complete, r.names.length)}</td>
+        <td>${r.imputed.toLocaleString()}</td>
+      </tr>
+    `)
+  ));
+}
@@ -0,0 +1,52 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — ROUTES
+// /planet/<name> and /system/<name> deep links. serve.js
+// answers them with index.html (see server/app-routes.js);
+// on other hosts the address bar is left alone
+// ═══════════════════════════════════════════════
+
+const ROUTE_PATTERN = /^\/(planet|system)\/(.+?)\/?$/;
+const SITE_NAME = 'Exoplanet Explorer';
+
+// Planet the address bar points at
+let routedName = null;
+
+// serve.js marks pages it can answer for any route
+export function routesEnabled() {
+  return Boolean(document.querySelector('meta[name="app-routes"]'));
+}
+
+/** { type: 'planet' | 'system', name } for a deep-link path, else null */
+export function parseRoute(pathname = location.pathname) {
+  const match = ROUTE_PATTERN.exec(pathname);
+  if (!match) return null;
+  try {
+    return { type: match[1], name: decodeURIComponent(match[2]) };
+  } catch (e) {
+    return null;
+  }
+}
+
+export function planetPath(name) {
+  return `/planet/${encodeURIComponent(name)}`;
+}
+
+// The URL already names this planet (boot, back/forward); only the title changes
+export function setRoutedPlanet(planet) {
+  routedName = planet.name;
+  document.title = `${planet.name} — ${SITE_NAME}`;
+}
+
+// Point the address bar at a planet, adding a history entry
+export function showPlanetRoute(planet) {
+  if (planet.name === routedName) return;
+  setRoutedPlanet(planet);
+  if (!routesEnabled()) return;
+  const path = planetPath(planet.name);
+  if (location.pathname !== path) history.pushState({ planet: planet.name }, '', path + location.search);
+}
+
+// fn(route) on back/forward; route is null for the start page
+export function onRouteChange(fn) {
+  window.addEventListener('popstate', () => fn(parseRoute()));
+}
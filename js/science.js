@@ -1,9 +1,12 @@
 // ═══════════════════════════════════════════════
 // EXOPLANET EXPLORER — SCIENCE MODULE
 // Habitable zone, ESI, observer utilities,
-// discovery method metadata
+// discovery method metadata, transit geometry
 // ═══════════════════════════════════════════════
 
+import { getProvenance, knownValue, ProvenanceStatus, measured } from './provenance.js';
+import { forecastMass, effectiveMass } from './mass-radius.js';
+
 // ════════════════════════════════════════════════
 // SECTION 1: HABITABLE ZONE CALCULATIONS
 // Based on Kopparapu et al. (2013, 2014) model
@@ -131,7 +134,10 @@ const ESI_WEIGHTS = {
  * Reference: Schulze-Makuch et al. (2011), Astrobiology, 11(10), 1041-1052
  */
 export function calculateESI(planet) {
-  if (!planet.radius || !planet.eqTemp) {
+  // Defaulted values carry no information, so they never feed the index
+  const radius = knownValue(planet, 'radius');
+  const eqTemp = knownValue(planet, 'eqTemp');
+  if (!radius || !eqTemp) {
     return { global: 0, interior: null, surface: null, components: {}, confidence: 'low',
              note: 'Insufficient data to compute ESI.' };
   }
@@ -144,18 +150,20 @@ export function calculateESI(planet) {
 
   // Estimate density from mass and radius: ρ ∝ M/R³
   // density in g/cm³ = (M/M⊕) / (R/R⊕)³ × 5.51
-  const mass = planet.mass || Math.pow(planet.radius, 2.5); // rough M-R relation if no mass
-  const density = (mass / Math.pow(planet.radius, 3)) * EARTH.density;
+  // M sin i values are deprojected; missing masses are forecast from radius
+  const knownMass = knownValue(planet, 'mass') != null ? effectiveMass(planet) : null;
+  const mass = knownMass || forecastMass(radius).value;
+  const density = (mass / Math.pow(radius, 3)) * EARTH.density;
 
   // Estimate escape velocity: v_esc = sqrt(2GM/R) ∝ sqrt(M/R)
   // in km/s = sqrt(M/M⊕ / (R/R⊕)) × 11.186
-  const escapeVelocity = Math.sqrt(mass / planet.radius) * EARTH.escapeVelocity;
+  const escapeVelocity = Math.sqrt(mass / radius) * EARTH.escapeVelocity;
 
   const components = {
-    radius: esiComponent(planet.radius, EARTH.radius, ESI_WEIGHTS.radius),
+    radius: esiComponent(radius, EARTH.radius, ESI_WEIGHTS.radius),
     density: esiComponent(density, EARTH.density, ESI_WEIGHTS.density),
     escapeVelocity: esiComponent(escapeVelocity, EARTH.escapeVelocity, ESI_WEIGHTS.escapeVelocity),
-    surfaceTemp: esiComponent(planet.eqTemp, EARTH.eqTemp, ESI_WEIGHTS.surfaceTemp),
+    surfaceTemp: esiComponent(eqTemp, EARTH.eqTemp, ESI_WEIGHTS.surfaceTemp),
   };
 
   // Interior ESI (radius + density)
@@ -182,9 +190,15 @@ export function calculateESI(planet) {
     interior: interior != null ? Math.round(interior * 1000) / 1000 : null,
     surface: surface != null ? Math.round(surface * 1000) / 1000 : null,
     components,
-    confidence: (planet.mass != null && planet.eqTemp != null && !planet.eqTempEstimated) ? 'high' : 'moderate',
+    confidence: !planet.massIsMinimum
+      && ['radius', 'mass', 'eqTemp'].every(f => getProvenance(planet, f).status === ProvenanceStatus.MEASURED)
+      ? 'high' : 'moderate',
     reference: 'Schulze-Makuch et al. (2011)',
-    note: planet.mass == null ? 'Mass estimated from radius using M-R relation.' : null,
+    note: knownMass == null || getProvenance(planet, 'mass').status !== ProvenanceStatus.MEASURED
+      ? 'Mass forecast from radius (Chen & Kipping 2017 M-R relation).'
+      : planet.massIsMinimum
+        ? 'Minimum mass (M sin i) converted to a true-mass estimate.'
+        : null,
   };
 }
 
@@ -262,6 +276,84 @@ export function formatRADec(raDeg, decDeg) {
   };
 }
 
+/**
+ * Decorate an already-formatted value with its measurement uncertainty.
+ * `measurement` is the pipeline's { value, errPlus, errMinus, limit } shape.
+ * Limits render as "< x" / "> x"; symmetric errors as "± e", asymmetric as "+a/−b".
+ */
+export function formatWithError(valueText, measurement, digits = 2) {
+  if (!measurement) return valueText;
+  if (measurement.limit === 'upper') return `&lt; ${valueText}`;
+  if (measurement.limit === 'lower') return `&gt; ${valueText}`;
+
+  const { errPlus, errMinus } = measurement;
+  if (errPlus == null && errMinus == null) return valueText;
+  const plus = errPlus != null ? errPlus.toFixed(digits) : '?';
+  const minus = errMinus != null ? errMinus.toFixed(digits) : '?';
+  const err = plus === minus
+    ? `±${plus}`
+    : `<sup>+${plus}</sup><sub>−${minus}</sub>`;
+  return `${valueText} <span class="meas-err">${err}</span>`;
+}
+
+/**
+ * Format a planet field for display, honouring its provenance:
+ * defaulted values render as "—", measured values get error bars,
+ * derived values get an "est." tag naming what they came from,
+ * and RV minimum masses get a "min" tag.
+ */
+export function formatField(planet, field, valueText, digits = 2) {
+  const prov = getProvenance(planet, field);
+  if (prov.status === ProvenanceStatus.DEFAULTED || planet[field] == null) {
+    return '<span class="prov-unknown" title="Not measured">—</span>';
+  }
+  const m = planet.measurements ? planet.measurements[field] : null;
+  let text = formatWithError(valueText, m, digits);
+  if (field === 'mass' && planet.massIsMinimum) {
+    text += ' <span class="prov-derived" title="Minimum mass (M sin i) from radial velocity">min</span>';
+  }
+  if (prov.status === ProvenanceStatus.DERIVED) {
+    const source = prov.from && prov.from.length ? ` from ${prov.from.join(', ')}` : '';
+    return `${text} <span class="prov-derived" title="Derived${source} (${prov.method})">est.</span>`;
+  }
+  return text;
+}
+
+/**
+ * Host-star parameters for display, in order, skipping unreported ones:
+ * [{ label, value (HTML, with error bars where measured), unit }]. A mass
+ * the pipeline derived from log g is tagged like any other estimate.
+ */
+export function describeStar(planet) {
+  const m = planet.measurements || {};
+  const rows = [];
+  const add = (label, value, text, unit, measurement, digits) => {
+    if (value == null) return;
+    rows.push({ label, value: formatWithError(text, measurement, digits), unit });
+  };
+  const fixed = (v, digits) => (v != null ? Number(v).toFixed(digits) : '');
+
+  add('RADIUS', planet.starRadius, fixed(planet.starRadius, 3), 'R☉', m.starRadius, 3);
+  if (planet.starMass != null) {
+    rows.push({ label: 'MASS', value: formatField(planet, 'starMass', fixed(planet.starMass, 3), 3), unit: 'M☉' });
+  }
+  add('[Fe/H]', planet.starMetallicity,
+    `${planet.starMetallicity > 0 ? '+' : ''}${fixed(planet.starMetallicity, 2)}`, 'dex', m.starMetallicity, 2);
+  add('AGE', planet.starAge, fixed(planet.starAge, 1), 'Gyr', m.starAge, 1);
+  add('LOG g', planet.starLogg, fixed(planet.starLogg, 2), 'cgs');
+  add('DENSITY', planet.starDensity, fixed(planet.starDensity, 2), 'g/cm³');
+  add('ROTATION', planet.starRotation, fixed(planet.starRotation, 1), 'days');
+  if (planet.systemStars != null || planet.systemPlanets != null) {
+    const count = (n, noun) => n != null ? `${n} ${noun}${n === 1 ? '' : 's'}` : null;
+    rows.push({
+      label: 'SYSTEM',
+      value: [count(planet.systemStars, 'star'), count(planet.systemPlanets, 'planet')].filter(Boolean).join(' · '),
+      unit: '',
+    });
+  }
+  return rows;
+}
+
 /**
  * Approximate constellation lookup from RA/Dec.
  * This is a simplified lookup — real IAU boundaries are complex polygons.
@@ -597,9 +689,53 @@ export function enrichPlanet(planet) {
     planet.discoveryMethodInfo = getDiscoveryMethodInfo(planet.discoveryMethod);
   }
 
+  // Transit depth / probability / duration from R★
+  planet.transitGeometry = calculateTransitGeometry(planet);
+
   return planet;
 }
 
+// Fields a parameter set may override when re-evaluating HZ and ESI
+const SOLUTION_FIELDS = [
+  'radius', 'mass', 'eqTemp', 'period', 'semiMajorAxis',
+  'starTemp', 'starMass', 'starLum', 'massIsMinimum', 'massSource',
+  'transitMidpoint', 'transitDepth', 'transitDuration', 'radiusRatio', 'impactParameter',
+];
+
+/**
+ * Re-evaluate HZ and ESI against one alternative solution (a `ps` row).
+ * Values the solution reports replace the catalog's (and count as measured);
+ * values it omits are inherited from the catalog entry with their provenance.
+ * Returns a new planet object; the catalog entry is not modified.
+ */
+export function applyParameterSet(planet, set) {
+  const merged = {
+    ...planet,
+    provenance: { ...(planet.provenance || {}) },
+    measurements: { ...(planet.measurements || {}) },
+    inheritedFields: [],
+  };
+  for (const field of SOLUTION_FIELDS) {
+    if (set[field] != null) {
+      merged[field] = set[field];
+      if (merged.provenance[field]) merged.provenance[field] = measured();
+      if (set.measurements && field in set.measurements) merged.measurements[field] = set.measurements[field];
+    } else if (planet[field] != null && field !== 'massIsMinimum' && field !== 'massSource') {
+      merged.inheritedFields.push(field);
+    }
+  }
+  // Without its own mass the solution inherits the catalog's mass flags too
+  if (set.mass == null) {
+    merged.massIsMinimum = planet.massIsMinimum;
+    merged.massSource = planet.massSource;
+  }
+  merged.parameterSet = { reference: set.reference, publishedAt: set.publishedAt, isDefault: set.isDefault };
+  merged.hzStatus = getHZStatus(merged);
+  merged.esi = calculateESI(merged);
+  merged.transitGeometry = calculateTransitGeometry(merged);
+  return merged;
+}
+
 // ════════════════════════════════════════════════
 // SECTION 6: GLOSSARY TOOLTIPS
 // Beginner-friendly definitions for astronomy terms
@@ -623,3 +759,128 @@ export const GLOSSARY = {
   'Eccentricity': 'How elongated an orbit is. 0 = perfect circle, close to 1 = very elliptical. Earth\'s eccentricity is 0.017 (nearly circular).',
   'Constellation': 'One of 88 internationally recognized regions of the sky. Named mostly after mythological figures, they serve as a coordinate system for locating objects.',
 };
+
+// ════════════════════════════════════════════════
+// SECTION 7: TRANSIT GEOMETRY
+// Depth, probability and duration (reported, or
+// modelled from the stellar radius) and the ephemeris
+// ════════════════════════════════════════════════
+
+const SOLAR_RADIUS_EARTH = 109.1;   // R☉ in R⊕
+const SOLAR_RADIUS_AU = 0.00465047; // R☉ in AU
+
+/**
+ * Stellar radius for geometry: the reported R★, else R = √(M/g) from
+ * log g and mass, else the main-sequence estimate R ≈ M^0.8.
+ * @returns {object|null} { value (R☉), source: 'measured' | 'log g' | 'mass' }
+ */
+export function stellarRadius(planet) {
+  if (planet.starRadius > 0) return { value: planet.starRadius, source: 'measured' };
+  if (planet.starLogg != null && planet.starMass > 0) {
+    return { value: Math.sqrt(planet.starMass / Math.pow(10, planet.starLogg - 4.438)), source: 'log g' };
+  }
+  if (planet.starMass > 0) return { value: Math.pow(planet.starMass, 0.8), source: 'mass' };
+  return null;
+}
+
+/**
+ * @param {object} planet
+ * @returns {object|null} { depth (fraction), depthPpm, probability,
+ *   durationHours, radiusRatio, impactParameter, measured: { depth,
+ *   duration, radiusRatio }, starRadius (R☉), starRadiusSource }
+ *
+ * Reported depth, duration, Rp/R★ and b are used as they are; the rest is
+ * modelled: depth = (Rp/R★)², probability = R★/a,
+ * T14 = P/π · asin(√((1 + k)² − b²) / (a/R★)) (Seager & Mallén-Ornelas 2003,
+ * circular orbit, b = 0 when not reported)
+ */
+export function calculateTransitGeometry(planet) {
+  const star = stellarRadius(planet);
+  const measured = {
+    depth: planet.transitDepth > 0,
+    duration: planet.transitDuration > 0,
+    radiusRatio: planet.radiusRatio > 0,
+  };
+  if (!star && !measured.depth && !measured.duration && !measured.radiusRatio) return null;
+
+  const radius = knownValue(planet, 'radius');
+  const a = knownValue(planet, 'semiMajorAxis');
+  const period = knownValue(planet, 'period');
+  const k = measured.radiusRatio ? planet.radiusRatio
+    : radius && star ? radius / (star.value * SOLAR_RADIUS_EARTH) : null;
+  const b = planet.impactParameter != null ? Math.abs(planet.impactParameter) : 0;
+  const aOverR = a && star ? a / (star.value * SOLAR_RADIUS_AU) : null;
+
+  const depth = measured.depth ? planet.transitDepth / 100 : k != null ? k * k : null;
+  const probability = aOverR > 1 ? Math.min(1, 1 / aOverR) : null;
+  const chordSq = Math.pow(1 + (k || 0), 2) - b * b;
+  const chord = aOverR > 1 && chordSq > 0 ? Math.sqrt(chordSq) / aOverR : null;
+  const durationHours = measured.duration ? planet.transitDuration
+    : period && chord != null && chord <= 1 ? (period * 24 / Math.PI) * Math.asin(chord)
+    : null;
+
+  return {
+    depth,
+    depthPpm: depth != null ? Math.round(depth * 1e6) : null,
+    probability,
+    durationHours,
+    radiusRatio: k,
+    impactParameter: planet.impactParameter ?? null,
+    measured,
+    starRadius: star ? star.value : null,
+    starRadiusSource: star ? star.source : null,
+  };
+}
+
+// ── Transit Ephemeris ────────────────────────
+const JD_UNIX_EPOCH = 2440587.5; // JD of 1970-01-01T00:00Z
+const DAY_MS = 86400000;
+
+// BJD_TDB → Date. TDB runs about a minute ahead of UTC, well inside
+// the ephemeris uncertainty of most planets, so the offset is ignored.
+export function bjdToDate(bjd) {
+  return new Date((bjd - JD_UNIX_EPOCH) * DAY_MS);
+}
+
+// Symmetric 1σ of a measurement: the mean of its two error bars
+function sigmaOf(m) {
+  if (!m || m.limit) return null;
+  const errs = [m.errPlus, m.errMinus].filter(e => e != null).map(Math.abs);
+  return errs.length ? errs.reduce((s, e) => s + e, 0) / errs.length : null;
+}
+
+/**
+ * Next transit midpoint after `now` (ms) from T0 + n·P.
+ * @returns {object|null} { bjd, date, epochs, uncertaintyMinutes };
+ *   uncertainty is √(σT0² + (n·σP)²), null when neither error is reported
+ */
+export function predictNextTransit(planet, now = Date.now()) {
+  const t0 = planet.transitMidpoint;
+  const period = knownValue(planet, 'period');
+  if (t0 == null || !(period > 0)) return null;
+
+  const nowJd = now / DAY_MS + JD_UNIX_EPOCH;
+  const epochs = Math.max(0, Math.ceil((nowJd - t0) / period));
+  const bjd = t0 + epochs * period;
+
+  const m = planet.measurements || {};
+  const sigmaT0 = sigmaOf(m.transitMidpoint);
+  const sigmaP = sigmaOf(m.period);
+  const uncertaintyDays = sigmaT0 == null && sigmaP == null
+    ? null
+    : Math.sqrt(Math.pow(sigmaT0 || 0, 2) + Math.pow(epochs * (sigmaP || 0), 2));
+
+  return {
+    bjd,
+    date: bjdToDate(bjd),
+    epochs,
+    uncertaintyMinutes: uncertaintyDays != null ? uncertaintyDays * 1440 : null,
+  };
+}
+
+// Decimal places that keep two significant digits of a measurement's error
+export function errorDigits(measurement, fallback = 2) {
+  const sigma = sigmaOf(measurement);
+  if (!(sigma > 0)) return fallback;
+  return Math.max(fallback, Math.min(8, 1 - Math.floor(Math.log10(sigma))));
+}
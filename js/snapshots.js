@@ -0,0 +1,159 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — CATALOG SNAPSHOTS
+// Portable, versioned files holding a processed catalog,
+// its validation report and where it came from, written
+// as JSON or gzip and read back as the active catalog
+// ═══════════════════════════════════════════════
+
+const SNAPSHOT_FORMAT = 'exoplanet-explorer-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+// gzip files start with 1f 8b whatever their extension
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+// Fields the catalog, search and detail views read without checking, by
+// type; an imported record must have all of them. The others are optional
+// but, when present, must have the type the pipeline writes.
+const REQUIRED_FIELDS = {
+  id: 'integer',
+  name: 'string',
+  system: 'string',
+  type: 'string',
+  distance: 'number',
+  radius: 'number',
+  mass: 'number',
+  period: 'number',
+  semiMajorAxis: 'number',
+  eqTemp: 'number',
+  habitability: 'number',
+};
+const OPTIONAL_FIELDS = {
+  status: 'string',
+  catalog: 'string',
+  source: 'string',
+  disposition: 'string',
+  discoveryMethod: 'string',
+  discoveryFacility: 'string',
+  starType: 'string',
+  keplerName: 'string',
+  starTemp: 'number',
+  altNames: 'strings',
+  starAltNames: 'strings',
+  atmosphere: 'array',
+  measurements: 'object',
+  provenance: 'object',
+  hzStatus: 'object',
+  esi: 'object',
+  constellation: 'object',
+};
+
+// type → [test, description for the error message]
+const TYPES = {
+  string: [v => typeof v === 'string', 'a string'],
+  number: [v => Number.isFinite(v), 'a finite number'],
+  integer: [v => Number.isInteger(v), 'an integer'],
+  strings: [v => Array.isArray(v) && v.every(s => typeof s === 'string'), 'a list of strings'],
+  array: [v => Array.isArray(v), 'a list'],
+  object: [v => typeof v === 'object' && !Array.isArray(v), 'an object'],
+};
+
+// Problems with one record, empty when it can be shown as it is
+function checkPlanet(p) {
+  if (!p || typeof p !== 'object') return ['not an object'];
+  const problems = [];
+  for (const [field, type] of Object.entries(REQUIRED_FIELDS)) {
+    const [test, description] = TYPES[type];
+    if (p[field] == null) problems.push(`${field} is missing`);
+    else if (!test(p[field])) problems.push(`${field} is not ${description}`);
+  }
+  for (const [field, type] of Object.entries(OPTIONAL_FIELDS)) {
+    const [test, description] = TYPES[type];
+    if (p[field] != null && !test(p[field])) problems.push(`${field} is not ${description}`);
+  }
+  return problems;
+}
+
+/**
+ * Snapshot layout (version 1):
+ *   { format, version, exportedAt,
+ *     meta: { dataSource, sourceId, sourceLabel, fetchedAt, recordCount },
+ *     report, planets }
+ * `planets` are processed records (classified and enriched), so an import
+ * shows exactly what was on screen at export time.
+ */
+export function buildSnapshot(planets, report, meta) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    exportedAt: Date.now(),
+    meta: { ...meta, recordCount: planets.length },
+    report: report || null,
+    planets,
+  };
+}
+
+export function snapshotFileName(snapshot, gzip = false) {
+  const date = new Date(snapshot.exportedAt).toISOString().slice(0, 10);
+  const source = snapshot.meta.sourceId || snapshot.meta.dataSource || 'catalog';
+  return `exoplanets-${source}-${date}.json${gzip ? '.gz' : ''}`;
+}
+
+// Resolves to a Blob; gzip needs CompressionStream (all current browsers)
+export async function serializeSnapshot(snapshot, { gzip = false } = {}) {
+  const json = new Blob([JSON.stringify(snapshot)], { type: 'application/json' });
+  if (!gzip) return json;
+  if (typeof CompressionStream === 'undefined') {
+    throw new Error('This browser cannot write gzip files; export as JSON instead');
+  }
+  const gz = await new Response(json.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+  return new Blob([gz], { type: 'application/gzip' });
+}
+
+/**
+ * Read a snapshot from a File or Blob (JSON or gzip). Throws with a
+ * readable message when the file is not a snapshot this version can load.
+ */
+export async function readSnapshot(file) {
+  const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  const gzipped = head[0] === GZIP_MAGIC[0] && head[1] === GZIP_MAGIC[1];
+
+  let text;
+  try {
+    text = gzipped
+      ? await new Response(file.stream().pipeThrough(new DecompressionStream('gzip'))).text()
+      : await file.text();
+  } catch (e) {
+    throw new Error(`Could not read snapshot: ${e.message}`);
+  }
+
+  let snapshot;
+  try {
+    snapshot = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Snapshot is not valid JSON');
+  }
+  validateSnapshot(snapshot);
+  return snapshot;
+}
+
+function validateSnapshot(snapshot) {
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error('Not an Exoplanet Explorer snapshot');
+  }
+  if (!Number.isInteger(snapshot.version) || snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${snapshot.version} is newer than this app supports (${SNAPSHOT_VERSION})`);
+  }
+  if (!Array.isArray(snapshot.planets) || snapshot.planets.length === 0) {
+    throw new Error('Snapshot holds no planets');
+  }
+  const bad = [];
+  snapshot.planets.forEach((p, i) => {
+    const problems = checkPlanet(p);
+    if (problems.length) bad.push(`#${i + 1}${typeof p?.name === 'string' ? ` (${p.name})` : ''}: ${problems.join(', ')}`);
+  });
+  if (bad.length) {
+    const more = bad.length > 3 ? `; and ${bad.length - 3} more` : '';
+    throw new Error(`Snapshot has ${bad.length} malformed planet record${bad.length === 1 ? '' : 's'}: ${bad.slice(0, 3).join('; ')}${more}`);
+  }
+  if (!snapshot.meta) snapshot.meta = {};
+}
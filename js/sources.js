@@ -0,0 +1,68 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — CATALOG SOURCE ADAPTERS
+// Registry of the catalogs the pipeline can load from
+// and the user's choice of primary source
+// ═══════════════════════════════════════════════
+
+import { nasaSource } from './nasa-data.js';
+import { exoplanetEuSource } from './exoplanet-eu-data.js';
+import { oecSource } from './oec-data.js';
+
+/**
+ * A source adapter turns one external catalog into internal planet records.
+ * nasa-data.js runs adapters (runSource) and owns caching and fallback.
+ * @typedef {object} SourceAdapter
+ * @property {string} id - stored on every record it produces as `catalog`
+ * @property {string} label - full name, e.g. "NASA Exoplanet Archive"
+ * @property {string} shortLabel - status-bar name, e.g. "NASA"
+ * @property {boolean} supportsDelta - true when the cache can be delta-synced
+ * @property {() => string} origin - where records come from; a cache filled
+ *   from another origin is never reused
+ * @property {(onProgress) => Promise<*>} fetch - download the raw payload
+ * @property {(payload) => object[]} map - payload → internal schema records
+ * @property {(records, payload, aliases, rules) => {planets, report, sync?}} validate -
+ *   quality checks, alias-aware dedup and imputation, normally
+ *   validateAndClean; `aliases` are the imported alias groups or null,
+ *   `rules` the compiled validation rules to apply
+ */
+
+export const SOURCES = [nasaSource, exoplanetEuSource, oecSource];
+
+const PRIMARY_SOURCE_KEY = 'exoplanet_primary_source';
+
+let primarySourceId = readStoredSourceId();
+
+function readStoredSourceId() {
+  if (typeof localStorage === 'undefined') return nasaSource.id;
+  const stored = localStorage.getItem(PRIMARY_SOURCE_KEY);
+  return getSource(stored) ? stored : nasaSource.id;
+}
+
+export function getSource(id) {
+  return SOURCES.find(s => s.id === id) || null;
+}
+
+export function listSources() {
+  return SOURCES.map(({ id, label, shortLabel }) => ({ id, label, shortLabel }));
+}
+
+export function getPrimarySource() {
+  return getSource(primarySourceId) || nasaSource;
+}
+
+export function getPrimarySourceId() {
+  return getPrimarySource().id;
+}
+
+// Remembered across visits (not in workers, which have no localStorage)
+export function setPrimarySourceId(id) {
+  if (!getSource(id)) throw new Error(`Unknown catalog source: ${id}`);
+  primarySourceId = id;
+  if (typeof localStorage !== 'undefined') localStorage.setItem(PRIMARY_SOURCE_KEY, id);
+}
+
+// Display name for a record's `catalog` id
+export function getCatalogLabel(catalogId) {
+  const source = getSource(catalogId);
+  return source ? source.label : 'Built-in catalog';
+}
@@ -0,0 +1,208 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — VALIDATION RULES
+// Declarative data-quality rules (ranges, required
+// fields, cross-field consistency) with severities.
+// Records failing an error rule are quarantined.
+// ═══════════════════════════════════════════════
+
+export const Severity = {
+  ERROR: 'error',     // record is quarantined
+  WARNING: 'warning', // record is kept and flagged in the report
+  INFO: 'info',       // counted only
+};
+
+// Cross-field relations a consistency rule can name. Each returns the
+// fractional deviation between the reported and the implied value, or null
+// when an input is missing.
+const RELATIONS = {
+  // a³ = P² · M★ (AU, years, solar masses)
+  'kepler-third-law': {
+    fields: ['period', 'semiMajorAxis', 'starMass'],
+    deviation(p) {
+      if (!(p.period > 0) || !(p.semiMajorAxis > 0) || !(p.starMass > 0)) return null;
+      const implied = Math.cbrt(Math.pow(p.period / 365.25, 2) * p.starMass);
+      return Math.abs(p.semiMajorAxis - implied) / implied;
+    },
+  },
+};
+
+/**
+ * Rule definitions. Types:
+ *   range       — { field, min?, max?, exclusiveMin?, exclusiveMax? }; nulls pass
+ *   required    — { fields }; every field must be non-null
+ *   consistency — { relation, tolerance }; fails when the relation's
+ *                 deviation exceeds the tolerance (a fraction)
+ * Later entries with the same id replace earlier ones (see compileRules).
+ */
+export const DEFAULT_RULES = [
+  { id: 'name-required', type: 'required', fields: ['name', 'system'], severity: Severity.ERROR,
+    description: 'Planet and host names are present' },
+  { id: 'radius-range', type: 'range', field: 'radius', min: 0, exclusiveMin: true, max: 100, severity: Severity.ERROR,
+    description: 'Radius is positive and at most 100 R⊕' },
+  { id: 'mass-range', type: 'range', field: 'mass', min: 0, exclusiveMin: true, max: 100000, severity: Severity.ERROR,
+    description: 'Mass is positive and at most 100,000 M⊕' },
+  { id: 'distance-positive', type: 'range', field: 'distance', min: 0, exclusiveMin: true, severity: Severity.ERROR,
+    description: 'Distance is positive' },
+  { id: 'period-positive', type: 'range', field: 'period', min: 0, exclusiveMin: true, severity: Severity.ERROR,
+    description: 'Orbital period is positive' },
+  { id: 'eccentricity-range', type: 'range', field: 'eccentricity', min: 0, max: 1, exclusiveMax: true, severity: Severity.WARNING,
+    description: 'Eccentricity is in [0, 1)' },
+  { id: 'eqtemp-range', type: 'range', field: 'eqTemp', min: 2, max: 10000, severity: Severity.WARNING,
+    description: 'Equilibrium temperature is between 2 and 10,000 K' },
+  { id: 'star-temp-range', type: 'range', field: 'starTemp', min: 500, max: 60000, severity: Severity.WARNING,
+    description: 'Stellar T_eff is between 500 and 60,000 K' },
+  { id: 'kepler-third-law', type: 'consistency', relation: 'kepler-third-law', tolerance: 0.25, severity: Severity.WARNING,
+    description: "Period, semi-major axis and stellar mass agree with Kepler's third law (±25%)" },
+  { id: 'orbit-required', type: 'required', fields: ['period'], severity: Severity.INFO,
+    description: 'Orbital period is reported' },
+  { id: 'coordinates-required', type: 'required', fields: ['ra', 'dec'], severity: Severity.INFO,
+    description: 'Sky coordinates are reported' },
+];
+
+// ── Compilation ──────────────────────────────
+// Turns definitions into { ...definition, fields, test(p) → failure | null }.
+// Throws on a definition the engine cannot run, so bad config fails loudly.
+function compileRule(def) {
+  if (!def || !def.id) throw new Error('Validation rule without an id');
+  if (!Object.values(Severity).includes(def.severity)) {
+    throw new Error(`Rule ${def.id}: unknown severity "${def.severity}"`);
+  }
+
+  switch (def.type) {
+    case 'range': {
+      const { field, min = null, max = null, exclusiveMin = false, exclusiveMax = false } = def;
+      if (!field) throw new Error(`Rule ${def.id}: range rules need a field`);
+      return {
+        ...def,
+        fields: [field],
+        test(p) {
+          const v = p[field];
+          if (v == null) return null;
+          const low = min != null && (exclusiveMin ? v <= min : v < min);
+          const high = max != null && (exclusiveMax ? v >= max : v > max);
+          return low || high ? { field, value: v } : null;
+        },
+      };
+    }
+    case 'required': {
+      if (!Array.isArray(def.fields) || def.fields.length === 0) {
+        throw new Error(`Rule ${def.id}: required rules need fields`);
+      }
+      return {
+        ...def,
+        test(p) {
+          const missing = def.fields.filter(f => p[f] == null || p[f] === '');
+          return missing.length > 0 ? { field: missing.join(', '), value: null } : null;
+        },
+      };
+    }
+    case 'consistency': {
+      const relation = RELATIONS[def.relation];
+      if (!relation) throw new Error(`Rule ${def.id}: unknown relation "${def.relation}"`);
+      const tolerance = def.tolerance ?? 0;
+      return {
+        ...def,
+        fields: relation.fields,
+        test(p) {
+          const deviation = relation.deviation(p);
+          if (deviation == null || deviation <= tolerance) return null;
+          return { field: relation.fields.join(', '), value: Math.round(deviation * 1000) / 1000 };
+        },
+      };
+    }
+    default:
+      throw new Error(`Rule ${def.id}: unknown type "${def.type}"`);
+  }
+}
+
+/**
+ * Compile rule definitions. `overrides` are merged by id on top of the
+ * defaults, so `[{ id: 'eqtemp-range', severity: 'error' }]` only changes
+ * that rule's severity and `{ id, disabled: true }` turns a rule off.
+ */
+export function compileRules(overrides = [], base = DEFAULT_RULES) {
+  const byId = new Map(base.map(def => [def.id, def]));
+  for (const def of overrides) {
+    byId.set(def.id, { ...(byId.get(def.id) || {}), ...def });
+  }
+  return [...byId.values()].filter(def => !def.disabled).map(compileRule);
+}
+
+// ── Active rules ─────────────────────────────
+// The overrides a pipeline run uses when it is not handed rules of its own.
+// serve.js sets them from the `validation.rules` config setting; in the
+// page they are a stored setting, passed on to the pipeline worker.
+const RULE_OVERRIDES_KEY = 'exoplanet_validation_rules';
+
+let ruleOverrides = readStoredOverrides();
+let activeRules = compileRules(ruleOverrides);
+
+// A stored list that no longer compiles (e.g. a renamed rule type) is dropped
+function readStoredOverrides() {
+  if (typeof localStorage === 'undefined') return [];
+  try {
+    const stored = JSON.parse(localStorage.getItem(RULE_OVERRIDES_KEY) || '[]');
+    if (!Array.isArray(stored)) throw new Error('not a list');
+    compileRules(stored);
+    return stored;
+  } catch (e) {
+    console.warn(`[Validation] Ignoring stored rule overrides: ${e.message}`);
+    return [];
+  }
+}
+
+export function getRules() {
+  return activeRules;
+}
+
+export function getRuleOverrides() {
+  return ruleOverrides;
+}
+
+// Throws, keeping the current rules, when an override does not compile.
+// Remembered across visits (not in workers or Node, which have no localStorage).
+export function setRuleOverrides(overrides = []) {
+  if (!Array.isArray(overrides)) throw new Error('Validation rule overrides must be a list');
+  activeRules = compileRules(overrides);
+  ruleOverrides = overrides;
+  if (typeof localStorage === 'undefined') return;
+  if (overrides.length > 0) localStorage.setItem(RULE_OVERRIDES_KEY, JSON.stringify(overrides));
+  else localStorage.removeItem(RULE_OVERRIDES_KEY);
+}
+
+// ── Evaluation ───────────────────────────────
+// Runs every rule on one record (as reported, before imputation).
+// Returns [{ ruleId, severity, field, value }] for the rules that failed.
+export function evaluateRecord(p, rules = getRules()) {
+  const failures = [];
+  for (const rule of rules) {
+    const failure = rule.test(p);
+    if (failure) failures.push({ ruleId: rule.id, severity: rule.severity, ...failure });
+  }
+  return failures;
+}
+
+export function isQuarantined(failures) {
+  return failures.some(f => f.severity === Severity.ERROR);
+}
+
+// Per-rule tallies for the validation report
+export function createRuleReport(rules = getRules()) {
+  return Object.fromEntries(rules.map(rule => [rule.id, {
+    severity: rule.severity,
+    description: rule.description || rule.id,
+    checked: 0,
+    failed: 0,
+    failures: [], // { name, field, value }
+  }]));
+}
+
+export function tallyRules(ruleReport, name, failures) {
+  for (const entry of Object.values(ruleReport)) entry.checked++;
+  for (const f of failures) {
+    const entry = ruleReport[f.ruleId];
+    if (!entry) continue;
+    entry.failed++;
+    entry.failures.push({ name, field: f.field, value: f.value });
+  }
+}
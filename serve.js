@@ -2,106 +2,228 @@
 // ═══════════════════════════════════════════════
 // EXOPLANET EXPLORER — Local Development Server
 // One-command startup: node serve.js
+// Offline mode: node serve.js --mock-tap (see README)
+// TAP proxy: /api/tap/sync caches archive queries on disk
+// Production caching: node serve.js --production
+// Catalog API: /api/planets, /api/systems/:name, /api/stats
+// Live events: /api/events streams catalog updates to every open tab
+// Deep links: /planet/<name> and /system/<name> boot the app at that planet
+// Health: /health (detailed report) and /ready (load balancer readiness)
+// Settings: serve.config.json, overridden by environment variables (see README)
 // ═══════════════════════════════════════════════
 
 const http = require('http');
-const fs = require('fs');
 const path = require('path');
+const { createMockTAP } = require('./server/mock-tap');
+const { createTapProxy, ROUTE: TAP_PROXY_ROUTE } = require('./server/tap-proxy');
+const { createCatalogAPI } = require('./server/catalog-api');
+const { createStaticFiles } = require('./server/static-files');
+const { createLiveEvents, EventType, ROUTE: LIVE_EVENTS_ROUTE } = require('./server/live-events');
+const { createAppRoutes } = require('./server/app-routes');
+const { createHealth } = require('./server/health');
+const { createCors } = require('./server/cors');
+const { LogFormat, useLogFormat, createRequestLog } = require('./server/log');
+const { loadConfig, localOrigin, ConfigError } = require('./server/config');
+const { parseCommand, runCommand } = require('./server/cli');
 
-const PORT = parseInt(process.env.PORT, 10) || 3000;
-const HOST = '127.0.0.1';
 const ROOT = __dirname;
+const NASA_TAP_URL = 'https://exoplanetarchive.ipac.caltech.edu/TAP';
 
-const MIME_TYPES = {
-  '.html': 'text/html; charset=utf-8',
-  '.css':  'text/css; charset=utf-8',
-  '.js':   'application/javascript; charset=utf-8',
-  '.json': 'application/json; charset=utf-8',
-  '.png':  'image/png',
-  '.jpg':  'image/jpeg',
-  '.jpeg': 'image/jpeg',
-  '.gif':  'image/gif',
-  '.svg':  'image/svg+xml',
-  '.ico':  'image/x-icon',
-  '.woff': 'font/woff',
-  '.woff2':'font/woff2',
-  '.ttf':  'font/ttf',
-  '.map':  'application/json',
-};
-
-function getMime(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  return MIME_TYPES[ext] || 'application/octet-stream';
-}
-
-const server = http.createServer((req, res) => {
-  // Health check endpoint
-  if (req.url === '/health') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
-      status: 'ok',
-      timestamp: new Date().toISOString(),
-      uptime: process.uptime(),
-    }));
-    return;
+// Settings from serve.config.json, the environment and flags (server/config.js);
+// a bad value stops startup with every problem listed
+function loadServeConfig(argv) {
+  try {
+    return loadConfig({ appDir: ROOT, argv });
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(`\n  ❌ ${err.message.replace(/\n/g, '\n  ')}\n`);
+    process.exit(1);
   }
+}
 
-  // Parse URL (strip query string)
-  let urlPath = decodeURIComponent(req.url.split('?')[0]);
-  if (urlPath === '/') urlPath = '/index.html';
-
-  const filePath = path.join(ROOT, urlPath);
+function serve(argv) {
+  const { config, file } = loadServeConfig(argv);
+  const relativeFile = file && path.relative(process.cwd(), file);
+  const configFile = relativeFile && relativeFile.startsWith('..') ? file : relativeFile;
+  const { host: HOST, port: PORT } = config.server;
+  const root = config.server.root;
+  const origin = localOrigin(config.server);
+  useLogFormat(config.log.format);
 
-  // Security: prevent directory traversal
-  if (!filePath.startsWith(ROOT)) {
-    res.writeHead(403);
-    res.end('Forbidden');
-    return;
+  // Mock TAP mode (--mock-tap, MOCK_TAP=1): answer /TAP/sync from fixture
+  // files instead of going to the NASA archive. mockTap.delay / mockTap.fail
+  // (MOCK_TAP_DELAY / MOCK_TAP_FAIL) inject delays and failures.
+  let mockTap = null;
+  if (config.routes.mockTap) {
+    try {
+      mockTap = createMockTAP(config.mockTap);
+    } catch (err) {
+      console.error(`\n  ❌ Mock TAP: ${err.message}\n`);
+      process.exit(1);
+    }
   }
 
-  fs.stat(filePath, (err, stats) => {
-    if (err || !stats.isFile()) {
-      res.writeHead(404, { 'Content-Type': 'text/plain' });
-      res.end('Not Found: ' + urlPath);
-      return;
+  // Caching TAP proxy, on unless routes.tapProxy is off (--no-tap-proxy,
+  // TAP_PROXY=0). It forwards to tapProxy.upstream (the NASA archive, or the
+  // mock service in --mock-tap mode) and keeps answers in tapProxy.cacheDir
+  // for tapProxy.ttl seconds, then serves them stale for up to tapProxy.stale
+  // more while revalidating. Only queries on tapProxy.tables are forwarded,
+  // and the cache is kept under tapProxy.maxCacheMB.
+  let tapProxy = null;
+  if (config.routes.tapProxy) {
+    try {
+      tapProxy = createTapProxy({
+        upstream: config.tapProxy.upstream || (mockTap ? `${origin}/TAP` : NASA_TAP_URL),
+        cacheDir: config.tapProxy.cacheDir,
+        ttlMs: config.tapProxy.ttl * 1000,
+        staleMs: config.tapProxy.stale * 1000,
+        tables: config.tapProxy.tables,
+        maxCacheBytes: config.tapProxy.maxCacheMB * 1024 * 1024,
+        // Fresh archive data: reload the API's catalog, which tells the tabs
+        onUpdate: () => { if (catalogApi) catalogApi.reloadSoon(); },
+      });
+    } catch (err) {
+      console.error(`\n  ❌ TAP proxy: ${err.message}\n`);
+      process.exit(1);
     }
+  }
 
-    const mime = getMime(filePath);
-    res.writeHead(200, {
-      'Content-Type': mime,
-      'Cache-Control': 'no-cache',
-      'Access-Control-Allow-Origin': '*',
+  // Catalog API, on unless routes.catalogApi is off. The catalog is loaded
+  // through the proxy when it runs (so restarts hit the disk cache), from
+  // catalog.source (nasa, exoplanet-eu, oec), validated with the
+  // validation.rules overrides, and reloaded every catalog.reload seconds.
+  let catalogApi = null;
+  if (config.routes.catalogApi) {
+    const direct = mockTap ? `${origin}/TAP` : NASA_TAP_URL;
+    catalogApi = createCatalogAPI({
+      root,
+      tapBaseUrl: tapProxy ? `${origin}${TAP_PROXY_ROUTE}` : direct,
+      tapOrigin: tapProxy ? tapProxy.describe().upstream : null,
+      sourceId: config.catalog.source,
+      ruleOverrides: config.validation.rules,
+      reloadMs: config.catalog.reload * 1000,
+      onLoad: publishCatalogLoad,
     });
+  }
 
-    const stream = fs.createReadStream(filePath);
-    stream.pipe(res);
-    stream.on('error', () => {
-      res.writeHead(500);
-      res.end('Internal Server Error');
+  // Live events, on unless routes.liveEvents is off: catalog-update after
+  // every catalog reload, changelog when it changed something, and
+  // server-health every liveEvents.healthInterval seconds
+  let liveEvents = null;
+  if (config.routes.liveEvents) {
+    liveEvents = createLiveEvents({
+      health: () => health.summary(),
+      healthMs: config.liveEvents.healthInterval * 1000,
     });
+  }
+
+  function publishCatalogLoad({ count, meta, changelog }) {
+    if (!liveEvents) return;
+    const counts = changelog ? changelog.counts : null;
+    const changed = Boolean(counts && counts.added + counts.removed + counts.retracted + counts.changed > 0);
+    if (changed) liveEvents.broadcast(EventType.CHANGELOG, { ...changelog, fetchedAt: meta.fetchedAt });
+    liveEvents.broadcast(EventType.CATALOG_UPDATE, { ...meta, count, changed, counts });
+  }
+
+  // Static files: dev mode (default) sends no-cache so every reload
+  // revalidates; server.production (--production, NODE_ENV=production) lets
+  // browsers keep versioned URLs (?v=... or hashed names) for a year
+  const PRODUCTION = config.server.production;
+  const staticFiles = createStaticFiles({
+    root,
+    production: PRODUCTION,
+    mimeTypes: config.mimeTypes,
+    hidden: file ? [file] : [],
+  });
+
+  // Deep links get index.html with per-planet title and share tags, built
+  // from the catalog API's catalog when it runs; with routes.deepLinks off
+  // only / and /index.html are served
+  const appRoutes = config.routes.deepLinks
+    ? createAppRoutes({ root, catalog: catalogApi, send: staticFiles.sendBody })
+    : null;
+
+  // /health reports on all of the above and probes the archive (or the mock
+  // service) the catalog comes from; it turns degraded once the catalog is
+  // older than catalog.maxAge seconds. /ready answers 503 until it loaded.
+  const health = createHealth({
+    root,
+    upstream: tapProxy ? tapProxy.describe().upstream : mockTap ? `${origin}/TAP` : NASA_TAP_URL,
+    services: { catalogApi, tapProxy, liveEvents, staticFiles },
+    maxAgeMs: config.catalog.maxAge * 1000,
+  });
+
+  // Access-Control headers for every response, from cors.allowedOrigins
+  const cors = createCors({ allowedOrigins: config.cors.allowedOrigins });
+  const logRequest = config.log.requests ? createRequestLog(config.log.format) : null;
+
+  const server = http.createServer((req, res) => {
+    if (logRequest) logRequest(req, res);
+    if (cors.handle(req, res)) return;
+    if (health.handle(req, res)) return;
+    if (mockTap && mockTap.handle(req, res)) return;
+    if (liveEvents && liveEvents.handle(req, res)) return;
+    if (tapProxy && tapProxy.handle(req, res)) return;
+    if (catalogApi && catalogApi.handle(req, res)) return;
+
+    if (appRoutes && appRoutes.handle(req, res)) return;
+    staticFiles.handle(req, res);
   });
-});
 
-server.listen(PORT, HOST, () => {
-  console.log(`
+  server.listen(PORT, HOST, () => {
+    if (config.log.format === LogFormat.JSON) {
+      console.log(`Listening on ${origin} (health: ${origin}/health)`);
+    } else {
+      console.log(`
 ╔═══════════════════════════════════════════════╗
 ║   🌌 EXOPLANET EXPLORER — Development Server ║
 ╠═══════════════════════════════════════════════╣
 ║                                               ║
-║   URL:    http://${HOST}:${PORT}              ║
-║   Health: http://${HOST}:${PORT}/health       ║
+║   URL:    ${origin}              ║
+║   Health: ${origin}/health       ║
 ║                                               ║
 ║   Press Ctrl+C to stop                        ║
 ╚═══════════════════════════════════════════════╝
   `);
-});
-
-server.on('error', (err) => {
-  if (err.code === 'EADDRINUSE') {
-    console.error(`\n  ❌ Port ${PORT} is already in use.`);
-    console.error(`  Try: node serve.js  (or set PORT=3001 node serve.js)\n`);
-  } else {
-    console.error('Server error:', err);
-  }
-  process.exit(1);
-});
+    }
+    if (configFile) console.log(`  Config: ${configFile}\n`);
+    if (PRODUCTION) console.log('  Mode: production (versioned assets cached for a year)\n');
+    if (tapProxy) {
+      const { upstream, cacheDir, ttlSeconds, entries } = tapProxy.describe();
+      console.log(`  TAP proxy: ${origin}${TAP_PROXY_ROUTE}/sync → ${upstream}`);
+      console.log(`  Cache:     ${path.relative(ROOT, cacheDir) || '.'} (${entries} entries, TTL ${ttlSeconds} s)\n`);
+    }
+    if (liveEvents) console.log(`  Live events: ${origin}${LIVE_EVENTS_ROUTE}\n`);
+    if (catalogApi) {
+      console.log(`  Catalog API: ${origin}/api/planets (loading...)\n`);
+      catalogApi.load();
+    }
+    if (mockTap) {
+      const { fixturesDir, tables, delay, fail } = mockTap.describe();
+      console.log(`  Mock TAP: ${origin}/TAP/sync (${tables.join(', ') || 'no fixtures'})`);
+      console.log(`  Fixtures: ${path.relative(ROOT, fixturesDir) || '.'}`);
+      if (Object.keys(delay).length) console.log(`  Delay:    ${JSON.stringify(delay)}`);
+      if (Object.keys(fail).length) console.log(`  Failures: ${JSON.stringify(fail)}`);
+      console.log(`  Open ${origin}/?tap=local to use it\n`);
+    }
+  });
+
+  server.on('error', (err) => {
+    if (err.code === 'EADDRINUSE') {
+      console.error(`\n  ❌ Port ${PORT} is already in use.`);
+      console.error(`  Try: PORT=3001 node serve.js  (or set server.port in ${configFile || 'serve.config.json'})\n`);
+    } else {
+      console.error('Server error:', err);
+    }
+    process.exit(1);
+  });
+}
+
+// node serve.js [command]: fetch, validate, export and stats are catalog
+// jobs (server/cli.js); serve, the default, starts the server above
+const COMMAND = parseCommand(process.argv.slice(2));
+if (COMMAND.name === 'serve') {
+  serve(COMMAND.args);
+} else {
+  runCommand(COMMAND, ROOT).then((code) => { process.exitCode = code; });
+}
@@ -0,0 +1,42 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — App Modules for Node
+// The browser's pipeline and science code (js/) are ES
+// modules; the CommonJS server and CLI load them here,
+// pointed at the TAP service and catalog they should use.
+// ═══════════════════════════════════════════════
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const MODULE_FILES = {
+  database: 'database.js',
+  nasaData: 'nasa-data.js',
+  science: 'science.js',
+  sources: 'sources.js',
+  snapshots: 'snapshots.js',
+  changelog: 'changelog.js',
+  validationRules: 'validation-rules.js',
+};
+
+/**
+ * Import the app modules from <root>/js. Modules are shared per process,
+ * so the settings apply to every caller.
+ * @param {string} root - repository root
+ * @param {object} [options]
+ * @param {string} [options.tapBaseUrl] - TAP service the pipeline queries
+ * @param {string} [options.tapOrigin] - service behind tapBaseUrl when it is a proxy
+ * @param {string} [options.sourceId] - primary catalog (sources.js id)
+ * @param {object[]} [options.ruleOverrides] - validation rule overrides (see compileRules)
+ * @returns {Promise<{ database, nasaData, science, sources, snapshots, changelog, validationRules }>}
+ */
+async function loadAppModules(root, { tapBaseUrl = null, tapOrigin = null, sourceId = null, ruleOverrides = null } = {}) {
+  const entries = await Promise.all(Object.entries(MODULE_FILES).map(async ([name, file]) =>
+    [name, await import(pathToFileURL(path.join(root, 'js', file)).href)]));
+  const modules = Object.fromEntries(entries);
+  if (tapBaseUrl) modules.nasaData.setTapBaseUrl(tapBaseUrl, tapOrigin);
+  if (sourceId) modules.sources.setPrimarySourceId(sourceId);
+  if (ruleOverrides) modules.validationRules.setRuleOverrides(ruleOverrides);
+  return modules;
+}
+
+module.exports = { loadAppModules };
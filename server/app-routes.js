@@ -0,0 +1,141 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — App Routes
+// /planet/<name> and /system/<name> answer with index.html
+// (the client reads the path on boot, see js/router.js),
+// with <title> and OpenGraph/Twitter tags built from the
+// catalog, so shared links preview the planet.
+// ═══════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+
+const ROUTE_PATTERN = /^\/(planet|system)\/(.+?)\/?$/;
+const SITE_NAME = 'Exoplanet Explorer';
+const DEFAULT_DESCRIPTION = 'Explore confirmed exoplanets and candidates from the NASA Exoplanet Archive in 3D: habitable zones, Earth Similarity Index and discovery methods.';
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// "1.07", "146" — a few significant digits for a one-line summary
+const num = (v, digits = 3) => String(Number(v.toPrecision(digits)));
+
+function describePlanet(p) {
+  const kind = p.status && p.status !== 'confirmed' ? `${p.type || 'Exoplanet'} (${p.status})` : p.type || 'Exoplanet';
+  const facts = [
+    p.radius > 0 ? `${num(p.radius)} R⊕` : null,
+    p.mass > 0 ? `${num(p.mass)} M⊕` : null,
+    p.eqTemp > 0 ? `T_eq ${Math.round(p.eqTemp)} K` : null,
+    p.hzStatus && p.hzStatus.label ? p.hzStatus.label : null,
+    p.esi && p.esi.global != null ? `ESI ${p.esi.global.toFixed(2)}` : null,
+    p.discovered ? `discovered ${p.discovered}${p.discoveryMethod ? ` by ${p.discoveryMethod}` : ''}` : null,
+  ].filter(Boolean);
+  const where = p.distance > 0 ? `, ${num(p.distance)} light-years away` : '';
+  return `${kind} orbiting ${p.system}${where}. ${facts.join(' · ')}`;
+}
+
+function describeSystem(system) {
+  const { star, planets } = system;
+  const inHZ = planets.filter(p => p.hzStatus && p.hzStatus.optimistic).length;
+  const starText = [star.starType, star.starTemp ? `${Math.round(star.starTemp)} K` : null].filter(Boolean).join(', ');
+  return [
+    `${system.name}: ${planets.length} planet${planets.length === 1 ? '' : 's'}${star.distance > 0 ? `, ${num(star.distance)} light-years away` : ''}.`,
+    starText ? `Host star ${starText}.` : '',
+    inHZ > 0 ? `${inHZ} in the habitable zone.` : '',
+    `Planets: ${planets.map(p => p.name).join(', ')}.`,
+  ].filter(Boolean).join(' ');
+}
+
+// ── Service ──────────────────────────────────
+/**
+ * Create the deep-link handler.
+ * @param {object} options
+ * @param {string} options.root - directory holding index.html
+ * @param {object} [options.catalog] - the catalog API (findPlanet/findSystem);
+ *   without it every route gets the generic page
+ * @param {function} options.send - sends a generated body (static-files sendBody)
+ * @returns {{ handle(req, res): boolean }}
+ */
+function createAppRoutes({ root, catalog = null, send }) {
+  const indexFile = path.join(root, 'index.html');
+
+  // { title, description, found } for a route; found is false for names
+  // the loaded catalog does not know, null while it is loading
+  function pageFor(route) {
+    if (!route) return { title: null, description: DEFAULT_DESCRIPTION, found: true };
+    if (route.type === 'planet') {
+      const planet = catalog && catalog.findPlanet(route.name);
+      if (planet) return { title: `${planet.name} — ${SITE_NAME}`, description: describePlanet(planet), found: true };
+    } else {
+      const system = catalog && catalog.findSystem(route.name);
+      if (system) return { title: `${system.name} system — ${SITE_NAME}`, description: describeSystem(system), found: true };
+    }
+    const ready = catalog && catalog.describe().status === 'ready';
+    return { title: `${route.name} — ${SITE_NAME}`, description: DEFAULT_DESCRIPTION, found: ready ? false : null };
+  }
+
+  // <base href="/"> keeps the page's relative asset URLs working under
+  // /planet/...; the app-routes meta tells the client it may rewrite the path
+  function render(html, page, url) {
+    const title = page.title || html.match(/<title>([^<]*)<\/title>/)?.[1] || SITE_NAME;
+    const tags = [
+      '<base href="/" />',
+      `<title>${escapeHTML(title)}</title>`,
+      '<meta name="app-routes" content="path" />',
+      `<meta name="description" content="${escapeHTML(page.description)}" />`,
+      '<meta property="og:type" content="website" />',
+      `<meta property="og:site_name" content="${SITE_NAME}" />`,
+      `<meta property="og:title" content="${escapeHTML(title)}" />`,
+      `<meta property="og:description" content="${escapeHTML(page.description)}" />`,
+      `<meta property="og:url" content="${escapeHTML(url)}" />`,
+      '<meta name="twitter:card" content="summary" />',
+      `<meta name="twitter:title" content="${escapeHTML(title)}" />`,
+      `<meta name="twitter:description" content="${escapeHTML(page.description)}" />`,
+    ];
+    // A function, so $& and $` in the request path are not replacement patterns
+    return html.replace(/<title>[^<]*<\/title>/, () => tags.join('\n  '));
+  }
+
+  function parseRoute(pathname) {
+    const match = ROUTE_PATTERN.exec(pathname);
+    if (!match) return null;
+    try {
+      return { type: match[1], name: decodeURIComponent(match[2]) };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Returns true for "/", "/index.html" and the app routes
+  function handle(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+    const url = new URL(req.url, 'http://localhost');
+    const route = parseRoute(url.pathname);
+    if (!route && url.pathname !== '/' && url.pathname !== '/index.html') return false;
+
+    fs.readFile(indexFile, 'utf8', (err, html) => {
+      if (err) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Cannot read index.html');
+        return;
+      }
+      const page = pageFor(route);
+      const proto = req.headers['x-forwarded-proto'] || 'http';
+      const canonical = `${proto}://${req.headers.host || 'localhost'}${url.pathname}`;
+      // Unknown names still get the app, which says so; the status tells crawlers
+      send(req, res, Buffer.from(render(html, page, canonical)), {
+        contentType: 'text/html; charset=utf-8',
+        status: page.found === false ? 404 : 200,
+      }).catch(() => res.destroy());
+    });
+    return true;
+  }
+
+  return { handle };
+}
+
+module.exports = { createAppRoutes, describePlanet, describeSystem };
@@ -0,0 +1,387 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — Catalog REST API
+// Loads the processed catalog with the browser's own
+// pipeline (js/database.js, js/science.js) and answers
+// /api/planets, /api/planets/:name, /api/systems/:name
+// and /api/stats, so scripts get the same filters and
+// derived values (HZ, ESI, habitability) as the app.
+// ═══════════════════════════════════════════════
+
+const { loadAppModules } = require('./app-modules');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+
+// Query parameters that map onto searchPlanets filters of the same name
+const NUMBER_FILTERS = [
+  'minHabitability', 'minESI', 'discoveredAfter',
+  'minDistance', 'maxDistance', 'minTemp', 'maxTemp', 'minRadius', 'maxRadius',
+  'minMetallicity', 'maxMetallicity', 'minAge', 'maxAge',
+];
+const STRING_FILTERS = ['status', 'type', 'starType', 'discoveryMethod', 'inHZ', 'sortBy', 'sortDir'];
+const ENUM_FILTERS = {
+  inHZ: ['conservative', 'optimistic'],
+  sortDir: ['asc', 'desc'],
+};
+const PAGING_PARAMS = ['q', 'names', 'limit', 'offset', 'fields'];
+
+// Host-star fields reported once per system
+const STAR_FIELDS = [
+  'system', 'starAltNames', 'starType', 'starTemp', 'starMass', 'starRadius', 'starLum',
+  'starLogg', 'starMetallicity', 'starAge', 'starDensity', 'starRotation',
+  'systemStars', 'systemPlanets', 'distance', 'ra', 'dec', 'coords', 'constellation', 'vMag', 'kMag',
+];
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ── Parameters ───────────────────────────────
+// Comma-separated and repeated parameters both work: ?names=a,b&names=c
+function listParam(params, name) {
+  return params.getAll(name).flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+function parseFilters(params, planetStatuses) {
+  const known = new Set([...NUMBER_FILTERS, ...STRING_FILTERS, ...PAGING_PARAMS]);
+  for (const key of params.keys()) {
+    if (!known.has(key)) throw new ApiError(400, `Unknown parameter "${key}"`);
+  }
+
+  const filters = {};
+  for (const key of NUMBER_FILTERS) {
+    if (!params.has(key)) continue;
+    const value = Number(params.get(key));
+    if (params.get(key) === '' || !Number.isFinite(value)) {
+      throw new ApiError(400, `${key} must be a number, got "${params.get(key)}"`);
+    }
+    filters[key] = value;
+  }
+  for (const key of STRING_FILTERS) {
+    if (!params.get(key)) continue;
+    const value = params.get(key);
+    if (ENUM_FILTERS[key] && !ENUM_FILTERS[key].includes(value)) {
+      throw new ApiError(400, `${key} must be one of: ${ENUM_FILTERS[key].join(', ')}`);
+    }
+    filters[key] = value;
+  }
+  if (filters.status && !['all', 'active', ...planetStatuses].includes(filters.status)) {
+    throw new ApiError(400, `status must be one of: all, active, ${planetStatuses.join(', ')}`);
+  }
+  const names = listParam(params, 'names');
+  if (names.length > 0) filters.names = names;
+  return filters;
+}
+
+function parsePaging(params) {
+  const int = (name, fallback, max) => {
+    if (!params.has(name)) return fallback;
+    const value = Number(params.get(name));
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+      throw new ApiError(400, `${name} must be a whole number from 0 to ${max}`);
+    }
+    return value;
+  };
+  return { limit: int('limit', DEFAULT_LIMIT, MAX_LIMIT), offset: int('offset', 0, Number.MAX_SAFE_INTEGER) };
+}
+
+// ── Field selection ──────────────────────────
+// "name,radius,esi.global" keeps those fields, nesting dotted paths
+function selectFields(planet, fields) {
+  if (fields.length === 0) return planet;
+  const out = {};
+  for (const field of fields) {
+    const parts = field.split('.');
+    let src = planet;
+    let dst = out;
+    for (let i = 0; i < parts.length; i++) {
+      if (src == null || typeof src !== 'object' || !(parts[i] in src)) break;
+      if (i === parts.length - 1) {
+        dst[parts[i]] = src[parts[i]];
+      } else {
+        if (dst[parts[i]] == null || typeof dst[parts[i]] !== 'object') dst[parts[i]] = {};
+        dst = dst[parts[i]];
+        src = src[parts[i]];
+      }
+    }
+  }
+  return out;
+}
+
+// A planet as a name and a few numbers, for summaries
+const planetSummary = (p, field) => (p ? { name: p.name, [field]: p[field] } : null);
+
+// ── Service ──────────────────────────────────
+/**
+ * Create the catalog API.
+ * @param {object} options
+ * @param {string} options.root - repository root (js/ is loaded from here)
+ * @param {string} options.tapBaseUrl - TAP service the pipeline queries
+ * @param {string} [options.tapOrigin] - service behind tapBaseUrl when it is a proxy
+ * @param {string} [options.sourceId] - primary catalog (sources.js id); NASA by default
+ * @param {object[]} [options.ruleOverrides] - validation rule overrides (validation.rules)
+ * @param {number} [options.reloadMs] - how often the catalog is reloaded
+ * @param {function(object): void} [options.onLoad] - called after every successful
+ *   load with { count, meta, changelog }; changelog (see js/changelog.js) is
+ *   null on the first load
+ * @returns {{ handle(req, res): boolean, load(): Promise, reloadSoon(): void,
+ *   findPlanet(name): object, findSystem(name): object, summary(): object, describe(): object, close(): void }}
+ */
+function createCatalogAPI({
+  root,
+  tapBaseUrl,
+  tapOrigin = null,
+  sourceId = null,
+  ruleOverrides = null,
+  reloadMs = 24 * 60 * 60 * 1000,
+  onLoad = null,
+}) {
+  const state = {
+    status: 'idle', // 'loading' | 'ready' | 'error'
+    loadedAt: null,
+    error: null,
+    requests: 0,
+  };
+  let modules = null;
+  let loading = null;
+  let reloadTimer = null;
+  let reloadSoonTimer = null;
+
+  async function importModules() {
+    if (modules) return modules;
+    modules = await loadAppModules(root, { tapBaseUrl, tapOrigin, sourceId, ruleOverrides });
+    return modules;
+  }
+
+  // Loads (or reloads) the catalog; a failed reload keeps the previous one
+  function load() {
+    if (loading) return loading;
+    const started = Date.now();
+    if (state.status !== 'ready') state.status = 'loading';
+    loading = (async () => {
+      try {
+        const { database, changelog } = await importModules();
+        const result = await database.loadProcessedCatalog();
+        if (!result.planets || result.planets.length === 0) {
+          throw new Error(result.error || 'the source returned no planets');
+        }
+        const previous = state.status === 'ready' ? database.PLANET_CATALOG : null;
+        await database.setActiveCatalog(result, 'nasa');
+        state.status = 'ready';
+        state.loadedAt = Date.now();
+        state.error = null;
+        console.log(`  [catalog-api] ${result.planets.length} planets from ${database.getDataSourceId()} (${Date.now() - started} ms)`);
+        if (onLoad) {
+          onLoad({
+            count: result.planets.length,
+            meta: meta(),
+            changelog: previous ? changelog.diffCatalogs(previous, result.planets) : null,
+          });
+        }
+      } catch (err) {
+        state.error = err.message;
+        if (state.status !== 'ready') state.status = 'error';
+        console.warn(`  [catalog-api] catalog load failed: ${err.message}`);
+      } finally {
+        loading = null;
+      }
+    })();
+    if (!reloadTimer && reloadMs > 0) {
+      reloadTimer = setInterval(load, reloadMs);
+      reloadTimer.unref();
+    }
+    return loading;
+  }
+
+  // Several cached queries refresh together; reload once they settle
+  function reloadSoon(delayMs = 5000) {
+    clearTimeout(reloadSoonTimer);
+    // A load already running may have read the old responses
+    reloadSoonTimer = setTimeout(() => (loading ? loading.then(load) : load()), delayMs);
+    reloadSoonTimer.unref();
+  }
+
+  function close() {
+    clearInterval(reloadTimer);
+    clearTimeout(reloadSoonTimer);
+    reloadTimer = null;
+  }
+
+  function meta() {
+    const { database } = modules;
+    return {
+      dataSource: database.getDataSource(),
+      sourceId: database.getDataSourceId(),
+      fetchedAt: database.getDataFetchedAt() ? new Date(database.getDataFetchedAt()).toISOString() : null,
+    };
+  }
+
+  function describe() {
+    return {
+      status: state.status,
+      loadedAt: state.loadedAt ? new Date(state.loadedAt).toISOString() : null,
+      error: state.error,
+      planets: state.status === 'ready' ? modules.database.PLANET_CATALOG.length : 0,
+      requests: state.requests,
+    };
+  }
+
+  // ── Routes ─────────────────────────────────
+  function listPlanets(params) {
+    const { database } = modules;
+    const filters = parseFilters(params, Object.values(database.PlanetStatus));
+    const { limit, offset } = parsePaging(params);
+    const fields = listParam(params, 'fields');
+    const results = database.searchPlanets(params.get('q') || '', filters);
+    return {
+      total: results.length,
+      offset,
+      limit,
+      planets: results.slice(offset, offset + limit).map(p => selectFields(p, fields)),
+      meta: meta(),
+    };
+  }
+
+  function getPlanet(name, params) {
+    const planet = modules.database.getPlanetByName(name);
+    if (!planet) throw new ApiError(404, `No planet named "${name}"`);
+    return { planet: selectFields(planet, listParam(params, 'fields')), meta: meta() };
+  }
+
+  // { name, star, planets } with the planets in orbit order, or null
+  function systemOf(name) {
+    const planets = modules.database.getSystemPlanets(name);
+    if (planets.length === 0) return null;
+    const host = planets[0];
+    const byOrbit = (a, b) => (a.semiMajorAxis ?? a.period ?? Infinity) - (b.semiMajorAxis ?? b.period ?? Infinity);
+    return {
+      name: host.system,
+      star: Object.fromEntries(STAR_FIELDS.filter(f => host[f] != null).map(f => [f, host[f]])),
+      planets: [...planets].sort(byOrbit),
+    };
+  }
+
+  function getSystem(name, params) {
+    const { database, science } = modules;
+    const system = systemOf(name);
+    if (!system) throw new ApiError(404, `No system named "${name}"`);
+    return {
+      name: system.name,
+      aliases: database.getStarAliases(system.name),
+      star: system.star,
+      habitableZone: science.calculateHabitableZone(system.star.starTemp, system.star.starLum),
+      planets: system.planets.map(p => selectFields(p, listParam(params, 'fields'))),
+      meta: meta(),
+    };
+  }
+
+  // Catalog facts for /health: counts and the last validation summary;
+  // null until loaded
+  function summary() {
+    if (state.status !== 'ready') return null;
+    const { database } = modules;
+    const report = database.getDataReport() || {};
+    const statuses = Object.fromEntries(Object.values(database.PlanetStatus).map(st => [st, 0]));
+    database.PLANET_CATALOG.forEach(p => { if (p.status in statuses) statuses[p.status]++; });
+    return {
+      ...meta(),
+      planets: database.PLANET_CATALOG.length,
+      statuses,
+      validation: {
+        totalInput: report.totalInput ?? null,
+        totalOutput: report.totalOutput ?? null,
+        cleaned: report.cleaned ?? 0,
+        quarantined: (report.quarantine || []).length,
+        badValues: (report.badValues || []).length,
+        duplicates: (report.duplicates || []).length,
+        failedRules: Object.fromEntries(Object.entries(report.rules || {})
+          .filter(([, rule]) => rule.failed > 0)
+          .map(([id, rule]) => [id, rule.failed])),
+      },
+    };
+  }
+
+  // Lookups for the other services (deep-link pages); null until loaded
+  function findPlanet(name) {
+    return state.status === 'ready' ? modules.database.getPlanetByName(name) || null : null;
+  }
+
+  function findSystem(name) {
+    return state.status === 'ready' ? systemOf(name) : null;
+  }
+
+  function getStats() {
+    const stats = modules.database.getCatalogStats();
+    return {
+      ...stats,
+      nearestPlanet: planetSummary(stats.nearestPlanet, 'distance'),
+      mostHabitable: planetSummary(stats.mostHabitable, 'habitability'),
+      meta: meta(),
+    };
+  }
+
+  // `name` is the decoded path segment, for routes that have one
+  const ROUTES = [
+    { pattern: /^\/api\/planets\/?$/, run: params => listPlanets(params) },
+    { pattern: /^\/api\/planets\/(.+)$/, run: (params, name) => getPlanet(name, params) },
+    { pattern: /^\/api\/systems\/(.+)$/, run: (params, name) => getSystem(name, params) },
+    { pattern: /^\/api\/stats\/?$/, run: () => getStats() },
+  ];
+
+  function sendJSON(res, status, body, headers = {}) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      ...headers,
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  // Returns true when the request was for the API
+  function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let route = null;
+    let match = null;
+    for (const r of ROUTES) {
+      match = url.pathname.match(r.pattern);
+      if (match) { route = r; break; }
+    }
+    if (!route) return false;
+
+    state.requests++;
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendJSON(res, 405, { error: 'Only GET is supported' }, { 'Allow': 'GET, HEAD' });
+      return true;
+    }
+    if (state.status !== 'ready') {
+      sendJSON(res, 503, {
+        error: state.status === 'error' ? `Catalog failed to load: ${state.error}` : 'Catalog is loading',
+        status: state.status,
+      }, { 'Retry-After': '10' });
+      return true;
+    }
+
+    try {
+      let name = null;
+      if (match[1] != null) {
+        try {
+          name = decodeURIComponent(match[1]);
+        } catch (e) {
+          throw new ApiError(400, 'Malformed name in URL');
+        }
+      }
+      sendJSON(res, 200, route.run(url.searchParams, name));
+    } catch (err) {
+      if (err instanceof ApiError) sendJSON(res, err.status, { error: err.message });
+      else sendJSON(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  return { handle, load, reloadSoon, findPlanet, findSystem, summary, describe, close };
+}
+
+module.exports = { createCatalogAPI, ApiError, parseFilters, parsePaging, listParam, selectFields };
@@ -0,0 +1,507 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — Command-Line Interface
+// node serve.js <command>: fetch, validate, export and
+// stats run the app's own pipeline (js/nasa-data.js,
+// js/database.js) without a browser, for scheduled jobs;
+// healthcheck runs healthcheck.html's checks against a
+// running server; config prints the effective settings.
+// `serve` (the default) starts the dev server.
+// ═══════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { loadAppModules } = require('./app-modules');
+const { loadConfig, SETTINGS } = require('./config');
+const { ApiError, parseFilters, parsePaging, listParam, selectFields } = require('./catalog-api');
+
+const NASA_TAP_URL = 'https://exoplanetarchive.ipac.caltech.edu/TAP';
+const DEFAULT_SNAPSHOT = '.cache/catalog.json';
+
+// Columns of `export --format csv` unless --fields says otherwise
+const EXPORT_FIELDS = [
+  'name', 'system', 'status', 'type', 'distance', 'radius', 'mass', 'eqTemp', 'period',
+  'semiMajorAxis', 'eccentricity', 'starType', 'starTemp', 'starMass', 'starRadius',
+  'discovered', 'discoveryMethod', 'habitability', 'esi.global', 'hzStatus.label', 'ra', 'dec',
+];
+
+const USAGE = `
+Usage: node serve.js [command] [options]
+
+Commands:
+  serve                 Start the development server (default)
+  fetch                 Load the catalog from a TAP service into a local snapshot
+  validate              Run the validation rules and print the report
+  export                Write filtered planets as CSV or JSON
+  stats                 Print catalog statistics
+  healthcheck           Check a running server, exit 1 if anything fails
+  config                Print the effective server settings, exit 1 if invalid
+  help                  Show this message
+
+Catalog options (fetch, validate, export, stats):
+  --tap <url>           TAP service (default: the NASA archive; "mock" for the fixtures)
+  --source <id>         Catalog: nasa, exoplanet-eu, oec (default: nasa)
+  --config <file>       Settings file whose validation.rules apply (default: serve.config.json)
+
+fetch:
+  --out <file>          Snapshot file (default: ${DEFAULT_SNAPSHOT}, .gz with --gzip)
+  --gzip                Write a gzip snapshot
+
+validate:
+  --input <file>        Validate raw pscomppars rows from a JSON file instead of fetching
+  --json                Print the report as JSON
+  --strict              Exit 1 when any record fails an error rule
+
+export, stats:
+  --snapshot <file>     Read this snapshot (default: ${DEFAULT_SNAPSHOT}); --tap loads live instead
+
+export:
+  --format csv|json     Output format (default: csv)
+  --out <file>          Write to a file instead of stdout
+  --fields <a,b.c>      Fields to keep (dotted paths reach into objects)
+  --<filter> <value>    Any /api/planets filter: --q, --status, --type, --inHZ,
+                        --minESI, --maxDistance, --sortBy, --limit, ... (see README)
+
+stats:
+  --json                Print the statistics as JSON
+
+healthcheck:
+  --url <url>           Server to check (default: http://127.0.0.1:3000)
+  --offline             Skip the CDN, NASA archive and font checks
+  --timeout <seconds>   Per-check timeout (default: 10)
+  --json                Print the results as JSON
+
+config:
+  --config <file>       Settings file (default: serve.config.json, or SERVE_CONFIG)
+  --json                Print the settings as JSON
+  Also takes the serve flags (--mock-tap, --production, ...)
+
+serve: see README (--config <file>, --mock-tap, --production, --no-tap-proxy,
+  --no-catalog-api, --no-live-events, --no-deep-links, --log-requests)
+`;
+
+class UsageError extends Error {}
+
+// ── Argument parsing ─────────────────────────
+// "--key value", "--key=value" and bare "--flag" (true)
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    if (eq !== -1) {
+      options[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      options[arg.slice(2)] = true;
+    }
+  }
+  return { options, positional };
+}
+
+function allowOptions(options, allowed) {
+  for (const key of Object.keys(options)) {
+    if (!allowed.includes(key)) throw new UsageError(`Unknown option --${key}`);
+  }
+}
+
+// Progress and notes go to stderr, so stdout carries only the data
+function log(message) {
+  process.stderr.write(`${message}\n`);
+}
+
+function progressLogger() {
+  let last = '';
+  return ({ message }) => {
+    if (message && message !== last) log(`  ${message}`);
+    last = message;
+  };
+}
+
+// ── Catalog loading ──────────────────────────
+function tapUrl(option, root) {
+  if (!option || option === true) return NASA_TAP_URL;
+  if (option === 'mock') return `file:${path.join(root, 'fixtures/tap')}`;
+  return option;
+}
+
+// "mock" reads the fixtures in-process through the mock TAP service, so
+// offline runs need no server
+async function withTap(options, root, run) {
+  const url = tapUrl(options.tap, root);
+  if (!url.startsWith('file:')) return run(url);
+
+  const http = require('http');
+  const { createMockTAP } = require('./mock-tap');
+  const mock = createMockTAP({ fixturesDir: url.slice('file:'.length) });
+  const server = http.createServer((req, res) => {
+    if (!mock.handle(req, res)) { res.writeHead(404); res.end(); }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origConsole = console.log;
+  console.log = () => {}; // mock-tap logs every query
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}/TAP`);
+  } finally {
+    console.log = origConsole;
+    server.close();
+  }
+}
+
+function defaultSnapshotPath(root) {
+  const candidates = [DEFAULT_SNAPSHOT, `${DEFAULT_SNAPSHOT}.gz`]
+    .map(f => path.join(root, f))
+    .filter(f => fs.existsSync(f))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return candidates[0] || path.join(root, DEFAULT_SNAPSHOT);
+}
+
+// Validation rule overrides from the settings file (validation.rules), so
+// the commands check records the way the server does
+function configuredRules(options, root) {
+  if (options.config === true) throw new UsageError('--config needs a file name');
+  const argv = options.config ? [`--config=${options.config}`] : [];
+  return loadConfig({ appDir: root, argv }).config.validation.rules;
+}
+
+// Makes a catalog active in database.js: live from --tap, else a snapshot file
+async function loadCatalog(options, root) {
+  if (options.tap) {
+    const ruleOverrides = configuredRules(options, root);
+    return withTap(options, root, async (tapBaseUrl) => {
+      const modules = await loadAppModules(root, { tapBaseUrl, sourceId: sourceOption(options), ruleOverrides });
+      const result = await modules.database.loadProcessedCatalog(progressLogger());
+      if (!result.planets || result.planets.length === 0) {
+        throw new Error(`Catalog load failed: ${result.error || 'no planets returned'}`);
+      }
+      await modules.database.setActiveCatalog(result, 'nasa');
+      return modules;
+    });
+  }
+
+  const file = options.snapshot ? path.resolve(options.snapshot) : defaultSnapshotPath(root);
+  if (!fs.existsSync(file)) {
+    throw new UsageError(`No snapshot at ${options.snapshot || displayPath(file)}. Run "node serve.js fetch" first, or pass --tap to load live.`);
+  }
+  const modules = await loadAppModules(root);
+  await modules.database.importCatalogSnapshot(await fs.openAsBlob(file));
+  log(`  Snapshot ${displayPath(file)} (${modules.database.PLANET_CATALOG.length} planets)`);
+  return modules;
+}
+
+function sourceOption(options) {
+  if (options.source === true) throw new UsageError('--source needs a catalog id');
+  return options.source || null;
+}
+
+// Relative to the working directory when the file is inside it
+function displayPath(file) {
+  const relative = path.relative(process.cwd(), file);
+  return relative.startsWith('..') ? file : relative;
+}
+
+function writeFileAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+// ── fetch ────────────────────────────────────
+async function fetchCommand(options, root) {
+  allowOptions(options, ['tap', 'source', 'config', 'out', 'gzip']);
+  const gzip = options.gzip === true;
+  const out = path.resolve(root, typeof options.out === 'string'
+    ? options.out
+    : `${DEFAULT_SNAPSHOT}${gzip ? '.gz' : ''}`);
+
+  const modules = await loadCatalog({ ...options, tap: options.tap || true }, root);
+  const { blob } = await modules.database.exportCatalogSnapshot({ gzip });
+  writeFileAtomic(out, Buffer.from(await blob.arrayBuffer()));
+
+  const report = modules.database.getDataReport();
+  log(`✓ ${modules.database.PLANET_CATALOG.length} planets → ${displayPath(out)} (${blob.size.toLocaleString()} bytes)`);
+  if (report && report.quarantine && report.quarantine.length > 0) {
+    log(`  ${report.quarantine.length} records quarantined; see "node serve.js validate"`);
+  }
+  return 0;
+}
+
+// ── validate ─────────────────────────────────
+async function validateCommand(options, root) {
+  allowOptions(options, ['tap', 'source', 'config', 'input', 'json', 'strict']);
+  const ruleOverrides = configuredRules(options, root);
+  let report;
+  if (typeof options.input === 'string') {
+    const { nasaData } = await loadAppModules(root, { ruleOverrides });
+    let rows;
+    try {
+      rows = JSON.parse(fs.readFileSync(path.resolve(options.input), 'utf8'));
+    } catch (err) {
+      throw new UsageError(`Cannot read ${options.input}: ${err.message}`);
+    }
+    if (!Array.isArray(rows)) throw new UsageError(`${options.input} is not an array of rows`);
+    const { planets, report: raw } = nasaData.validateAndClean(rows.map(nasaData.mapNASARecord));
+    report = nasaData.computeValidationReport(planets, raw);
+  } else {
+    report = await withTap(options, root, async (tapBaseUrl) => {
+      const { nasaData, sources } = await loadAppModules(root, { tapBaseUrl, sourceId: sourceOption(options), ruleOverrides });
+      return (await nasaData.runSource(sources.getPrimarySource(), progressLogger())).report;
+    });
+  }
+
+  if (options.json) process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  else printReport(report);
+
+  const quarantined = (report.quarantine || []).length;
+  return options.strict && quarantined > 0 ? 1 : 0;
+}
+
+function table(rows, headers) {
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+  const line = cells => cells.map((c, i) => String(c).padEnd(widths[i])).join('  ').trimEnd();
+  return [line(headers), line(widths.map(w => '─'.repeat(w))), ...rows.map(line)].join('\n');
+}
+
+function printReport(report) {
+  const out = text => process.stdout.write(`${text}\n`);
+  out('Validation report');
+  out(`  Input records:    ${report.totalInput}`);
+  out(`  Output records:   ${report.totalOutput}`);
+  out(`  Merged / cleaned: ${report.cleaned}`);
+  out(`  Quarantined:      ${(report.quarantine || []).length}`);
+  out(`  Bad values:       ${report.badValues.length}`);
+  out(`  Duplicates:       ${report.duplicates.length}`);
+  if (report.candidateErrors) out(`  Candidate tables unavailable: ${JSON.stringify(report.candidateErrors)}`);
+  if (report.rules) {
+    out('');
+    out(table(
+      Object.entries(report.rules).map(([id, r]) => [id, r.severity, r.checked, r.failed]),
+      ['Rule', 'Severity', 'Checked', 'Failed'],
+    ));
+  }
+  const sample = (title, items, format) => {
+    if (!items || items.length === 0) return;
+    out('');
+    out(`${title} (${items.length}${items.length > 10 ? ', first 10' : ''})`);
+    items.slice(0, 10).forEach(item => out(`  ${format(item)}`));
+  };
+  sample('Quarantined', report.quarantine, q => `${q.name}: ${q.failures.map(f => f.ruleId).join(', ')}`);
+  sample('Bad values', report.badValues, b => `${b.name}: ${b.field} = ${b.value}${b.ruleId ? ` (${b.ruleId})` : ''}`);
+  if (report.stats) {
+    const s = report.stats;
+    out('');
+    out(`Medians (measured only): R ${s.medianRadius} R⊕ · M ${s.medianMass} M⊕ · T_eq ${s.medianTemp} K · d ${s.medianDist} ly`);
+  }
+}
+
+// ── export ───────────────────────────────────
+function csvCell(value) {
+  if (value == null) return '';
+  const text = Array.isArray(value) ? value.join(';')
+    : typeof value === 'object' ? JSON.stringify(value)
+    : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function fieldValue(planet, field) {
+  return field.split('.').reduce((v, key) => (v == null ? v : v[key]), planet);
+}
+
+function toCSV(planets, fields) {
+  const lines = [fields.join(',')];
+  for (const p of planets) lines.push(fields.map(f => csvCell(fieldValue(p, f))).join(','));
+  return `${lines.join('\n')}\n`;
+}
+
+const EXPORT_OPTIONS = ['tap', 'source', 'config', 'snapshot', 'format', 'out'];
+
+async function exportCommand(options, root) {
+  const format = options.format || 'csv';
+  if (!['csv', 'json'].includes(format)) throw new UsageError('--format must be csv or json');
+
+  // Everything else is a filter, checked like /api/planets query parameters
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(options)) {
+    if (EXPORT_OPTIONS.includes(key)) continue;
+    if (value === true) throw new UsageError(`--${key} needs a value`);
+    params.append(key, value);
+  }
+
+  const modules = await loadCatalog(options, root);
+  const { database } = modules;
+  let filters;
+  let paging;
+  try {
+    filters = parseFilters(params, Object.values(database.PlanetStatus));
+    paging = params.has('limit') || params.has('offset')
+      ? parsePaging(params)
+      : { offset: 0, limit: Infinity };
+  } catch (err) {
+    if (err instanceof ApiError) throw new UsageError(err.message.replace(/^Unknown parameter "(.+)"$/, 'Unknown option --$1'));
+    throw err;
+  }
+
+  const fields = listParam(params, 'fields');
+  const results = database.searchPlanets(params.get('q') || '', filters)
+    .slice(paging.offset, paging.offset + paging.limit);
+  const data = format === 'csv'
+    ? toCSV(results, fields.length ? fields : EXPORT_FIELDS)
+    : `${JSON.stringify(results.map(p => selectFields(p, fields)), null, 2)}\n`;
+
+  if (typeof options.out === 'string') {
+    writeFileAtomic(path.resolve(options.out), data);
+    log(`✓ ${results.length} planets → ${options.out}`);
+  } else {
+    process.stdout.write(data);
+  }
+  return 0;
+}
+
+// ── stats ────────────────────────────────────
+async function statsCommand(options, root) {
+  allowOptions(options, ['tap', 'source', 'config', 'snapshot', 'json']);
+  const { database } = await loadCatalog(options, root);
+  const stats = database.getCatalogStats();
+  const summary = {
+    ...stats,
+    nearestPlanet: stats.nearestPlanet ? { name: stats.nearestPlanet.name, distance: stats.nearestPlanet.distance } : null,
+    mostHabitable: stats.mostHabitable ? { name: stats.mostHabitable.name, habitability: stats.mostHabitable.habitability } : null,
+    fetchedAt: database.getDataFetchedAt() ? new Date(database.getDataFetchedAt()).toISOString() : null,
+  };
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+    return 0;
+  }
+  const out = text => process.stdout.write(`${text}\n`);
+  const counts = obj => Object.entries(obj).sort((a, b) => b[1] - a[1]).map(([k, n]) => `${k} ${n}`).join(' · ');
+  out(`Catalog: ${summary.total} planets (${summary.dataSourceId || summary.dataSource}${summary.fetchedAt ? `, fetched ${summary.fetchedAt}` : ''})`);
+  out(`  Status:            ${counts(summary.statuses)}`);
+  out(`  Types:             ${counts(summary.types)}`);
+  out(`  Star types:        ${counts(summary.starTypes)}`);
+  out(`  Methods:           ${counts(summary.methods)}`);
+  out(`  Avg habitability:  ${summary.avgHabitability}`);
+  out(`  Habitability ≥ 0.7: ${summary.highHabitabilityCount}`);
+  out(`  In optimistic HZ:  ${summary.inHabitableZone}`);
+  out(`  ESI ≥ 0.7:         ${summary.highESICount}`);
+  if (summary.nearestPlanet) out(`  Nearest:           ${summary.nearestPlanet.name} (${summary.nearestPlanet.distance.toFixed(2)} ly)`);
+  if (summary.mostHabitable) out(`  Most habitable:    ${summary.mostHabitable.name} (${summary.mostHabitable.habitability})`);
+  return 0;
+}
+
+// ── healthcheck ──────────────────────────────
+// The checks of healthcheck.html (js/health-checks.js), for cron jobs and
+// container probes
+async function healthcheckCommand(options, root) {
+  allowOptions(options, ['url', 'offline', 'timeout', 'json']);
+  const baseUrl = typeof options.url === 'string' ? options.url : 'http://127.0.0.1:3000';
+  try {
+    new URL(baseUrl);
+  } catch (e) {
+    throw new UsageError(`--url must be an absolute URL, got "${baseUrl}"`);
+  }
+  let timeoutMs = 10000;
+  if (options.timeout !== undefined) {
+    if (!/^\d+(\.\d+)?$/.test(String(options.timeout)) || Number(options.timeout) <= 0) {
+      throw new UsageError('--timeout must be a positive number of seconds');
+    }
+    timeoutMs = Number(options.timeout) * 1000;
+  }
+
+  const { HEALTH_CHECKS, runHealthChecks } = await import(pathToFileURL(path.join(root, 'js', 'health-checks.js')).href);
+  const onResult = options.json ? null : (i, state, detail) => {
+    if (state === 'running') return;
+    const mark = state === 'pass' ? '✓' : '✗';
+    process.stdout.write(`${mark} ${HEALTH_CHECKS[i].name.padEnd(40)} ${detail}\n`);
+  };
+  const report = await runHealthChecks({ baseUrl, external: !options.offline, onResult, timeoutMs });
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify({ url: baseUrl, ...report }, null, 2)}\n`);
+  } else {
+    const skipped = report.skipped ? `, ${report.skipped} skipped` : '';
+    process.stdout.write(`\n${report.passed} passed, ${report.failed} failed${skipped} (${baseUrl})\n`);
+  }
+  return report.failed > 0 ? 1 : 0;
+}
+
+// ── config ───────────────────────────────────
+// What `serve` would run with, and where each value came from
+async function configCommand(options, root) {
+  const argv = Object.entries(options)
+    .filter(([key]) => key !== 'json')
+    .map(([key, value]) => (value === true ? `--${key}` : `--${key}=${value}`));
+  const { config, sources, file } = loadConfig({ appDir: root, argv });
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(config, null, 2)}\n`);
+    return 0;
+  }
+  const out = text => process.stdout.write(`${text}\n`);
+  out(`Config file: ${file ? displayPath(file) : 'none'}`);
+  for (const { key } of SETTINGS) {
+    const value = key.split('.').reduce((obj, part) => obj[part], config);
+    out(`  ${key.padEnd(26)} ${JSON.stringify(value).padEnd(32)} ${sources[key]}`.trimEnd());
+  }
+  return 0;
+}
+
+const COMMANDS = {
+  fetch: fetchCommand,
+  validate: validateCommand,
+  export: exportCommand,
+  stats: statsCommand,
+  healthcheck: healthcheckCommand,
+  config: configCommand,
+};
+
+/**
+ * Split argv into a command and its arguments. A first argument that is not
+ * a command name (or is an option, as in "node serve.js --mock-tap") means
+ * `serve`. Returns { name, args } with name 'serve', 'help' or a COMMANDS key.
+ */
+function parseCommand(argv) {
+  const first = argv[0];
+  if (!first || first.startsWith('--')) {
+    return { name: argv.includes('--help') ? 'help' : 'serve', args: argv };
+  }
+  if (first === 'serve' || first === 'help' || COMMANDS[first]) return { name: first, args: argv.slice(1) };
+  return { name: 'unknown', args: argv };
+}
+
+// Runs a non-serve command; resolves to the process exit code
+async function runCommand({ name, args }, root) {
+  if (name === 'help') {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (name === 'unknown') {
+    log(`Unknown command "${args[0]}"`);
+    log(USAGE);
+    return 2;
+  }
+
+  // The app modules report progress with console.log; keep stdout for data
+  console.log = console.info = (...parts) => log(parts.join(' '));
+  try {
+    const { options, positional } = parseArgs(args);
+    if (positional.length > 0) throw new UsageError(`Unexpected argument "${positional[0]}"`);
+    if (options.help) {
+      process.stdout.write(USAGE);
+      return 0;
+    }
+    return await COMMANDS[name](options, root);
+  } catch (err) {
+    log(`✗ ${err.message}`);
+    return err instanceof UsageError ? 2 : 1;
+  }
+}
+
+module.exports = { parseCommand, runCommand, USAGE };
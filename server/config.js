@@ -0,0 +1,319 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — Server Configuration
+// Settings come from built-in defaults, then a JSON file
+// (serve.config.json, or --config / SERVE_CONFIG), then
+// environment variables, then command-line flags. The
+// merged result is checked once, at startup.
+// ═══════════════════════════════════════════════
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { DEFAULT_TABLES } = require('./tap-proxy');
+
+const DEFAULT_CONFIG_FILE = 'serve.config.json';
+
+// The catalog sources in js/sources.js (an ES module, so listed here)
+const SOURCE_IDS = ['nasa', 'exoplanet-eu', 'oec'];
+
+// setInterval/setTimeout take at most 2^31-1 ms; longer delays fire at once
+const MAX_TIMER_SECONDS = Math.floor((2 ** 31 - 1) / 1000);
+const YEAR = 365 * 24 * 60 * 60;
+
+// Every setting: its place in the JSON file, the environment variable and
+// flag that override it, its type and default. `type` picks a parser below;
+// numbers are checked against `min` and `max`, enums against `values`.
+const SETTINGS = [
+  { key: 'server.host',               env: 'HOST',                 type: 'host',    default: '127.0.0.1' },
+  { key: 'server.port',               env: 'PORT',                 type: 'port',    default: 3000 },
+  { key: 'server.root',               env: 'SERVE_ROOT',           type: 'dir',     default: '.' },
+  { key: 'server.production',         env: 'NODE_ENV',             type: 'nodeEnv', default: false, flag: '--production' },
+  { key: 'cors.allowedOrigins',       env: 'ALLOWED_ORIGINS',      type: 'origins', default: ['*'] },
+  { key: 'log.format',                env: 'LOG_FORMAT',           type: 'enum',    default: 'pretty', values: ['pretty', 'json'] },
+  { key: 'log.requests',              env: 'LOG_REQUESTS',         type: 'boolean', default: false, flag: '--log-requests' },
+  { key: 'routes.mockTap',            env: 'MOCK_TAP',             type: 'boolean', default: false, flag: '--mock-tap' },
+  { key: 'routes.tapProxy',           env: 'TAP_PROXY',            type: 'boolean', default: true,  flag: '--no-tap-proxy' },
+  { key: 'routes.catalogApi',         env: 'CATALOG_API',          type: 'boolean', default: true,  flag: '--no-catalog-api' },
+  { key: 'routes.liveEvents',         env: 'LIVE_EVENTS',          type: 'boolean', default: true,  flag: '--no-live-events' },
+  { key: 'routes.deepLinks',          env: 'DEEP_LINKS',           type: 'boolean', default: true,  flag: '--no-deep-links' },
+  { key: 'mockTap.fixturesDir',       env: 'MOCK_TAP_FIXTURES',    type: 'path',    default: 'fixtures/tap' },
+  { key: 'mockTap.delay',             env: 'MOCK_TAP_DELAY',       type: 'string',  default: '' },
+  { key: 'mockTap.fail',              env: 'MOCK_TAP_FAIL',        type: 'string',  default: '' },
+  { key: 'tapProxy.upstream',         env: 'TAP_PROXY_UPSTREAM',   type: 'url',     default: null },
+  { key: 'tapProxy.cacheDir',         env: 'TAP_CACHE_DIR',        type: 'path',    default: '.cache/tap' },
+  { key: 'tapProxy.ttl',              env: 'TAP_CACHE_TTL',        type: 'seconds', default: 24 * 60 * 60, min: 1, max: YEAR },
+  { key: 'tapProxy.stale',            env: 'TAP_CACHE_STALE',      type: 'seconds', default: 7 * 24 * 60 * 60, min: 0, max: YEAR },
+  { key: 'tapProxy.maxCacheMB',       env: 'TAP_CACHE_MAX_MB',     type: 'megabytes', default: 1024, min: 1, max: 1024 * 1024 },
+  { key: 'tapProxy.tables',           env: 'TAP_PROXY_TABLES',     type: 'tables',  default: DEFAULT_TABLES },
+  { key: 'catalog.source',            env: 'CATALOG_SOURCE',       type: 'enum',    default: null, values: SOURCE_IDS },
+  { key: 'catalog.reload',            env: 'CATALOG_RELOAD',       type: 'seconds', default: 24 * 60 * 60, min: 60, max: MAX_TIMER_SECONDS },
+  { key: 'catalog.maxAge',            env: 'CATALOG_MAX_AGE',      type: 'seconds', default: 48 * 60 * 60, min: 1, max: YEAR },
+  { key: 'liveEvents.healthInterval', env: 'LIVE_HEALTH_INTERVAL', type: 'seconds', default: 30, min: 1, max: MAX_TIMER_SECONDS },
+  { key: 'validation.rules',          env: 'VALIDATION_RULES',     type: 'rules',   default: [] },
+  { key: 'mimeTypes',                                              type: 'mime',    default: {} },
+];
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(p => `    ${p}`).join('\n')}`);
+    this.problems = problems;
+  }
+}
+
+// ── Parsers ──────────────────────────────────
+// Each takes a value from the file (any JSON type) or the environment
+// (a string) and returns the setting, or throws with what was expected.
+// `base` is the directory relative paths resolve against.
+const BOOLEAN_WORDS = { 1: true, true: true, yes: true, on: true, 0: false, false: false, no: false, off: false };
+
+// What js/validation-rules.js compiles; the rest of a rule is checked there
+const RULE_SEVERITIES = ['error', 'warning', 'info'];
+const RULE_TYPES = ['range', 'required', 'consistency'];
+
+// Whole numbers within the setting's min and max
+function wholeNumber(value, { min, max }, unit) {
+  const number = typeof value !== 'boolean' && /^\d+$/.test(String(value)) ? parseInt(String(value), 10) : NaN;
+  if (!(number >= min && number <= max)) throw new Error(`must be a whole number of ${unit} (${min}-${max})`);
+  return number;
+}
+
+const PARSERS = {
+  string(value) {
+    if (typeof value !== 'string') throw new Error('must be a string');
+    return value;
+  },
+  boolean(value) {
+    if (typeof value === 'boolean') return value;
+    const word = typeof value === 'string' ? BOOLEAN_WORDS[value.trim().toLowerCase()] : undefined;
+    if (word === undefined) throw new Error('must be true or false (1/0, yes/no, on/off)');
+    return word;
+  },
+  nodeEnv(value) {
+    if (typeof value === 'boolean') return value;
+    // NODE_ENV: "production" or anything else
+    if (typeof value === 'string') return value === 'production';
+    throw new Error('must be true or false');
+  },
+  seconds(value, setting) {
+    return wholeNumber(value, setting, 'seconds');
+  },
+  megabytes(value, setting) {
+    return wholeNumber(value, setting, 'megabytes');
+  },
+  port(value) {
+    const port = /^\d+$/.test(String(value)) ? parseInt(String(value), 10) : NaN;
+    if (typeof value === 'boolean' || !(port >= 1 && port <= 65535)) throw new Error('must be a port number (1-65535)');
+    return port;
+  },
+  host(value) {
+    if (typeof value !== 'string' || !(net.isIP(value) || /^[a-z0-9]([a-z0-9.-]*[a-z0-9])?$/i.test(value))) {
+      throw new Error('must be an IP address or host name');
+    }
+    return value;
+  },
+  url(value) {
+    let url;
+    try {
+      url = new URL(String(value));
+    } catch (e) {
+      throw new Error('must be an absolute http(s) URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('must be an absolute http(s) URL');
+    return String(value).replace(/\/+$/, '');
+  },
+  path(value, setting, base) {
+    if (typeof value !== 'string' || value === '') throw new Error('must be a path');
+    return path.resolve(base, value);
+  },
+  dir(value, setting, base) {
+    const dir = PARSERS.path(value, setting, base);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) throw new Error(`must be a directory (${dir} is not)`);
+    return dir;
+  },
+  enum(value, setting) {
+    if (!setting.values.includes(value)) throw new Error(`must be one of: ${setting.values.join(', ')}`);
+    return value;
+  },
+  // ["*"] or exact origins; the environment gives them comma-separated
+  origins(value) {
+    const list = typeof value === 'string' ? value.split(',').map(o => o.trim()).filter(Boolean) : value;
+    if (!Array.isArray(list)) throw new Error('must be a list of origins or "*"');
+    for (const origin of list) {
+      if (origin === '*') continue;
+      let parsed = null;
+      try { parsed = new URL(origin); } catch (e) { /* reported below */ }
+      if (!parsed || parsed.origin !== origin) {
+        throw new Error(`has "${origin}", which is not an origin (scheme://host[:port], no trailing slash)`);
+      }
+    }
+    return list;
+  },
+  // TAP table names; the environment gives them comma-separated
+  tables(value) {
+    const list = typeof value === 'string' ? value.split(',').map(t => t.trim()).filter(Boolean) : value;
+    if (!Array.isArray(list) || list.length === 0) throw new Error('must be a list of table names');
+    for (const table of list) {
+      if (typeof table !== 'string' || !/^[\w.]+$/.test(table)) throw new Error(`has "${table}", which is not a table name`);
+    }
+    return list;
+  },
+  // Extra or replacement MIME types: { ".wasm": "application/wasm" }
+  mime(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error('must map extensions to types');
+    for (const [ext, type] of Object.entries(value)) {
+      if (!/^\.[a-z0-9]+$/i.test(ext)) throw new Error(`has "${ext}", which is not an extension like ".wasm"`);
+      if (typeof type !== 'string' || !/^[\w.+-]+\/[\w.+-]+/.test(type)) throw new Error(`has "${type}" for ${ext}, which is not a MIME type`);
+    }
+    return Object.fromEntries(Object.entries(value).map(([ext, type]) => [ext.toLowerCase(), type]));
+  },
+  // Validation rule overrides merged by id (js/validation-rules.js):
+  // [{ "id": "eqtemp-range", "severity": "error" }]; the environment gives JSON
+  rules(value) {
+    let list = value;
+    if (typeof value === 'string') {
+      try { list = JSON.parse(value); } catch (e) { throw new Error('must be a JSON list of rule overrides'); }
+    }
+    if (!Array.isArray(list)) throw new Error('must be a list of rule overrides');
+    for (const rule of list) {
+      if (!rule || typeof rule !== 'object' || typeof rule.id !== 'string' || !rule.id) {
+        throw new Error('has an entry without an "id"');
+      }
+      if (rule.severity !== undefined && !RULE_SEVERITIES.includes(rule.severity)) {
+        throw new Error(`has severity "${rule.severity}" for ${rule.id} (expected ${RULE_SEVERITIES.join(', ')})`);
+      }
+      if (rule.type !== undefined && !RULE_TYPES.includes(rule.type)) {
+        throw new Error(`has type "${rule.type}" for ${rule.id} (expected ${RULE_TYPES.join(', ')})`);
+      }
+      if (rule.disabled !== undefined && typeof rule.disabled !== 'boolean') {
+        throw new Error(`has a non-boolean "disabled" for ${rule.id}`);
+      }
+    }
+    return list;
+  },
+};
+
+// ── File ─────────────────────────────────────
+// Flattens { tapProxy: { ttl: 60 } } to { "tapProxy.ttl": 60 }, stopping at
+// the keys SETTINGS knows (mimeTypes is an object value of its own)
+function flatten(object, known, prefix = '', out = {}) {
+  for (const [name, value] of Object.entries(object)) {
+    const key = prefix + name;
+    if (!known.has(key) && value && typeof value === 'object' && !Array.isArray(value)) flatten(value, known, `${key}.`, out);
+    else out[key] = value;
+  }
+  return out;
+}
+
+function readConfigFile(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new ConfigError([`${file}: ${err.code === 'ENOENT' ? 'file not found' : err.message}`]);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigError([`${file}: must hold a JSON object`]);
+  }
+  return data;
+}
+
+// ── Flags ────────────────────────────────────
+// "--config <file>" / "--config=<file>" and the on/off flags of SETTINGS
+function parseFlags(argv) {
+  const flags = { config: null, values: {}, problems: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--config' || arg.startsWith('--config=')) {
+      flags.config = arg.includes('=') ? arg.slice('--config='.length) : argv[++i];
+      if (!flags.config) flags.problems.push('--config needs a file name');
+      continue;
+    }
+    const setting = SETTINGS.find(s => s.flag === arg);
+    if (setting) flags.values[setting.key] = !arg.startsWith('--no-');
+    else flags.problems.push(`unknown option ${arg}`);
+  }
+  return flags;
+}
+
+/**
+ * Load and check the server configuration.
+ * @param {object} options
+ * @param {string} options.appDir - serve.js's directory: the default config
+ *   file and the base of relative paths from flags and the environment
+ * @param {string[]} [options.argv] - command-line arguments after the command
+ * @param {object} [options.env] - environment variables
+ * @returns {{ config: object, sources: object, file: string|null }} sources
+ *   maps each setting to where its value came from
+ * @throws {ConfigError} listing every problem found
+ */
+function loadConfig({ appDir, argv = [], env = process.env }) {
+  const flags = parseFlags(argv);
+  const problems = [...flags.problems];
+
+  // An explicitly named file has to exist; the default one is optional
+  const named = flags.config || env.SERVE_CONFIG || null;
+  let file = named ? path.resolve(named) : path.join(appDir, DEFAULT_CONFIG_FILE);
+  let fileValues = {};
+  if (named || fs.existsSync(file)) {
+    try {
+      fileValues = flatten(readConfigFile(file), new Set(SETTINGS.map(s => s.key)));
+    } catch (err) {
+      if (!(err instanceof ConfigError)) throw err;
+      problems.push(...err.problems);
+    }
+  } else {
+    file = null;
+  }
+  const relative = file && path.relative(process.cwd(), file);
+  const fileName = relative && relative.startsWith('..') ? file : relative;
+
+  for (const key of Object.keys(fileValues)) {
+    if (!SETTINGS.some(s => s.key === key)) problems.push(`${fileName}: unknown setting "${key}"`);
+  }
+
+  const config = {};
+  const sources = {};
+  for (const setting of SETTINGS) {
+    // Later layers win: default < file < environment < flag
+    let value = setting.default;
+    let source = 'default';
+    let base = appDir;
+    if (setting.key in fileValues) {
+      [value, source, base] = [fileValues[setting.key], fileName, path.dirname(file)];
+    }
+    if (setting.env && env[setting.env] != null && env[setting.env] !== '') {
+      [value, source, base] = [env[setting.env], setting.env, appDir];
+    }
+    if (setting.key in flags.values) {
+      [value, source, base] = [flags.values[setting.key], setting.flag, appDir];
+    }
+
+    // Defaults are already parsed, except paths, which resolve against appDir
+    if ((value != null && source !== 'default') || setting.type === 'path' || setting.type === 'dir') {
+      try {
+        value = PARSERS[setting.type](value, setting, base);
+      } catch (err) {
+        const shown = typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+        problems.push(`${source === fileName ? `${fileName}: ${setting.key}` : source} ${err.message}, got ${shown}`);
+      }
+    }
+
+    const parts = setting.key.split('.');
+    let target = config;
+    for (const part of parts.slice(0, -1)) target = target[part] = target[part] || {};
+    target[parts[parts.length - 1]] = value;
+    sources[setting.key] = source;
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+  return { config, sources, file };
+}
+
+// Where the server reaches itself (the mock TAP upstream, the catalog API's
+// proxy URL): wildcard bind addresses are not connectable everywhere
+function localOrigin({ host, port }) {
+  const reachable = host === '0.0.0.0' ? '127.0.0.1' : host === '::' ? '::1' : host;
+  return `http://${net.isIPv6(reachable) ? `[${reachable}]` : reachable}:${port}`;
+}
+
+module.exports = { loadConfig, localOrigin, ConfigError, SETTINGS, DEFAULT_CONFIG_FILE };
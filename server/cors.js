@@ -0,0 +1,50 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — CORS
+// Cross-origin access for every route, from the
+// cors.allowedOrigins setting: ["*"] (the default) lets
+// any page read the API; a list admits only those origins.
+// ═══════════════════════════════════════════════
+
+const ALLOWED_METHODS = 'GET, HEAD, OPTIONS';
+
+/**
+ * Create the CORS handler. Run it before the other services: it sets the
+ * Access-Control headers their responses go out with, and answers preflights.
+ * @param {object} options
+ * @param {string[]} options.allowedOrigins - exact origins, or ["*"]
+ * @returns {{ handle(req, res): boolean }}
+ */
+function createCors({ allowedOrigins }) {
+  const anyOrigin = allowedOrigins.includes('*');
+  const origins = new Set(allowedOrigins);
+
+  // Returns true only for a preflight, which it answers
+  function handle(req, res) {
+    const origin = req.headers['origin'];
+    if (anyOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    } else {
+      // The answer depends on Origin, so caches must key on it
+      res.setHeader('Vary', 'Origin');
+      if (origin && origins.has(origin)) res.setHeader('Access-Control-Allow-Origin', origin);
+    }
+
+    if (req.method !== 'OPTIONS' || !req.headers['access-control-request-method']) return false;
+    if (!anyOrigin && !origins.has(origin)) {
+      res.writeHead(403, { 'Content-Type': 'text/plain' });
+      res.end('Origin not allowed');
+      return true;
+    }
+    res.writeHead(204, {
+      'Access-Control-Allow-Methods': ALLOWED_METHODS,
+      'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || '',
+      'Access-Control-Max-Age': '86400',
+    });
+    res.end();
+    return true;
+  }
+
+  return { handle };
+}
+
+module.exports = { createCors };
@@ -0,0 +1,210 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — Health & Readiness
+// /health reports catalog freshness, caches, record
+// counts, the last validation summary, upstream TAP
+// reachability and the app version; /ready answers 200
+// only once the server can serve a loaded catalog.
+// ═══════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+
+const HealthStatus = {
+  OK: 'ok',
+  DEGRADED: 'degraded', // serving, with a problem worth a look
+  ERROR: 'error',       // the catalog never loaded
+};
+
+// One row, so the probe is cheap on the archive and the mock service alike
+const PROBE_QUERY = "SELECT pl_name FROM pscomppars WHERE pl_name = 'TRAPPIST-1 e'";
+
+// The version shown in the page header (index.html), so both agree
+function readAppVersion(root) {
+  try {
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    return html.match(/class="version">v([\d.]+)/)?.[1] || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+const hours = ms => `${Math.round(ms / 36e5)} h`;
+
+// ── Service ──────────────────────────────────
+/**
+ * Create the health endpoints.
+ * @param {object} options
+ * @param {string} options.root - repository root (index.html)
+ * @param {string} options.upstream - TAP service the catalog ultimately comes from
+ * @param {object} options.services - { catalogApi, tapProxy, liveEvents, staticFiles };
+ *   read on every request, so services created later can be filled in
+ * @param {number} [options.maxAgeMs] - catalog age past which health is degraded
+ * @param {number} [options.probeIntervalMs] - how long an upstream probe result is reused
+ * @param {number} [options.probeTimeoutMs] - upstream probe timeout
+ * @returns {{ handle(req, res): boolean, report(): Promise<object>, summary(): object }}
+ */
+function createHealth({
+  root,
+  upstream,
+  services,
+  maxAgeMs = 48 * 60 * 60 * 1000,
+  probeIntervalMs = 60 * 1000,
+  probeTimeoutMs = 5000,
+}) {
+  const version = readAppVersion(root);
+  const base = upstream.replace(/\/+$/, '').replace(/\/sync$/, '');
+  let probe = { reachable: null, status: null, error: null, latencyMs: null, checkedAt: null };
+  let probing = null;
+
+  // Reuses a recent result, so polling /health does not hammer the archive
+  function probeUpstream() {
+    if (probing) return probing;
+    if (probe.checkedAt && Date.now() - probe.checkedAt < probeIntervalMs) return Promise.resolve(probe);
+    const url = new URL(`${base}/sync`);
+    url.searchParams.set('query', PROBE_QUERY);
+    url.searchParams.set('format', 'json');
+    const started = Date.now();
+    probing = fetch(url, { signal: AbortSignal.timeout(probeTimeoutMs) })
+      .then(res => ({ reachable: res.ok, status: res.status, error: res.ok ? null : `HTTP ${res.status}` }))
+      .catch(err => ({
+        reachable: false,
+        status: null,
+        error: err.name === 'TimeoutError' ? `timed out after ${probeTimeoutMs / 1000} s` : err.message,
+      }))
+      .then(result => {
+        probe = { ...result, latencyMs: Date.now() - started, checkedAt: Date.now() };
+        return probe;
+      })
+      .finally(() => { probing = null; });
+    return probing;
+  }
+
+  function catalogAgeMs(summary) {
+    const fetchedAt = summary && Date.parse(summary.fetchedAt);
+    return Number.isFinite(fetchedAt) ? Date.now() - fetchedAt : null;
+  }
+
+  // { status, problems } from what is known now (the last upstream probe)
+  function assess() {
+    const { catalogApi } = services;
+    const problems = [];
+    let status = HealthStatus.OK;
+    const degrade = (problem) => {
+      problems.push(problem);
+      if (status === HealthStatus.OK) status = HealthStatus.DEGRADED;
+    };
+
+    if (catalogApi) {
+      const catalog = catalogApi.describe();
+      if (catalog.status === 'error') {
+        status = HealthStatus.ERROR;
+        problems.push(`catalog failed to load: ${catalog.error}`);
+      } else if (catalog.status !== 'ready') {
+        degrade('catalog is loading');
+      } else {
+        if (catalog.error) degrade(`last catalog reload failed: ${catalog.error}`);
+        const age = catalogAgeMs(catalogApi.summary());
+        if (age != null && age > maxAgeMs) degrade(`catalog is ${hours(age)} old (limit ${hours(maxAgeMs)})`);
+      }
+    }
+    if (probe.reachable === false) degrade(`upstream TAP unreachable: ${probe.error}`);
+    return { status, problems };
+  }
+
+  // Compact form for the live-events server-health event
+  function summary() {
+    const { catalogApi, tapProxy, liveEvents } = services;
+    const proxy = tapProxy ? tapProxy.describe() : null;
+    return {
+      status: assess().status,
+      timestamp: new Date().toISOString(),
+      uptime: Math.round(process.uptime()),
+      catalog: catalogApi ? catalogApi.describe() : null,
+      tapProxy: proxy && { upstream: proxy.upstream, entries: proxy.entries, upstreamErrors: proxy.stats.upstreamErrors },
+      clients: liveEvents ? liveEvents.describe().clients : 0,
+    };
+  }
+
+  async function report() {
+    const { catalogApi, tapProxy, liveEvents, staticFiles } = services;
+    await probeUpstream();
+    const { status, problems } = assess();
+
+    let catalog = null;
+    if (catalogApi) {
+      const facts = catalogApi.summary();
+      const age = catalogAgeMs(facts);
+      catalog = {
+        ...catalogApi.describe(),
+        ...(facts || {}),
+        ageSeconds: age == null ? null : Math.round(age / 1000),
+        maxAgeSeconds: Math.round(maxAgeMs / 1000),
+        fresh: age != null && age <= maxAgeMs,
+      };
+    }
+
+    return {
+      status,
+      problems,
+      version,
+      node: process.version,
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      catalog,
+      cache: {
+        tapProxy: tapProxy ? tapProxy.describe() : null,
+        staticFiles: staticFiles ? staticFiles.describe() : null,
+      },
+      upstream: {
+        url: base,
+        viaProxy: Boolean(tapProxy),
+        ...probe,
+        checkedAt: probe.checkedAt ? new Date(probe.checkedAt).toISOString() : null,
+      },
+      liveEvents: liveEvents ? liveEvents.describe() : null,
+    };
+  }
+
+  // Ready once index.html is there and, with the API on, the catalog loaded
+  function readiness() {
+    const { catalogApi } = services;
+    const reasons = [];
+    if (!fs.existsSync(path.join(root, 'index.html'))) reasons.push('index.html is missing');
+    if (catalogApi) {
+      const catalog = catalogApi.describe();
+      if (catalog.status === 'error') reasons.push(`catalog failed to load: ${catalog.error}`);
+      else if (catalog.status !== 'ready') reasons.push('catalog is loading');
+    }
+    return { ready: reasons.length === 0, reasons, timestamp: new Date().toISOString() };
+  }
+
+  function sendJSON(res, status, body, headers = {}) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store',
+      ...headers,
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  // Returns true for /health and /ready
+  function handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname === '/health') {
+      report()
+        .then(body => sendJSON(res, body.status === HealthStatus.ERROR ? 503 : 200, body))
+        .catch(err => sendJSON(res, 500, { status: HealthStatus.ERROR, problems: [err.message] }));
+      return true;
+    }
+    if (pathname === '/ready') {
+      const body = readiness();
+      sendJSON(res, body.ready ? 200 : 503, body, body.ready ? {} : { 'Retry-After': '10' });
+      return true;
+    }
+    return false;
+  }
+
+  return { handle, report, summary };
+}
+
+module.exports = { createHealth, HealthStatus };
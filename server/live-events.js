@@ -0,0 +1,124 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — Live Events
+// Server-sent events at /api/events: catalog-update and
+// changelog when the server's catalog changes, and a
+// periodic server-health event that doubles as keep-alive.
+// Every open tab subscribes (see js/live-updates.js).
+// ═══════════════════════════════════════════════
+
+const ROUTE = '/api/events';
+
+const EventType = {
+  CATALOG_UPDATE: 'catalog-update',
+  CHANGELOG: 'changelog',
+  SERVER_HEALTH: 'server-health',
+};
+
+// Browsers reconnect after this long when the stream drops
+const RETRY_MS = 5000;
+
+// ── Service ──────────────────────────────────
+/**
+ * Create the event stream.
+ * @param {object} options
+ * @param {function(): object} options.health - payload of server-health events
+ * @param {number} [options.healthMs] - server-health interval
+ * @param {number} [options.historySize] - catalog events kept for clients that
+ *   reconnect with Last-Event-ID (server-health is not replayed)
+ * @returns {{ handle(req, res): boolean, broadcast(type, data): void, describe(): object, close(): void }}
+ */
+function createLiveEvents({ health, healthMs = 30000, historySize = 50 }) {
+  const clients = new Set();
+  const history = [];
+  let lastId = 0;
+  let sent = 0;
+
+  function format(id, type, data) {
+    return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  function write(res, message) {
+    try {
+      res.write(message);
+      sent++;
+    } catch (e) {
+      clients.delete(res);
+    }
+  }
+
+  function broadcast(type, data) {
+    const id = ++lastId;
+    const message = format(id, type, data);
+    if (type !== EventType.SERVER_HEALTH) {
+      history.push({ id, message });
+      if (history.length > historySize) history.shift();
+    }
+    for (const res of clients) write(res, message);
+  }
+
+  const timer = setInterval(() => {
+    if (clients.size > 0) broadcast(EventType.SERVER_HEALTH, health());
+  }, healthMs);
+  timer.unref();
+
+  function describe() {
+    return {
+      clients: clients.size,
+      lastEventId: lastId,
+      eventsSent: sent,
+      healthSeconds: Math.round(healthMs / 1000),
+    };
+  }
+
+  function close() {
+    clearInterval(timer);
+    for (const res of clients) res.end();
+    clients.clear();
+  }
+
+  function subscribe(req, res, url) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+
+    // Catch up a reconnecting client on what it missed
+    const since = Number(req.headers['last-event-id'] || url.searchParams.get('lastEventId'));
+    if (Number.isInteger(since) && since > 0) {
+      history.filter(e => e.id > since).forEach(e => write(res, e.message));
+    }
+    write(res, format(++lastId, EventType.SERVER_HEALTH, health()));
+  }
+
+  // Returns true when the request was for the event stream
+  function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === ROUTE) {
+      if (req.method !== 'GET') {
+        res.writeHead(405, { 'Allow': 'GET', 'Content-Type': 'text/plain' });
+        res.end('Method Not Allowed');
+        return true;
+      }
+      subscribe(req, res, url);
+      return true;
+    }
+    if (url.pathname === `${ROUTE}/status`) {
+      res.writeHead(200, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-cache',
+      });
+      res.end(JSON.stringify(describe()));
+      return true;
+    }
+    return false;
+  }
+
+  return { handle, broadcast, describe, close };
+}
+
+module.exports = { createLiveEvents, EventType, ROUTE };
@@ -0,0 +1,61 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — Server Logging
+// The services log "  [tap-proxy] message" lines through
+// console; LOG_FORMAT=json turns each into one JSON object
+// per line for log collectors. Optional request log.
+// ═══════════════════════════════════════════════
+
+const util = require('util');
+
+const LogFormat = {
+  PRETTY: 'pretty',
+  JSON: 'json',
+};
+
+// { component, message } from "  [catalog-api] 13 planets..." or "  ❌ Port..."
+function splitLine(text) {
+  const trimmed = text.trim().replace(/^[❌✓✗]\s*/, '');
+  const match = trimmed.match(/^\[([\w-]+)\]\s*([\s\S]*)$/);
+  return match ? { component: match[1], message: match[2] } : { component: 'server', message: trimmed };
+}
+
+function writeJSON(stream, entry) {
+  stream.write(`${JSON.stringify({ time: new Date().toISOString(), ...entry })}\n`);
+}
+
+/** Route console output through `format`; pretty leaves it as it is */
+function useLogFormat(format) {
+  if (format !== LogFormat.JSON) return;
+  const writer = (level, stream) => (...parts) => {
+    const { component, message } = splitLine(util.format(...parts));
+    if (message) writeJSON(stream, { level, component, message });
+  };
+  console.log = console.info = writer('info', process.stdout);
+  console.warn = writer('warn', process.stderr);
+  console.error = writer('error', process.stderr);
+}
+
+/**
+ * Returns a function that logs a request once its response is finished:
+ * "  GET /api/planets 200 12 ms 3.1 kB", or a JSON object in json format.
+ */
+function createRequestLog(format) {
+  return (req, res) => {
+    const started = process.hrtime.bigint();
+    res.on('close', () => {
+      const ms = Math.round(Number(process.hrtime.bigint() - started) / 1e6);
+      const bytes = Number(res.getHeader('Content-Length')) || null;
+      if (format === LogFormat.JSON) {
+        writeJSON(process.stdout, {
+          level: 'info', component: 'request', method: req.method, url: req.url,
+          status: res.statusCode, ms, bytes, aborted: !res.writableFinished,
+        });
+        return;
+      }
+      const size = bytes == null ? '' : ` ${(bytes / 1024).toFixed(1)} kB`;
+      console.log(`  ${req.method} ${req.url} ${res.writableFinished ? res.statusCode : 'aborted'} ${ms} ms${size}`);
+    });
+  };
+}
+
+module.exports = { LogFormat, useLogFormat, createRequestLog };
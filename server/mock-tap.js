@@ -0,0 +1,281 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — Mock TAP Service
+// Stand-in for the NASA Exoplanet Archive /TAP/sync endpoint.
+// Answers the ADQL subset js/nasa-data.js sends from recorded
+// fixture files, with switches to inject delays and failures.
+// ═══════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+
+// Failure modes accepted by MOCK_TAP_FAIL / POST /TAP/mock, besides any
+// HTTP status code (e.g. 500, 503, 429)
+const FAILURE_MODES = {
+  timeout:   'never answer; the client has to give up',
+  malformed: 'HTTP 200 with a truncated JSON body',
+  partial:   'send part of the body, then drop the connection',
+  empty:     'HTTP 200 with an empty result set',
+};
+
+// ── Switch parsing ───────────────────────────
+// "500" applies to every table, "toi:500,cumulative:timeout" per table.
+function parseSwitch(spec) {
+  const rules = {};
+  if (spec == null || spec === '') return rules;
+  for (const part of String(spec).split(',')) {
+    const trimmed = part.trim();
+    if (!trimmed) continue;
+    const idx = trimmed.indexOf(':');
+    if (idx === -1) rules['*'] = trimmed;
+    else rules[trimmed.slice(0, idx).trim()] = trimmed.slice(idx + 1).trim();
+  }
+  return rules;
+}
+
+function validateFailures(rules) {
+  for (const [table, mode] of Object.entries(rules)) {
+    if (!FAILURE_MODES[mode] && !/^[45]\d\d$/.test(mode)) {
+      throw new Error(`Unknown failure mode "${mode}" for ${table}. Use an HTTP status or one of: ${Object.keys(FAILURE_MODES).join(', ')}`);
+    }
+  }
+  return rules;
+}
+
+function validateDelays(rules) {
+  for (const [table, ms] of Object.entries(rules)) {
+    if (!/^\d+$/.test(ms)) throw new Error(`Delay for ${table} must be milliseconds, got "${ms}"`);
+  }
+  return rules;
+}
+
+function ruleFor(rules, table) {
+  return rules[table] != null ? rules[table] : rules['*'];
+}
+
+// ── ADQL subset ──────────────────────────────
+// SELECT <cols|*> FROM <table> [WHERE <col> <op> <literal> [AND ...]]
+// [ORDER BY <col> [ASC|DESC]] — everything the data pipeline emits.
+const QUERY_RE = /^\s*SELECT\s+(.+?)\s+FROM\s+(\w+)(?:\s+WHERE\s+(.+?))?(?:\s+ORDER\s+BY\s+(\w+)(?:\s+(ASC|DESC))?)?\s*;?\s*$/is;
+const CONDITION_RE = /^(\w+)\s*(>=|<=|<>|!=|=|>|<)\s*('(?:[^']|'')*'|-?\d+(?:\.\d+)?)$/;
+
+function parseQuery(adql) {
+  const m = adql.match(QUERY_RE);
+  if (!m) throw new Error('Unsupported ADQL: expected SELECT ... FROM ... [WHERE ...] [ORDER BY ...]');
+  const [, select, table, where, orderBy, direction] = m;
+
+  const columns = select.trim() === '*' ? null : select.split(',').map(c => c.trim());
+  const conditions = where
+    ? where.split(/\s+AND\s+/i).map(clause => {
+        const c = clause.trim().match(CONDITION_RE);
+        if (!c) throw new Error(`Unsupported WHERE clause: ${clause.trim()}`);
+        const literal = c[3].startsWith("'") ? c[3].slice(1, -1).replace(/''/g, "'") : Number(c[3]);
+        return { column: c[1], op: c[2], value: literal };
+      })
+    : [];
+
+  return {
+    table,
+    columns,
+    conditions,
+    orderBy: orderBy || null,
+    descending: /desc/i.test(direction || ''),
+  };
+}
+
+function compare(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function matches(row, { column, op, value }) {
+  const v = row[column];
+  if (v == null) return false;
+  const c = compare(v, value);
+  switch (op) {
+    case '=':  return c === 0;
+    case '!=':
+    case '<>': return c !== 0;
+    case '>':  return c > 0;
+    case '>=': return c >= 0;
+    case '<':  return c < 0;
+    case '<=': return c <= 0;
+  }
+  return false;
+}
+
+function runQuery(query, rows) {
+  let result = rows.filter(row => query.conditions.every(cond => matches(row, cond)));
+  if (query.orderBy) {
+    const sign = query.descending ? -1 : 1;
+    result = [...result].sort((a, b) => sign * compare(a[query.orderBy], b[query.orderBy]));
+  }
+  if (query.columns) {
+    // Like the archive, unknown-but-requested columns come back as null
+    result = result.map(row => Object.fromEntries(query.columns.map(c => [c, row[c] != null ? row[c] : null])));
+  }
+  return result;
+}
+
+// ── Service ──────────────────────────────────
+/**
+ * Create the mock TAP request handler.
+ * @param {object} options
+ * @param {string} options.fixturesDir - directory holding <table>.json row arrays
+ * @param {string} [options.delay] - delay switch, e.g. "2000" or "toi:5000"
+ * @param {string} [options.fail] - failure switch, e.g. "503" or "cumulative:timeout"
+ * @returns {{ handle(req, res): boolean, describe(): object }}
+ */
+function createMockTAP({ fixturesDir, delay = '', fail = '' }) {
+  const state = {
+    delay: validateDelays(parseSwitch(delay)),
+    fail: validateFailures(parseSwitch(fail)),
+    requests: 0,
+  };
+
+  // Fixtures are read per request so they can be edited while the server runs
+  function loadTable(table) {
+    const file = path.join(fixturesDir, `${table}.json`);
+    if (!file.startsWith(fixturesDir + path.sep)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw new Error(`Fixture ${table}.json is not valid JSON: ${err.message}`);
+    }
+  }
+
+  function listTables() {
+    try {
+      return fs.readdirSync(fixturesDir).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function describe() {
+    return {
+      fixturesDir,
+      tables: listTables(),
+      delay: state.delay,
+      fail: state.fail,
+      failureModes: FAILURE_MODES,
+      requests: state.requests,
+    };
+  }
+
+  function sendJSON(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-cache',
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  function sendError(res, status, message) {
+    res.writeHead(status, {
+      'Content-Type': 'text/plain; charset=utf-8',
+    });
+    res.end(message);
+  }
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  // GET shows the active switches; POST {"delay": "...", "fail": "..."}
+  // replaces them (null or "" clears), for scripted tests.
+  async function handleControl(req, res) {
+    if (req.method === 'POST') {
+      try {
+        const update = JSON.parse((await readBody(req)) || '{}');
+        if ('delay' in update) state.delay = validateDelays(parseSwitch(update.delay));
+        if ('fail' in update) state.fail = validateFailures(parseSwitch(update.fail));
+      } catch (err) {
+        sendError(res, 400, err.message);
+        return;
+      }
+    }
+    sendJSON(res, 200, describe());
+  }
+
+  function respond(res, table, rows) {
+    const failure = ruleFor(state.fail, table);
+    const body = JSON.stringify(rows);
+
+    if (failure === 'timeout') return; // hold the connection open
+    if (failure === 'empty') return sendJSON(res, 200, []);
+    if (failure === 'malformed') {
+      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(body.slice(0, Math.max(1, Math.floor(body.length / 2))));
+      return;
+    }
+    if (failure === 'partial') {
+      res.writeHead(200, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body),
+      });
+      res.write(body.slice(0, Math.floor(body.length / 2)));
+      setTimeout(() => res.destroy(), 50);
+      return;
+    }
+    if (failure) return sendError(res, parseInt(failure, 10), `Mock TAP failure injected for ${table}`);
+
+    sendJSON(res, 200, rows);
+  }
+
+  async function handleSync(req, res, url) {
+    let params = url.searchParams;
+    if (req.method === 'POST') params = new URLSearchParams(await readBody(req));
+
+    const adql = params.get('query') || params.get('QUERY');
+    const format = (params.get('format') || params.get('FORMAT') || 'json').toLowerCase();
+    if (!adql) return sendError(res, 400, 'Missing query parameter');
+    if (format !== 'json') return sendError(res, 400, `Mock TAP only serves format=json (got ${format})`);
+
+    let query;
+    let rows;
+    try {
+      query = parseQuery(adql);
+      const table = loadTable(query.table);
+      if (!table) return sendError(res, 400, `No fixture for table "${query.table}" in ${fixturesDir}`);
+      rows = runQuery(query, table);
+    } catch (err) {
+      return sendError(res, 400, err.message);
+    }
+
+    state.requests++;
+    const wait = parseInt(ruleFor(state.delay, query.table) || '0', 10);
+    console.log(`  [mock-tap] ${query.table}: ${rows.length} rows`
+      + (wait ? `, ${wait} ms delay` : '')
+      + (ruleFor(state.fail, query.table) ? `, failure: ${ruleFor(state.fail, query.table)}` : ''));
+
+    if (wait > 0) setTimeout(() => respond(res, query.table, rows), wait);
+    else respond(res, query.table, rows);
+  }
+
+  // Returns true when the request was for the mock service
+  function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/TAP/sync') {
+      handleSync(req, res, url).catch(err => sendError(res, 500, err.message));
+      return true;
+    }
+    if (url.pathname === '/TAP/mock') {
+      handleControl(req, res).catch(err => sendError(res, 500, err.message));
+      return true;
+    }
+    return false;
+  }
+
+  return { handle, describe };
+}
+
+module.exports = { createMockTAP, parseQuery, FAILURE_MODES };
@@ -0,0 +1,357 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — Static Files
+// Serves the app with gzip/brotli, strong ETags (304 on
+// reload), Last-Modified and byte ranges. Dev mode keeps
+// Cache-Control: no-cache, so every reload revalidates;
+// production mode lets browsers keep versioned assets.
+// Dot-paths (.cache/, .git/) and the server config are
+// never served.
+// ═══════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const util = require('util');
+const crypto = require('crypto');
+
+const brotliCompress = util.promisify(zlib.brotliCompress);
+const gzip = util.promisify(zlib.gzip);
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.js':   'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png':  'image/png',
+  '.jpg':  'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif':  'image/gif',
+  '.svg':  'image/svg+xml',
+  '.ico':  'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2':'font/woff2',
+  '.ttf':  'font/ttf',
+  '.map':  'application/json',
+};
+
+// Text formats worth compressing; images and fonts already are
+const COMPRESSIBLE = /^(text\/|application\/(javascript|json)|image\/svg\+xml)/;
+const MIN_COMPRESS_BYTES = 1024;
+const MAX_COMPRESS_BYTES = 10 * 1024 * 1024;
+const COMPRESSED_CACHE_BYTES = 32 * 1024 * 1024;
+
+// Brotli 10-11 is many times slower than 9 for a few percent; compression
+// runs on the libuv pool, off the request loop, either way
+const BROTLI_QUALITY = { production: 9, development: 4 };
+const GZIP_LEVEL = { production: 9, development: 6 };
+
+// Server settings (and secrets in them) sit in the app directory
+const HIDDEN_NAMES = new Set(['serve.config.json', 'serve.config.example.json']);
+
+// "?v=..." or a content hash in the name (app.3f9a2c1e.js) marks a
+// versioned URL: its bytes never change, so production caches it for a year
+const VERSIONED_NAME = /\.[0-9a-f]{8,}\.[a-z0-9]+$/i;
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+
+function getMime(filePath, types = MIME_TYPES) {
+  const ext = path.extname(filePath).toLowerCase();
+  return types[ext] || 'application/octet-stream';
+}
+
+// ── Negotiation ──────────────────────────────
+// Picks br, then gzip, honoring q-values ("gzip;q=0" refuses gzip)
+function negotiateEncoding(header) {
+  if (!header) return null;
+  const accepted = new Map();
+  for (const part of header.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    accepted.set(name, q ? parseFloat(q.slice(2)) : 1);
+  }
+  const quality = name => (accepted.has(name) ? accepted.get(name) : accepted.get('*') ?? 0);
+  for (const encoding of ['br', 'gzip']) {
+    if (quality(encoding) > 0) return encoding;
+  }
+  return null;
+}
+
+// "bytes=0-99", "bytes=100-" or "bytes=-100" → { start, end }; null when the
+// header is not one byte range (the whole file is sent then); 'unsatisfiable'
+// when it is past the end
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+  let start;
+  let end;
+  if (match[1] === '') {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (start > end || start >= size) return 'unsatisfiable';
+  return { start, end };
+}
+
+// If-None-Match uses the weak comparison (W/ prefixes are ignored)
+function etagMatches(header, etag) {
+  if (header.trim() === '*') return true;
+  const bare = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => bare(tag) === bare(etag));
+}
+
+// ── Service ──────────────────────────────────
+/**
+ * Create the static file handler.
+ * @param {object} options
+ * @param {string} options.root - directory served at /
+ * @param {boolean} [options.production] - long-lived caching for versioned
+ *   URLs and stronger compression; otherwise every response is no-cache
+ * @param {object} [options.mimeTypes] - extra or replacement types by extension
+ * @param {string[]} [options.hidden] - more files never to serve (absolute paths),
+ *   such as a config file named by --config
+ * @returns {{ handle(req, res): boolean, sendBody(req, res, body, options): Promise, describe(): object }}
+ */
+function createStaticFiles({ root, production = false, mimeTypes = {}, hidden = [] }) {
+  const types = { ...MIME_TYPES, ...mimeTypes };
+  const rootPrefix = root.endsWith(path.sep) ? root : root + path.sep;
+  const hiddenFiles = new Set(hidden.map(file => path.resolve(file)));
+  const stats = { requests: 0, notModified: 0, partial: 0, compressed: 0 };
+  // path → { mtimeMs, size, hash }; rehashed when the file changes
+  const hashes = new Map();
+  // `${hash}:${encoding}` → Buffer, oldest evicted first
+  const compressedCache = new Map();
+  // `${hash}:${encoding}` → Promise, so concurrent requests compress once
+  const compressing = new Map();
+  let compressedBytes = 0;
+
+  const mode = production ? 'production' : 'development';
+  const brotliOptions = { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY[mode] } };
+  const gzipOptions = { level: GZIP_LEVEL[mode] };
+
+  function hashFile(filePath, stat) {
+    const known = hashes.get(filePath);
+    if (known && known.mtimeMs === stat.mtimeMs && known.size === stat.size) {
+      return Promise.resolve(known.hash);
+    }
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha1');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('error', reject)
+        .on('end', () => {
+          const digest = hash.digest('base64url');
+          hashes.set(filePath, { mtimeMs: stat.mtimeMs, size: stat.size, hash: digest });
+          resolve(digest);
+        });
+    });
+  }
+
+  // `read` resolves to the identity bytes; only called on a cache miss
+  function compressed(hash, encoding, read) {
+    const key = `${hash}:${encoding}`;
+    if (compressedCache.has(key)) return Promise.resolve(compressedCache.get(key));
+    if (compressing.has(key)) return compressing.get(key);
+
+    const promise = read()
+      .then(source => (encoding === 'br' ? brotliCompress(source, brotliOptions) : gzip(source, gzipOptions)))
+      .then(body => {
+        compressedCache.set(key, body);
+        compressedBytes += body.length;
+        for (const [oldKey, oldBody] of compressedCache) {
+          if (compressedBytes <= COMPRESSED_CACHE_BYTES) break;
+          compressedCache.delete(oldKey);
+          compressedBytes -= oldBody.length;
+        }
+        return body;
+      })
+      .finally(() => compressing.delete(key));
+    compressing.set(key, promise);
+    return promise;
+  }
+
+  function describe() {
+    return {
+      mode,
+      hashedFiles: hashes.size,
+      compressedEntries: compressedCache.size,
+      compressedBytes,
+      stats: { ...stats },
+    };
+  }
+
+  function cacheControl(url, urlPath) {
+    if (!production) return 'no-cache';
+    if (url.searchParams.has('v') || VERSIONED_NAME.test(urlPath)) return IMMUTABLE;
+    return 'public, max-age=0, must-revalidate';
+  }
+
+  async function serveFile(req, res, url, urlPath, filePath, stat) {
+    const mime = getMime(filePath, types);
+    const hash = await hashFile(filePath, stat);
+    const lastModified = new Date(Math.floor(stat.mtimeMs / 1000) * 1000);
+    const compressible = COMPRESSIBLE.test(mime) &&
+      stat.size >= MIN_COMPRESS_BYTES && stat.size <= MAX_COMPRESS_BYTES;
+
+    // A Range request gets the identity bytes, so offsets mean file offsets
+    const rangeHeader = req.method === 'GET' ? req.headers['range'] : null;
+    const encoding = compressible && !rangeHeader ? negotiateEncoding(req.headers['accept-encoding']) : null;
+    // Strong ETags differ per encoding, since the bytes do
+    const etag = `"${hash}${encoding ? `-${encoding}` : ''}"`;
+
+    const headers = {
+      'Content-Type': mime,
+      'Cache-Control': cacheControl(url, urlPath),
+      'ETag': etag,
+      'Last-Modified': lastModified.toUTCString(),
+      'Accept-Ranges': 'bytes',
+    };
+    // Appended, so a Vary: Origin set by the CORS handler stays
+    if (compressible) res.appendHeader('Vary', 'Accept-Encoding');
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    const notModified = ifNoneMatch
+      ? etagMatches(ifNoneMatch, etag)
+      : Number.isFinite(ifModifiedSince) && lastModified.getTime() <= ifModifiedSince;
+    if (notModified) {
+      stats.notModified++;
+      delete headers['Content-Type'];
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    if (encoding) {
+      const body = await compressed(hash, encoding, () => fs.promises.readFile(filePath));
+      stats.compressed++;
+      res.writeHead(200, { ...headers, 'Content-Encoding': encoding, 'Content-Length': body.length });
+      res.end(req.method === 'HEAD' ? undefined : body);
+      return;
+    }
+
+    // If-Range: the range only applies to the version the client already has
+    let range = rangeHeader ? parseRange(rangeHeader, stat.size) : null;
+    const ifRange = req.headers['if-range'];
+    if (range && ifRange) {
+      const current = ifRange.trim().startsWith('"')
+        ? ifRange.trim() === etag
+        : Date.parse(ifRange) === lastModified.getTime();
+      if (!current) range = null;
+    }
+    if (range === 'unsatisfiable') {
+      res.writeHead(416, { ...headers, 'Content-Range': `bytes */${stat.size}`, 'Content-Length': 0 });
+      res.end();
+      return;
+    }
+
+    let status = 200;
+    let streamOptions = {};
+    if (range) {
+      status = 206;
+      stats.partial++;
+      headers['Content-Range'] = `bytes ${range.start}-${range.end}/${stat.size}`;
+      streamOptions = { start: range.start, end: range.end };
+    }
+    headers['Content-Length'] = range ? range.end - range.start + 1 : stat.size;
+    res.writeHead(status, headers);
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+
+    const stream = fs.createReadStream(filePath, streamOptions);
+    stream.pipe(res);
+    stream.on('error', () => res.destroy());
+  }
+
+  /**
+   * Send a generated body (the app shell for deep links) with the same
+   * ETag, 304 and compression handling as a file. No ranges or Last-Modified.
+   */
+  async function sendBody(req, res, body, { contentType, status = 200, cacheControl = 'no-cache' }) {
+    const hash = crypto.createHash('sha1').update(body).digest('base64url');
+    const compressible = COMPRESSIBLE.test(contentType) && body.length >= MIN_COMPRESS_BYTES;
+    const encoding = compressible ? negotiateEncoding(req.headers['accept-encoding']) : null;
+    const etag = `"${hash}${encoding ? `-${encoding}` : ''}"`;
+    const headers = {
+      'Content-Type': contentType,
+      'Cache-Control': cacheControl,
+      'ETag': etag,
+    };
+    if (compressible) res.appendHeader('Vary', 'Accept-Encoding');
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (status === 200 && ifNoneMatch && etagMatches(ifNoneMatch, etag)) {
+      stats.notModified++;
+      delete headers['Content-Type'];
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+    const payload = encoding ? await compressed(hash, encoding, async () => body) : body;
+    if (encoding) {
+      stats.compressed++;
+      headers['Content-Encoding'] = encoding;
+    }
+    res.writeHead(status, { ...headers, 'Content-Length': payload.length });
+    res.end(req.method === 'HEAD' ? undefined : payload);
+  }
+
+  // Answers every request it gets; register it after the other services
+  function handle(req, res) {
+    stats.requests++;
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { 'Allow': 'GET, HEAD', 'Content-Type': 'text/plain' });
+      res.end('Method Not Allowed');
+      return true;
+    }
+
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(url.pathname);
+    } catch (e) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Bad Request');
+      return true;
+    }
+    if (urlPath === '/') urlPath = '/index.html';
+
+    const filePath = path.join(root, urlPath);
+
+    // Security: prevent directory traversal (root + sep, so /app does not
+    // admit /app-secrets)
+    if (!filePath.startsWith(rootPrefix)) {
+      res.writeHead(403);
+      res.end('Forbidden');
+      return true;
+    }
+
+    // Dot-paths and the config answer as missing, so they are not even confirmed
+    const hiddenPath = urlPath.split('/').some(part => part.startsWith('.')) ||
+      HIDDEN_NAMES.has(path.basename(filePath)) || hiddenFiles.has(filePath);
+
+    fs.stat(filePath, (err, stat) => {
+      if (hiddenPath || err || !stat.isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not Found: ' + urlPath);
+        return;
+      }
+      serveFile(req, res, url, urlPath, filePath, stat).catch(() => {
+        if (res.headersSent) {
+          res.destroy();
+          return;
+        }
+        res.writeHead(500);
+        res.end('Internal Server Error');
+      });
+    });
+    return true;
+  }
+
+  return { handle, sendBody, describe };
+}
+
+module.exports = { createStaticFiles, negotiateEncoding, parseRange, getMime };
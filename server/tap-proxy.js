@@ -0,0 +1,435 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — Caching TAP Proxy
+// /api/tap/sync forwards ADQL queries to the NASA archive
+// (or any TAP service) and keeps the answers on disk, so a
+// team shares one download instead of one per browser.
+// Fresh entries are served as they are, stale ones are
+// served while a background request revalidates them.
+// Only queries on the app's own tables are forwarded, and
+// the disk cache is kept under a size cap.
+// ═══════════════════════════════════════════════
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROUTE = '/api/tap';
+
+// Tables the app reads: SOURCE_TABLES and the parameter sets (ps) in
+// js/nasa-data.js. Queries on anything else are refused.
+const DEFAULT_TABLES = ['pscomppars', 'ps', 'toi', 'cumulative'];
+
+// Form-encoded POST bodies; the app's longest query is a few kB
+const MAX_BODY_BYTES = 64 * 1024;
+
+class ProxyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// X-Cache values
+const CacheStatus = {
+  HIT: 'HIT',                       // fresh copy from disk
+  MISS: 'MISS',                     // fetched from upstream now
+  STALE: 'STALE',                   // expired copy; revalidating in the background
+  BYPASS: 'BYPASS',                 // client sent Cache-Control: no-cache; refetched
+  STALE_IF_ERROR: 'STALE-IF-ERROR', // upstream failed; the last good copy was served
+};
+
+// ── Cache keys ───────────────────────────────
+// Whitespace and letter case of the format do not change the answer
+function normalizeRequest(query, format) {
+  return {
+    query: query.replace(/\s+/g, ' ').trim(),
+    format: (format || 'json').toLowerCase(),
+  };
+}
+
+function cacheKey({ query, format }) {
+  return crypto.createHash('sha256').update(`${format}\n${query}`).digest('hex');
+}
+
+// ── Allowed queries ──────────────────────────
+// The FROM list runs to the next clause or the end of the query
+const FROM_LIST = /\bFROM\b([\s\S]*?)(?=\b(?:WHERE|GROUP|HAVING|ORDER)\b|$)/gi;
+// One table, optionally schema-qualified, with an optional alias
+const TABLE_REF = /^([a-z_]\w*(?:\.[a-z_]\w*)?)(?:\s+(?:AS\s+)?[a-z_]\w*)?$/i;
+
+// The app's queries are one SELECT from one table, with no joins,
+// subqueries or quoted identifiers; returns that table, or throws a 403.
+function queriedTable(query, tables) {
+  const code = query.replace(/'(?:[^']|'')*'/g, "''"); // literals cannot name tables
+  const selects = code.match(/\bSELECT\b/gi) || [];
+  const froms = [...code.matchAll(FROM_LIST)];
+  const ref = froms.length === 1 ? TABLE_REF.exec(froms[0][1].trim()) : null;
+  if (selects.length !== 1 || code.includes('"') || !ref) {
+    throw new ProxyError(403, 'Only single-table SELECT queries are forwarded');
+  }
+  const table = ref[1].toLowerCase();
+  if (!tables.has(table)) {
+    throw new ProxyError(403, `Table ${table} is not served by this proxy (allowed: ${[...tables].join(', ')})`);
+  }
+  return table;
+}
+
+// ── Service ──────────────────────────────────
+/**
+ * Create the proxy request handler.
+ * @param {object} options
+ * @param {string} options.upstream - TAP base URL (queries go to <upstream>/sync)
+ * @param {string} options.cacheDir - directory for cached responses
+ * @param {number} [options.ttlMs] - how long a response is served without revalidating
+ * @param {number} [options.staleMs] - how long past the TTL a response may still be
+ *   served while it revalidates; older entries are refetched before answering
+ * @param {number} [options.timeoutMs] - upstream request timeout
+ * @param {string[]} [options.tables] - tables queries may read
+ * @param {number} [options.maxCacheBytes] - disk cache size; least recently used
+ *   entries are removed past it
+ * @param {function(object): void} [options.onUpdate] - called with { key, query,
+ *   format, fetchedAt } when a cached response is replaced by different data
+ * @returns {{ handle(req, res): boolean, describe(): object }}
+ */
+function createTapProxy({
+  upstream,
+  cacheDir,
+  ttlMs = 24 * 60 * 60 * 1000,
+  staleMs = 7 * 24 * 60 * 60 * 1000,
+  timeoutMs = 120000,
+  tables = DEFAULT_TABLES,
+  maxCacheBytes = 1024 * 1024 * 1024,
+  onUpdate = null,
+}) {
+  const base = upstream.replace(/\/+$/, '').replace(/\/sync$/, '');
+  const allowedTables = new Set(tables.map(t => t.toLowerCase()));
+  const stats = {
+    hits: 0, misses: 0, stale: 0, bypass: 0, staleIfError: 0, upstreamErrors: 0, refused: 0, evictions: 0,
+  };
+  // One upstream request per key at a time; later callers share it
+  const inFlight = new Map();
+
+  fs.mkdirSync(cacheDir, { recursive: true });
+
+  const bodyFile = key => path.join(cacheDir, `${key}.body`);
+  const metaFile = key => path.join(cacheDir, `${key}.meta.json`);
+
+  // A cache entry is a meta file and a body file. The meta file is written
+  // last, so an entry without one was interrupted and does not count.
+  async function readMeta(key) {
+    try {
+      return JSON.parse(await fsp.readFile(metaFile(key), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Resolves to { meta, body: FileHandle, size } with the body opened but
+  // not read, or null. The handle keeps the body it opened even if a refresh
+  // replaces the file; it is closed by streaming it (sendEntry) or release().
+  async function openEntry(key) {
+    const meta = await readMeta(key);
+    if (!meta) return null;
+    let body = null;
+    try {
+      body = await fsp.open(bodyFile(key), 'r');
+      const { size } = await body.stat();
+      return { meta, body, size };
+    } catch (e) {
+      if (body) await body.close().catch(() => {});
+      return null;
+    }
+  }
+
+  function release(entry) {
+    if (entry) entry.body.close().catch(() => {});
+  }
+
+  async function writeEntry(key, meta, body) {
+    const tmp = `.${process.pid}.${Date.now()}.tmp`;
+    await fsp.writeFile(bodyFile(key) + tmp, body);
+    await fsp.rename(bodyFile(key) + tmp, bodyFile(key));
+    await fsp.writeFile(metaFile(key) + tmp, JSON.stringify(meta, null, 2));
+    await fsp.rename(metaFile(key) + tmp, metaFile(key));
+  }
+
+  // A hit marks the entry as recently used for eviction
+  function touch(key) {
+    const now = new Date();
+    fsp.utimes(metaFile(key), now, now).catch(() => {});
+  }
+
+  // Removes least recently used entries until the cache fits in
+  // maxCacheBytes. `keep` (the entry just written) is never removed.
+  async function evict(keep) {
+    const entries = [];
+    for (const key of listEntries()) {
+      try {
+        const [meta, body] = await Promise.all([fsp.stat(metaFile(key)), fsp.stat(bodyFile(key))]);
+        entries.push({ key, usedAt: meta.mtimeMs, bytes: body.size });
+      } catch (e) { /* removed meanwhile */ }
+    }
+    let total = entries.reduce((sum, e) => sum + e.bytes, 0);
+    entries.sort((a, b) => a.usedAt - b.usedAt);
+    for (const entry of entries) {
+      if (total <= maxCacheBytes) break;
+      if (entry.key === keep) continue;
+      // Meta first: a half-removed entry no longer counts
+      await fsp.rm(metaFile(entry.key), { force: true });
+      await fsp.rm(bodyFile(entry.key), { force: true });
+      total -= entry.bytes;
+      stats.evictions++;
+      console.log(`  [tap-proxy] evicted ${entry.key.slice(0, 12)} (${entry.bytes} bytes)`);
+    }
+  }
+
+  function listEntries() {
+    try {
+      return fs.readdirSync(cacheDir).filter(f => f.endsWith('.meta.json')).map(f => f.slice(0, -'.meta.json'.length));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function describe() {
+    const keys = listEntries();
+    let bytes = 0;
+    for (const key of keys) {
+      try { bytes += fs.statSync(bodyFile(key)).size; } catch (e) { /* removed meanwhile */ }
+    }
+    return {
+      upstream: base,
+      cacheDir,
+      ttlSeconds: Math.round(ttlMs / 1000),
+      staleSeconds: Math.round(staleMs / 1000),
+      tables: [...allowedTables],
+      entries: keys.length,
+      bytes,
+      maxBytes: maxCacheBytes,
+      inFlight: inFlight.size,
+      stats: { ...stats },
+    };
+  }
+
+  // Resolves to { status, contentType, body }; rejects on network errors and
+  // timeouts. Successful JSON answers are checked before they are cached,
+  // so a truncated download never poisons the cache.
+  async function fetchUpstream(request) {
+    const url = new URL(`${base}/sync`);
+    url.searchParams.set('query', request.query);
+    url.searchParams.set('format', request.format);
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    const body = Buffer.from(await response.arrayBuffer());
+    const contentType = response.headers.get('content-type') || 'application/octet-stream';
+    if (response.ok && request.format === 'json') {
+      try {
+        JSON.parse(body.toString('utf8'));
+      } catch (e) {
+        throw new Error(`upstream returned malformed JSON (${body.length} bytes)`);
+      }
+    }
+    return { status: response.status, contentType, body };
+  }
+
+  // Fetch and store; shared by concurrent callers of the same key
+  function refresh(key, request) {
+    if (inFlight.has(key)) return inFlight.get(key);
+    const started = Date.now();
+    const promise = fetchUpstream(request)
+      .then(async result => {
+        if (result.status !== 200) return { fresh: result, stored: false };
+        const meta = {
+          query: request.query,
+          format: request.format,
+          contentType: result.contentType,
+          fetchedAt: Date.now(),
+          bytes: result.body.length,
+          sha256: crypto.createHash('sha256').update(result.body).digest('hex'),
+          upstreamMs: Date.now() - started,
+        };
+        const previous = await readMeta(key);
+        // Entries cached before bodies were hashed
+        if (previous && !previous.sha256) {
+          previous.sha256 = await fsp.readFile(bodyFile(key))
+            .then(body => crypto.createHash('sha256').update(body).digest('hex'), () => null);
+        }
+        try {
+          await writeEntry(key, meta, result.body);
+          console.log(`  [tap-proxy] cached ${key.slice(0, 12)} (${result.body.length} bytes, ${meta.upstreamMs} ms)`);
+          await evict(key);
+        } catch (err) {
+          // Still answer from memory; the next request tries again
+          console.warn(`  [tap-proxy] could not cache ${key.slice(0, 12)}: ${err.message}`);
+        }
+        if (onUpdate && previous && previous.sha256 !== meta.sha256) {
+          onUpdate({ key, query: request.query, format: request.format, fetchedAt: meta.fetchedAt });
+        }
+        return { fresh: result, meta, stored: true };
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  function writeHead(res, status, headers) {
+    res.writeHead(status, {
+      'Cache-Control': 'no-cache',
+      'Access-Control-Expose-Headers': 'X-Cache, X-Cache-Fetched-At, X-Cache-Expires-At, Age',
+      ...headers,
+    });
+  }
+
+  function send(res, status, headers, body) {
+    writeHead(res, status, headers);
+    res.end(body);
+  }
+
+  function entryHeaders(cacheStatus, meta, length) {
+    return {
+      'Content-Type': meta.contentType,
+      'Content-Length': length,
+      'X-Cache': cacheStatus,
+      'X-Cache-Fetched-At': new Date(meta.fetchedAt).toISOString(),
+      'X-Cache-Expires-At': new Date(meta.fetchedAt + ttlMs).toISOString(),
+      'Age': Math.max(0, Math.round((Date.now() - meta.fetchedAt) / 1000)),
+    };
+  }
+
+  // A fresh download from memory
+  function sendFresh(res, cacheStatus, meta, body) {
+    send(res, 200, entryHeaders(cacheStatus, meta, body.length), body);
+  }
+
+  // A cached entry streamed from its open file (see openEntry)
+  function sendEntry(res, cacheStatus, entry) {
+    writeHead(res, 200, entryHeaders(cacheStatus, entry.meta, entry.size));
+    if (res.req.method === 'HEAD') {
+      release(entry);
+      res.end();
+      return;
+    }
+    const stream = entry.body.createReadStream({ start: 0 });
+    stream.on('error', () => res.destroy());
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+  }
+
+  function sendError(res, status, message, cacheStatus = CacheStatus.MISS) {
+    send(res, status, { 'Content-Type': 'text/plain; charset=utf-8', 'X-Cache': cacheStatus }, message);
+  }
+
+  // Rejects with a 413 past MAX_BODY_BYTES, without reading the rest
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+        reject(new ProxyError(413, `Request body over ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      const chunks = [];
+      let length = 0;
+      req.on('data', chunk => {
+        length += chunk.length;
+        if (length > MAX_BODY_BYTES) {
+          req.removeAllListeners('data');
+          req.pause();
+          reject(new ProxyError(413, `Request body over ${MAX_BODY_BYTES} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  async function handleSync(req, res, url) {
+    let params = url.searchParams;
+    if (req.method === 'POST') params = new URLSearchParams(await readBody(req));
+    const query = params.get('query') || params.get('QUERY');
+    if (!query) return sendError(res, 400, 'Missing query parameter');
+
+    const request = normalizeRequest(query, params.get('format') || params.get('FORMAT'));
+    queriedTable(request.query, allowedTables);
+    const key = cacheKey(request);
+    const cached = await openEntry(key);
+    const age = cached ? Date.now() - cached.meta.fetchedAt : Infinity;
+    const noCache = /no-cache/i.test(req.headers['cache-control'] || '') || /no-cache/i.test(req.headers['pragma'] || '');
+
+    if (cached && !noCache && age < ttlMs) {
+      stats.hits++;
+      touch(key);
+      return sendEntry(res, CacheStatus.HIT, cached);
+    }
+
+    if (cached && !noCache && age < ttlMs + staleMs) {
+      stats.stale++;
+      touch(key);
+      sendEntry(res, CacheStatus.STALE, cached);
+      refresh(key, request)
+        .then(({ fresh, stored }) => {
+          if (stored) return;
+          stats.upstreamErrors++;
+          console.warn(`  [tap-proxy] revalidation of ${key.slice(0, 12)} got HTTP ${fresh.status}`);
+        })
+        .catch(err => {
+          stats.upstreamErrors++;
+          console.warn(`  [tap-proxy] revalidation of ${key.slice(0, 12)} failed: ${err.message}`);
+        });
+      return;
+    }
+
+    try {
+      const { fresh, meta, stored } = await refresh(key, request);
+      if (noCache) stats.bypass++;
+      else stats.misses++;
+      const cacheStatus = noCache ? CacheStatus.BYPASS : CacheStatus.MISS;
+      if (stored) {
+        release(cached);
+        return sendFresh(res, cacheStatus, meta, fresh.body);
+      }
+      // Upstream errors are passed through but never cached
+      stats.upstreamErrors++;
+      if (cached) {
+        stats.staleIfError++;
+        return sendEntry(res, CacheStatus.STALE_IF_ERROR, cached);
+      }
+      send(res, fresh.status, { 'Content-Type': fresh.contentType, 'X-Cache': cacheStatus }, fresh.body);
+    } catch (err) {
+      stats.upstreamErrors++;
+      console.warn(`  [tap-proxy] upstream request failed: ${err.message}`);
+      if (cached) {
+        stats.staleIfError++;
+        return sendEntry(res, CacheStatus.STALE_IF_ERROR, cached);
+      }
+      const timedOut = err.name === 'TimeoutError' || err.name === 'AbortError';
+      sendError(res, timedOut ? 504 : 502, `TAP upstream ${timedOut ? 'timed out' : 'failed'}: ${err.message}`);
+    }
+  }
+
+  // Returns true when the request was for the proxy
+  function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === `${ROUTE}/sync`) {
+      handleSync(req, res, url).catch(err => {
+        if (err instanceof ProxyError) {
+          stats.refused++;
+          if (err.status === 413) res.setHeader('Connection', 'close');
+          return sendError(res, err.status, err.message);
+        }
+        sendError(res, 500, err.message);
+      });
+      return true;
+    }
+    if (url.pathname === ROUTE || url.pathname === `${ROUTE}/status`) {
+      send(res, 200, { 'Content-Type': 'application/json; charset=utf-8' }, JSON.stringify(describe()));
+      return true;
+    }
+    return false;
+  }
+
+  return { handle, describe };
+}
+
+module.exports = { createTapProxy, queriedTable, CacheStatus, ROUTE, DEFAULT_TABLES };
@@ -0,0 +1,43 @@
+// ═══════════════════════════════════════════════
+// EXOPLANET EXPLORER — TAP Proxy Query Checks
+// node --test server/
+// ═══════════════════════════════════════════════
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { queriedTable, DEFAULT_TABLES } = require('./tap-proxy');
+
+const tables = new Set(DEFAULT_TABLES);
+const refused = query => assert.throws(() => queriedTable(query, tables), err => err.status === 403, query);
+
+test('the app\'s own queries are allowed', () => {
+  assert.strictEqual(queriedTable('SELECT pl_name, pl_rade FROM pscomppars', tables), 'pscomppars');
+  assert.strictEqual(queriedTable("SELECT pl_name FROM ps WHERE pl_name = 'K2-18 b' ORDER BY pl_pubdate DESC", tables), 'ps');
+  assert.strictEqual(queriedTable('SELECT toi, tid FROM TOI ORDER BY toi', tables), 'toi');
+  assert.strictEqual(queriedTable('SELECT kepid FROM cumulative c WHERE c.koi_disposition = \'CONFIRMED\'', tables), 'cumulative');
+});
+
+test('other tables are refused', () => {
+  refused('SELECT * FROM tap_schema.tables');
+  refused("SELECT pl_name FROM pscomppars WHERE pl_name = 'x' UNION SELECT table_name FROM tap_schema.tables");
+});
+
+test('joins are refused, aliased or not', () => {
+  refused('SELECT * FROM pscomppars, tap_schema.tables');
+  refused('SELECT * FROM pscomppars p, tap_schema.tables t');
+  refused('SELECT * FROM pscomppars AS p , ps AS q WHERE p.pl_name = q.pl_name');
+  refused('SELECT * FROM pscomppars p JOIN tap_schema.tables t ON 1 = 1');
+  refused('SELECT * FROM pscomppars p CROSS JOIN ps');
+});
+
+test('subqueries and quoted identifiers are refused', () => {
+  refused('SELECT * FROM (SELECT * FROM tap_schema.tables) t');
+  refused('SELECT pl_name FROM pscomppars WHERE pl_name IN (SELECT pl_name FROM ps)');
+  refused('SELECT * FROM "tap_schema"."tables"');
+  refused('SELECT * FROM pscomppars "p", tap_schema.tables');
+});
+
+test('string literals cannot hide or name tables', () => {
+  assert.strictEqual(queriedTable("SELECT pl_name FROM ps WHERE pl_name = 'FROM tap_schema.tables, x'", tables), 'ps');
+  refused("SELECT * FROM 'pscomppars'");
+});